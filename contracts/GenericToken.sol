@@ -3,10 +3,15 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title GenericToken
@@ -16,8 +21,9 @@ import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
  * Features:
  * - ERC20 standard implementation
  * - EIP-2612 permit functionality (gasless approvals)
- * - Ownable access control
- * - Pausable functionality
+ * - Role-based access control (AccessControl) with a single owner as default admin
+ * - Two-step ownership transfers (Ownable2Step); ownership cannot be renounced
+ * - Graded circuit breaker (normal, transfers paused, frozen, recovery)
  * - Burnable tokens
  * - Role-based operations
  * - Emergency controls
@@ -27,9 +33,40 @@ contract GenericToken is
     ERC20,
     ERC20Permit,
     ERC20Burnable,
-    ERC20Pausable,
-    Ownable
+    Pausable,
+    Ownable2Step,
+    AccessControl
 {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // ============ Roles ============
+
+    /**
+     * @dev Can pause or freeze the token; loosening it again is left to the owner
+     */
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     * @dev Can blacklist and unblacklist accounts
+     */
+    bytes32 public constant BLACKLISTER_ROLE = keccak256("BLACKLISTER_ROLE");
+
+    /**
+     * @dev Can add and remove minters (admin of MINTER_ROLE)
+     */
+    bytes32 public constant MINTER_ADMIN_ROLE = keccak256("MINTER_ADMIN_ROLE");
+
+    /**
+     * @dev Can enter and leave recovery (emergency mode), move funds with
+     * emergencyTransfer and seize or wipe the balances of blacklisted accounts
+     */
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+
+    /**
+     * @dev Can mint within its own allowance, its daily cap and the mint rate limit
+     */
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
     // ============ Events ============
 
     /**
@@ -57,11 +94,106 @@ contract GenericToken is
      */
     event MinterRemoved(address indexed minter);
 
+    /**
+     * @dev Emitted when a minter's allowance or daily cap is set
+     */
+    event MinterConfigured(
+        address indexed minter,
+        uint256 allowance,
+        uint256 dailyCap
+    );
+
+    /**
+     * @dev Emitted when the owner changes the mint rate limit or its window
+     */
+    event MintRateLimitChanged(
+        uint256 previousLimit,
+        uint256 limit,
+        uint256 previousWindow,
+        uint256 window
+    );
+
     /**
      * @dev Emitted when emergency functions are triggered
      */
     event EmergencyAction(address indexed by, string action);
 
+    /**
+     * @dev Emitted when an account is blacklisted
+     */
+    event Blacklisted(address indexed account);
+
+    /**
+     * @dev Emitted when an account is removed from the blacklist
+     */
+    event Unblacklisted(address indexed account);
+
+    /**
+     * @dev Emitted when the owner exempts an address from the pause
+     */
+    event PauseExemptionAdded(address indexed account);
+
+    /**
+     * @dev Emitted when the owner removes an address's pause exemption
+     */
+    event PauseExemptionRemoved(address indexed account);
+
+    /**
+     * @dev Emitted when emergency mode is activated
+     */
+    event EmergencyModeActivated(address indexed by);
+
+    /**
+     * @dev Emitted when emergency mode is deactivated
+     */
+    event EmergencyModeDeactivated(address indexed by);
+
+    /**
+     * @dev Emitted whenever the circuit breaker moves to another level
+     */
+    event CircuitBreakerLevelChanged(
+        address indexed by,
+        CircuitBreakerLevel previousLevel,
+        CircuitBreakerLevel level
+    );
+
+    /**
+     * @dev Emitted when a pauser pauses a single operation
+     */
+    event OperationPaused(address indexed by, Operation indexed operation);
+
+    /**
+     * @dev Emitted when the owner unpauses a single operation
+     */
+    event OperationUnpaused(address indexed by, Operation indexed operation);
+
+    /**
+     * @dev Emitted when the owner moves tokens with emergencyTransfer
+     */
+    event EmergencyTransfer(
+        address indexed from,
+        address indexed to,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when the balance of a blacklisted account is seized;
+     * recipient is the zero address when the balance was burned
+     */
+    event BlacklistedFundsSeized(
+        address indexed account,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when the owner changes where seized funds are sent
+     */
+    event RecoveryAddressChanged(
+        address indexed previousRecoveryAddress,
+        address indexed recoveryAddress
+    );
+
     // ============ State Variables ============
 
     // EIP-3009 authorization states
@@ -84,6 +216,12 @@ contract GenericToken is
     bytes32 private constant CANCEL_AUTHORIZATION_TYPEHASH =
         keccak256("CancelAuthorization(address authorizer,bytes32 nonce)");
 
+    // EIP-2612 typehash (private in ERC20Permit), for the bytes signature permit
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+        );
+
     // EIP-3009 events
     event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
     event AuthorizationCanceled(
@@ -92,9 +230,43 @@ contract GenericToken is
     );
 
     /**
-     * @dev Mapping of addresses that have minting privileges
+     * @dev One EIP-3009 transfer authorization of a batch, with its signature
+     * as bytes (see transferWithAuthorization)
+     */
+    struct TransferAuthorization {
+        address from;
+        address to;
+        uint256 value;
+        uint256 validAfter;
+        uint256 validBefore;
+        bytes32 nonce;
+        bytes signature;
+    }
+
+    /**
+     * @dev Emitted for every item of transferWithAuthorizationBatch; reason
+     * is the revert data of a failed item, empty on success
+     */
+    event BatchAuthorizationResult(
+        uint256 indexed index,
+        address indexed authorizer,
+        bytes32 indexed nonce,
+        bool success,
+        bytes reason
+    );
+
+    // Selector of the bytes transferWithAuthorization, which batch items are run through
+    bytes4 private constant TRANSFER_WITH_AUTHORIZATION_SELECTOR =
+        bytes4(
+            keccak256(
+                "transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"
+            )
+        );
+
+    /**
+     * @dev Holders of MINTER_ROLE, kept enumerable
      */
-    mapping(address => bool) private _minters;
+    EnumerableSet.AddressSet private _minters;
 
     /**
      * @dev Custom decimals for the token
@@ -107,24 +279,127 @@ contract GenericToken is
     uint256 public immutable MAX_SUPPLY;
 
     /**
-     * @dev Daily minting limit to prevent spam attacks (in smallest units)
+     * @dev Amount minted within one sub-window of the mint rate window
+     */
+    struct MintBucket {
+        uint192 amount;
+        uint64 start;
+    }
+
+    /**
+     * @dev Number of sub-windows a rolling mint window is split into. Mints
+     * are kept per sub-window, in a ring of one more bucket than that, and
+     * each one counts until a full window has passed since the end of its
+     * sub-window.
+     */
+    uint256 private constant MINT_BUCKETS = 24;
+
+    /**
+     * @dev Longest mint rate window setMintRateLimit accepts
+     */
+    uint256 private constant MAX_MINT_RATE_WINDOW = 365 days;
+
+    /**
+     * @dev Window of the minters' daily caps; unlike the mint rate window it
+     * is not configurable
+     */
+    uint256 private constant MINTER_CAP_WINDOW = 1 days;
+
+    /**
+     * @dev Most that all minters together may mint per window (in smallest
+     * units); also the cap of minters that were never configured
+     */
+    uint256 private _mintRateLimit;
+
+    /**
+     * @dev Length of the mint rate window in seconds
+     */
+    uint256 private _mintRateWindow;
+
+    /**
+     * @dev Usage of the mint rate limit across all minters
+     */
+    MintBucket[MINT_BUCKETS + 1] private _mintUsage;
+
+    /**
+     * @dev Allowance and daily cap of a minter. Minters that were never
+     * configured have an unlimited allowance and the mint rate limit as cap.
+     */
+    struct MinterConfig {
+        bool configured;
+        uint256 allowance;
+        uint256 dailyCap;
+    }
+    mapping(address => MinterConfig) private _minterConfigs;
+
+    /**
+     * @dev Usage of each minter's daily cap, over a rolling day
+     */
+    mapping(address => MintBucket[MINT_BUCKETS + 1]) private _minterUsage;
+
+    /**
+     * @dev Blacklist for malicious addresses, enumerable
+     */
+    EnumerableSet.AddressSet private _blacklisted;
+
+    /**
+     * @dev Addresses that can still move tokens while transfers are paused,
+     * enumerable
+     */
+    EnumerableSet.AddressSet private _pauseExempt;
+
+    /**
+     * @dev Receives balances taken with seizeBlacklistedFunds
+     */
+    address private _recoveryAddress;
+
+    /**
+     * @dev Graded circuit breaker, from least to most restrictive for holders:
+     * - Normal: everything works
+     * - TransfersPaused: balances cannot change (transfers, EIP-3009, mint,
+     *   burn) except through pause exempt addresses; approve, permit and
+     *   cancelAuthorization still work
+     * - Frozen: no holder operation works and balances cannot change at all
+     * - Recovery (emergency mode): as Frozen, but EMERGENCY_ROLE can move
+     *   funds with emergencyTransfer and seize or wipe blacklisted balances
+     * Seizing and wiping also work in Normal and TransfersPaused. Role,
+     * blacklist, minter and ownership management work at every level.
+     * paused() is true at every level except Normal.
      */
-    uint256 public immutable DAILY_MINT_LIMIT;
+    enum CircuitBreakerLevel {
+        Normal,
+        TransfersPaused,
+        Frozen,
+        Recovery
+    }
 
     /**
-     * @dev Tracking of daily minted amounts
+     * @dev Current circuit breaker level
      */
-    mapping(uint256 => uint256) private _dailyMinted;
+    CircuitBreakerLevel private _circuitBreaker;
 
     /**
-     * @dev Blacklist for malicious addresses
+     * @dev Operations that can be paused on their own, on top of the circuit
+     * breaker:
+     * - Mint: mint
+     * - Burn: burn, burnFrom
+     * - Transfer: transfer, transferFrom
+     * - Permit: permit
+     * - Authorization: transferWithAuthorization, receiveWithAuthorization,
+     *   transferWithAuthorizationBatch
      */
-    mapping(address => bool) private _blacklisted;
+    enum Operation {
+        Mint,
+        Burn,
+        Transfer,
+        Permit,
+        Authorization
+    }
 
     /**
-     * @dev Emergency flag for critical situations
+     * @dev Pause flag of each operation
      */
-    bool private _emergencyMode;
+    mapping(Operation => bool) private _operationPaused;
 
     // ============ Modifiers ============
 
@@ -133,50 +408,53 @@ contract GenericToken is
      */
     modifier onlyMinter() {
         require(
-            _minters[msg.sender] || msg.sender == owner(),
+            hasRole(MINTER_ROLE, msg.sender),
             "GenericToken: Caller is not a minter"
         );
         _;
     }
 
     /**
-     * @dev Prevents blacklisted addresses from executing functions
+     * @dev Checks and uses the caller's minter allowance, its daily cap and
+     * the mint rate limit
      */
-    modifier notBlacklisted() {
+    modifier respectsMinterLimits(uint256 amount) {
+        (uint256 allowance, uint256 dailyCap) = _minterLimits(msg.sender);
         require(
-            !_blacklisted[msg.sender],
-            "GenericToken: Caller is blacklisted"
+            amount <= allowance,
+            "GenericToken: Minter allowance exceeded"
+        );
+        require(
+            _currentUsage(_minterUsage[msg.sender], MINTER_CAP_WINDOW) + amount <= dailyCap,
+            "GenericToken: Daily mint limit exceeded"
+        );
+        require(
+            _currentUsage(_mintUsage, _mintRateWindow) + amount <= _mintRateLimit,
+            "GenericToken: Mint rate limit exceeded"
         );
         _;
+        _recordUsage(_minterUsage[msg.sender], amount, MINTER_CAP_WINDOW);
+        _recordUsage(_mintUsage, amount, _mintRateWindow);
+        if (allowance != type(uint256).max) {
+            _minterConfigs[msg.sender].allowance = allowance - amount;
+        }
     }
 
     /**
-     * @dev Ensures recipient is not blacklisted
-     */
-    modifier recipientNotBlacklisted(address to) {
-        require(!_blacklisted[to], "GenericToken: Recipient is blacklisted");
-        _;
-    }
-
-    /**
-     * @dev Checks daily minting limit
+     * @dev Only callable when the token is neither frozen nor in recovery;
+     * operations that change balances are also stopped by _update while
+     * transfers are paused
      */
-    modifier respectsDailyLimit(uint256 amount) {
-        uint256 today = block.timestamp / 1 days;
-        uint256 dailyTotal = _dailyMinted[today] + amount;
-        require(
-            dailyTotal <= DAILY_MINT_LIMIT,
-            "GenericToken: Daily mint limit exceeded"
-        );
+    modifier whenNotFrozen() {
+        _requireNotFrozen();
         _;
-        _dailyMinted[today] = dailyTotal;
     }
 
     /**
-     * @dev Only callable when not in emergency mode
+     * @dev Only callable while the operation's own pause flag is not set
      */
-    modifier notEmergencyMode() {
-        require(!_emergencyMode, "GenericToken: Contract in emergency mode");
+    modifier whenOperationNotPaused(Operation operation) {
+        _requireOperationNotPaused(operation);
         _;
     }
 
@@ -189,7 +467,7 @@ contract GenericToken is
      * @param decimals_ The number of decimals (e.g., 18 for standard, 6 for stablecoins)
      * @param initialSupply Initial tokens to mint for the owner (in smallest units)
      * @param maxSupply_ Maximum supply cap (in smallest units)
-     * @param dailyMintLimit_ Daily minting limit (in smallest units)
+     * @param dailyMintLimit_ Initial mint rate limit per 24 hours (in smallest units)
      */
     constructor(
         string memory name,
@@ -215,16 +493,21 @@ contract GenericToken is
 
         _decimals = decimals_;
         MAX_SUPPLY = maxSupply_;
-        DAILY_MINT_LIMIT = dailyMintLimit_;
+        _mintRateLimit = dailyMintLimit_;
+        _mintRateWindow = 1 days;
 
         if (initialSupply > 0) {
             _mint(msg.sender, initialSupply);
             emit TokensMinted(msg.sender, initialSupply);
         }
 
-        // Owner is automatically a minter
-        _minters[msg.sender] = true;
-        emit MinterAdded(msg.sender);
+        // The deployer starts with every role; DEFAULT_ADMIN_ROLE and
+        // MINTER_ROLE were granted along with ownership by Ownable's constructor
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(BLACKLISTER_ROLE, msg.sender);
+        _grantRole(MINTER_ADMIN_ROLE, msg.sender);
+        _grantRole(EMERGENCY_ROLE, msg.sender);
+        _setRoleAdmin(MINTER_ROLE, MINTER_ADMIN_ROLE);
     }
 
     // ============ External Functions ============
@@ -242,44 +525,42 @@ contract GenericToken is
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external notEmergencyMode {
-        require(
-            !_blacklisted[from] && !_blacklisted[to],
-            "GenericToken: Blacklisted address"
-        );
-        require(
-            block.timestamp > validAfter,
-            "GenericToken: Authorization not yet valid"
-        );
-        require(
-            block.timestamp < validBefore,
-            "GenericToken: Authorization expired"
-        );
-        require(
-            _authorizationStates[from][nonce] ==
-                uint8(AuthorizationState.Unused),
-            "GenericToken: Authorization used or canceled"
+    ) external {
+        transferWithAuthorization(
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            abi.encodePacked(r, s, v)
         );
+    }
 
-        bytes32 structHash = keccak256(
-            abi.encode(
-                TRANSFER_WITH_AUTHORIZATION_TYPEHASH,
-                from,
-                to,
-                value,
-                validAfter,
-                validBefore,
-                nonce
-            )
+    /**
+     * @dev EIP-3009: Transfer tokens with signed authorization, the signature
+     * given as bytes: a 65-byte ECDSA signature (r, s, v) from an EOA, or
+     * whatever `from` accepts through ERC-1271 when it is a contract.
+     */
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) public whenNotFrozen whenOperationNotPaused(Operation.Authorization) {
+        _useAuthorization(
+            TRANSFER_WITH_AUTHORIZATION_TYPEHASH,
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            signature
         );
-
-        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
-        require(signer == from, "GenericToken: Invalid signature");
-
-        _authorizationStates[from][nonce] = uint8(AuthorizationState.Used);
-        emit AuthorizationUsed(from, nonce);
-
-        _transfer(from, to, value);
     }
 
     /**
@@ -295,45 +576,42 @@ contract GenericToken is
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external notEmergencyMode {
-        require(msg.sender == to, "GenericToken: Caller must be recipient");
-        require(
-            !_blacklisted[from] && !_blacklisted[to],
-            "GenericToken: Blacklisted address"
-        );
-        require(
-            block.timestamp > validAfter,
-            "GenericToken: Authorization not yet valid"
-        );
-        require(
-            block.timestamp < validBefore,
-            "GenericToken: Authorization expired"
-        );
-        require(
-            _authorizationStates[from][nonce] ==
-                uint8(AuthorizationState.Unused),
-            "GenericToken: Authorization used or canceled"
+    ) external {
+        receiveWithAuthorization(
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            abi.encodePacked(r, s, v)
         );
+    }
 
-        bytes32 structHash = keccak256(
-            abi.encode(
-                RECEIVE_WITH_AUTHORIZATION_TYPEHASH,
-                from,
-                to,
-                value,
-                validAfter,
-                validBefore,
-                nonce
-            )
+    /**
+     * @dev EIP-3009: Receive tokens with signed authorization, the signature
+     * given as bytes (see transferWithAuthorization). Caller must be the recipient.
+     */
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) public whenNotFrozen whenOperationNotPaused(Operation.Authorization) {
+        require(msg.sender == to, "GenericToken: Caller must be recipient");
+        _useAuthorization(
+            RECEIVE_WITH_AUTHORIZATION_TYPEHASH,
+            from,
+            to,
+            value,
+            validAfter,
+            validBefore,
+            nonce,
+            signature
         );
-
-        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
-        require(signer == from, "GenericToken: Invalid signature");
-
-        _authorizationStates[from][nonce] = uint8(AuthorizationState.Used);
-        emit AuthorizationUsed(from, nonce);
-
-        _transfer(from, to, value);
     }
 
     /**
@@ -345,26 +623,93 @@ contract GenericToken is
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external notEmergencyMode {
+    ) external {
+        cancelAuthorization(authorizer, nonce, abi.encodePacked(r, s, v));
+    }
+
+    /**
+     * @dev EIP-3009: Cancel a signed authorization that has not been used
+     * yet, the signature given as bytes (see transferWithAuthorization).
+     */
+    function cancelAuthorization(
+        address authorizer,
+        bytes32 nonce,
+        bytes memory signature
+    ) public whenNotFrozen {
         require(
             _authorizationStates[authorizer][nonce] ==
                 uint8(AuthorizationState.Unused),
             "GenericToken: Authorization used or canceled"
         );
-
-        bytes32 structHash = keccak256(
-            abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce)
+        _requireValidSignature(
+            authorizer,
+            keccak256(
+                abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce)
+            ),
+            signature
         );
 
-        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
-        require(signer == authorizer, "GenericToken: Invalid signature");
-
         _authorizationStates[authorizer][nonce] = uint8(
             AuthorizationState.Canceled
         );
         emit AuthorizationCanceled(authorizer, nonce);
     }
 
+    /**
+     * @dev Executes EIP-3009 transfer authorizations in one transaction, each
+     * exactly as transferWithAuthorization would with the same caller. With
+     * skipFailed false the batch is all-or-nothing and reverts with the first
+     * failed item's reason; with skipFailed true failed items are left out
+     * (and stay unused) while the others go through.
+     * @param authorizations The signed authorizations, in execution order
+     * @param skipFailed Whether to go on past failed items
+     * @return results Whether each item was executed
+     */
+    function transferWithAuthorizationBatch(
+        TransferAuthorization[] calldata authorizations,
+        bool skipFailed
+    )
+        external
+        whenNotFrozen
+        whenOperationNotPaused(Operation.Authorization)
+        returns (bool[] memory results)
+    {
+        require(authorizations.length > 0, "GenericToken: Empty batch");
+        results = new bool[](authorizations.length);
+
+        for (uint256 i = 0; i < authorizations.length; i++) {
+            TransferAuthorization calldata item = authorizations[i];
+            // A delegatecall to this contract keeps msg.sender, so the caller's
+            // blacklist and pause exemption apply as for a single call, and
+            // rolls back just the item when it fails
+            (bool success, bytes memory reason) = address(this).delegatecall(
+                abi.encodeWithSelector(
+                    TRANSFER_WITH_AUTHORIZATION_SELECTOR,
+                    item.from,
+                    item.to,
+                    item.value,
+                    item.validAfter,
+                    item.validBefore,
+                    item.nonce,
+                    item.signature
+                )
+            );
+            if (!success && !skipFailed) {
+                assembly {
+                    revert(add(reason, 0x20), mload(reason))
+                }
+            }
+            results[i] = success;
+            emit BatchAuthorizationResult(
+                i,
+                item.from,
+                item.nonce,
+                success,
+                success ? bytes("") : reason
+            );
+        }
+    }
+
     /**
      * @dev View authorization state for an (authorizer, nonce).
      */
@@ -386,10 +731,9 @@ contract GenericToken is
     )
         external
         onlyMinter
-        notBlacklisted
-        recipientNotBlacklisted(to)
-        respectsDailyLimit(amount)
-        notEmergencyMode
+        whenNotFrozen
+        whenOperationNotPaused(Operation.Mint)
+        respectsMinterLimits(amount)
     {
         require(to != address(0), "GenericToken: Cannot mint to zero address");
         require(
@@ -407,7 +751,7 @@ contract GenericToken is
      */
     function burn(
         uint256 amount
-    ) public override notBlacklisted notEmergencyMode {
+    ) public override whenNotFrozen whenOperationNotPaused(Operation.Burn) {
         super.burn(amount);
     }
 
@@ -419,7 +763,7 @@ contract GenericToken is
     function burnFrom(
         address account,
         uint256 amount
-    ) public override notBlacklisted notEmergencyMode {
+    ) public override whenNotFrozen whenOperationNotPaused(Operation.Burn) {
         super.burnFrom(account, amount);
     }
 
@@ -435,9 +779,8 @@ contract GenericToken is
     )
         public
         override
-        notBlacklisted
-        recipientNotBlacklisted(to)
-        notEmergencyMode
+        whenNotFrozen
+        whenOperationNotPaused(Operation.Transfer)
         returns (bool)
     {
         return super.transfer(to, amount);
@@ -457,9 +800,8 @@ contract GenericToken is
     )
         public
         override
-        notBlacklisted
-        recipientNotBlacklisted(to)
-        notEmergencyMode
+        whenNotFrozen
+        whenOperationNotPaused(Operation.Transfer)
         returns (bool)
     {
         return super.transferFrom(from, to, amount);
@@ -474,7 +816,7 @@ contract GenericToken is
     function approve(
         address spender,
         uint256 amount
-    ) public override notBlacklisted notEmergencyMode returns (bool) {
+    ) public override whenNotFrozen returns (bool) {
         return super.approve(spender, amount);
     }
 
@@ -496,99 +838,286 @@ contract GenericToken is
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) public override notEmergencyMode {
-        super.permit(owner, spender, value, deadline, v, r, s);
+    ) public override {
+        permit(owner, spender, value, deadline, abi.encodePacked(r, s, v));
     }
 
     /**
-     * @dev Pauses all token transfers and operations
+     * @dev Permits spending of tokens via signature (EIP-2612), the signature
+     * given as bytes: a 65-byte ECDSA signature (r, s, v) from an EOA, or
+     * whatever `owner` accepts through ERC-1271 when it is a contract
+     * @param owner The token owner
+     * @param spender The approved spender
+     * @param value The amount to approve
+     * @param deadline The deadline for the signature
+     * @param signature The owner's signature
      */
-    function pause() external onlyOwner {
-        _pause();
-        emit ContractPaused(msg.sender);
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        bytes memory signature
+    ) public whenNotFrozen whenOperationNotPaused(Operation.Permit) {
+        if (block.timestamp > deadline) {
+            revert ERC2612ExpiredSignature(deadline);
+        }
+
+        (bool valid, address signer) = _checkSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    PERMIT_TYPEHASH,
+                    owner,
+                    spender,
+                    value,
+                    _useNonce(owner),
+                    deadline
+                )
+            ),
+            signature
+        );
+        if (!valid) {
+            revert ERC2612InvalidSigner(signer, owner);
+        }
+
+        _approve(owner, spender, value);
     }
 
     /**
-     * @dev Unpauses all token transfers and operations
+     * @dev Moves the circuit breaker from Normal to TransfersPaused
      */
-    function unpause() external onlyOwner {
-        _unpause();
-        emit ContractUnpaused(msg.sender);
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _requireNotPaused();
+        _setCircuitBreaker(CircuitBreakerLevel.TransfersPaused);
     }
 
     /**
-     * @dev Adds a new minter
-     * @param minter The address to add as minter
+     * @dev Moves the circuit breaker from Normal or TransfersPaused to Frozen
      */
-    function addMinter(address minter) external onlyOwner {
+    function freeze() external onlyRole(PAUSER_ROLE) {
         require(
-            minter != address(0),
-            "GenericToken: Cannot add zero address as minter"
+            _circuitBreaker < CircuitBreakerLevel.Frozen,
+            "GenericToken: Token is already frozen"
         );
-        require(!_minters[minter], "GenericToken: Address is already a minter");
-
-        _minters[minter] = true;
-        emit MinterAdded(minter);
+        _setCircuitBreaker(CircuitBreakerLevel.Frozen);
     }
 
     /**
-     * @dev Removes a minter
-     * @param minter The address to remove as minter
+     * @dev Returns the circuit breaker from TransfersPaused or Frozen to
+     * Normal. Reserved to the owner, so a pauser can stop the token at once
+     * but restarting it goes through the owner (e.g. a timelock). Recovery
+     * has to be left with deactivateEmergencyMode first.
      */
-    function removeMinter(address minter) external onlyOwner {
-        require(_minters[minter], "GenericToken: Address is not a minter");
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(
-            minter != owner(),
-            "GenericToken: Cannot remove owner as minter"
+            _circuitBreaker != CircuitBreakerLevel.Recovery,
+            "GenericToken: Contract in emergency mode"
         );
-
-        _minters[minter] = false;
-        emit MinterRemoved(minter);
+        _requirePaused();
+        _setCircuitBreaker(CircuitBreakerLevel.Normal);
     }
 
     /**
-     * @dev Blacklists an address from using the token
-     * @param account The address to blacklist
+     * @dev Adds a new minter; wrapper around granting MINTER_ROLE
+     * @param minter The address to add as minter
      */
-    function blacklist(address account) external onlyOwner {
+    function addMinter(address minter) external onlyRole(MINTER_ADMIN_ROLE) {
         require(
-            account != address(0),
-            "GenericToken: Cannot blacklist zero address"
+            minter != address(0),
+            "GenericToken: Cannot add zero address as minter"
+        );
+        require(
+            _grantRole(MINTER_ROLE, minter),
+            "GenericToken: Address is already a minter"
         );
-        require(account != owner(), "GenericToken: Cannot blacklist owner");
-
-        _blacklisted[account] = true;
-        emit EmergencyAction(msg.sender, "BLACKLIST");
     }
 
     /**
-     * @dev Removes an address from the blacklist
-     * @param account The address to unblacklist
+     * @dev Removes a minter; wrapper around revoking MINTER_ROLE
+     * @param minter The address to remove as minter
      */
-    function unblacklist(address account) external onlyOwner {
-        _blacklisted[account] = false;
-        emit EmergencyAction(msg.sender, "UNBLACKLIST");
-    }
+    function removeMinter(
+        address minter
+    ) external onlyRole(MINTER_ADMIN_ROLE) {
+        require(
+            _revokeRole(MINTER_ROLE, minter),
+            "GenericToken: Address is not a minter"
+        );
+    }
+
+    /**
+     * @dev Sets a minter's remaining allowance and daily cap, adding it as
+     * minter if needed. type(uint256).max is an unlimited allowance that is
+     * not decremented; a zero daily cap stops the minter without removing it.
+     * @param minter The minter to configure
+     * @param allowance Total amount the minter may still mint
+     * @param dailyCap Amount the minter may mint per day
+     */
+    function configureMinter(
+        address minter,
+        uint256 allowance,
+        uint256 dailyCap
+    ) external onlyRole(MINTER_ADMIN_ROLE) {
+        require(
+            minter != address(0),
+            "GenericToken: Cannot add zero address as minter"
+        );
+        _grantRole(MINTER_ROLE, minter);
+        _minterConfigs[minter] = MinterConfig(true, allowance, dailyCap);
+        emit MinterConfigured(minter, allowance, dailyCap);
+    }
+
+    /**
+     * @dev Sets the mint rate limit and the window it applies to. Amounts
+     * minted before the change keep counting against the new limit.
+     * @param limit Most that all minters together may mint per window
+     * @param window Window length in seconds, at most 365 days
+     */
+    function setMintRateLimit(
+        uint256 limit,
+        uint256 window
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(limit > 0, "GenericToken: Mint rate limit must be greater than 0");
+        require(window > 0, "GenericToken: Mint rate window must be greater than 0");
+        require(
+            window <= MAX_MINT_RATE_WINDOW,
+            "GenericToken: Mint rate window cannot exceed 365 days"
+        );
+
+        emit MintRateLimitChanged(_mintRateLimit, limit, _mintRateWindow, window);
+        _mintRateLimit = limit;
+        _mintRateWindow = window;
+    }
+
+    /**
+     * @dev Blacklists an address from using the token
+     * @param account The address to blacklist
+     */
+    function blacklist(address account) external onlyRole(BLACKLISTER_ROLE) {
+        require(
+            account != address(0),
+            "GenericToken: Cannot blacklist zero address"
+        );
+        require(account != owner(), "GenericToken: Cannot blacklist owner");
+
+        require(
+            _blacklisted.add(account),
+            "GenericToken: Address is already blacklisted"
+        );
+        emit Blacklisted(account);
+        emit EmergencyAction(msg.sender, "BLACKLIST");
+    }
+
+    /**
+     * @dev Removes an address from the blacklist
+     * @param account The address to unblacklist
+     */
+    function unblacklist(
+        address account
+    ) external onlyRole(BLACKLISTER_ROLE) {
+        require(
+            _blacklisted.remove(account),
+            "GenericToken: Address is not blacklisted"
+        );
+        emit Unblacklisted(account);
+        emit EmergencyAction(msg.sender, "UNBLACKLIST");
+    }
 
     /**
-     * @dev Activates emergency mode, restricting most operations
+     * @dev Pauses a single operation without touching the circuit breaker,
+     * e.g. minting during a reserve audit
+     * @param operation The operation to pause
      */
-    function activateEmergencyMode() external onlyOwner {
-        _emergencyMode = true;
+    function pauseOperation(
+        Operation operation
+    ) external onlyRole(PAUSER_ROLE) {
+        require(
+            !_operationPaused[operation],
+            "GenericToken: Operation is already paused"
+        );
+        _operationPaused[operation] = true;
+        emit OperationPaused(msg.sender, operation);
+    }
+
+    /**
+     * @dev Unpauses a single operation; like unpause, reserved to the owner
+     * @param operation The operation to unpause
+     */
+    function unpauseOperation(
+        Operation operation
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _operationPaused[operation],
+            "GenericToken: Operation is not paused"
+        );
+        _operationPaused[operation] = false;
+        emit OperationUnpaused(msg.sender, operation);
+    }
+
+    /**
+     * @dev Lets an address move tokens while transfers are paused (e.g. a
+     * redemption contract returning tokens to the treasury). Frozen and
+     * Recovery still stop it.
+     * @param account The address to exempt
+     */
+    function addPauseExemption(
+        address account
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            account != address(0),
+            "GenericToken: Cannot exempt zero address"
+        );
+        require(
+            _pauseExempt.add(account),
+            "GenericToken: Address is already pause exempt"
+        );
+        emit PauseExemptionAdded(account);
+    }
+
+    /**
+     * @dev Removes an address's pause exemption
+     * @param account The address to remove
+     */
+    function removePauseExemption(
+        address account
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _pauseExempt.remove(account),
+            "GenericToken: Address is not pause exempt"
+        );
+        emit PauseExemptionRemoved(account);
+    }
+
+    /**
+     * @dev Moves the circuit breaker to Recovery from any other level
+     */
+    function activateEmergencyMode() external onlyRole(EMERGENCY_ROLE) {
+        require(
+            _circuitBreaker != CircuitBreakerLevel.Recovery,
+            "GenericToken: Already in emergency mode"
+        );
+        _setCircuitBreaker(CircuitBreakerLevel.Recovery);
+        emit EmergencyModeActivated(msg.sender);
         emit EmergencyAction(msg.sender, "EMERGENCY_MODE_ACTIVATED");
     }
 
     /**
-     * @dev Deactivates emergency mode
+     * @dev Leaves Recovery for Frozen; the owner then unpauses the token
      */
-    function deactivateEmergencyMode() external onlyOwner {
-        _emergencyMode = false;
+    function deactivateEmergencyMode() external onlyRole(EMERGENCY_ROLE) {
+        require(
+            _circuitBreaker == CircuitBreakerLevel.Recovery,
+            "GenericToken: Not in emergency mode"
+        );
+        _setCircuitBreaker(CircuitBreakerLevel.Frozen);
+        emit EmergencyModeDeactivated(msg.sender);
         emit EmergencyAction(msg.sender, "EMERGENCY_MODE_DEACTIVATED");
     }
 
     /**
      * @dev Emergency function to transfer tokens from any account (in case of lost keys)
-     * Only usable in emergency mode and requires owner privileges
+     * Only usable in Recovery (emergency mode) and requires EMERGENCY_ROLE
      * @param from The address to transfer from
      * @param to The address to transfer to
      * @param amount The amount to transfer
@@ -597,17 +1126,84 @@ contract GenericToken is
         address from,
         address to,
         uint256 amount
-    ) external onlyOwner {
-        require(_emergencyMode, "GenericToken: Not in emergency mode");
+    ) external onlyRole(EMERGENCY_ROLE) {
+        require(
+            _circuitBreaker == CircuitBreakerLevel.Recovery,
+            "GenericToken: Not in emergency mode"
+        );
         require(
             to != address(0),
             "GenericToken: Cannot transfer to zero address"
         );
 
-        _transfer(from, to, amount);
+        _transferUnchecked(from, to, amount);
+        emit EmergencyTransfer(from, to, amount);
         emit EmergencyAction(msg.sender, "EMERGENCY_TRANSFER");
     }
 
+    /**
+     * @dev Sets the address that receives seized funds
+     * @param recoveryAddress_ The new recovery address
+     */
+    function setRecoveryAddress(
+        address recoveryAddress_
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            recoveryAddress_ != address(0),
+            "GenericToken: Recovery address cannot be zero address"
+        );
+        require(
+            !_blacklisted.contains(recoveryAddress_),
+            "GenericToken: Recovery address is blacklisted"
+        );
+        emit RecoveryAddressChanged(_recoveryAddress, recoveryAddress_);
+        _recoveryAddress = recoveryAddress_;
+    }
+
+    /**
+     * @dev Moves the whole balance of a blacklisted account to the recovery
+     * address. Works at every level but Frozen, so emergency mode is not
+     * needed and other holders are unaffected.
+     * @param account The blacklisted account
+     * @return amount The amount seized
+     */
+    function seizeBlacklistedFunds(
+        address account
+    ) external onlyRole(EMERGENCY_ROLE) returns (uint256 amount) {
+        require(
+            _recoveryAddress != address(0),
+            "GenericToken: Recovery address not set"
+        );
+        require(
+            !_blacklisted.contains(_recoveryAddress),
+            "GenericToken: Recovery address is blacklisted"
+        );
+        amount = _takeBlacklistedBalance(account, _recoveryAddress);
+        emit EmergencyAction(msg.sender, "SEIZE");
+    }
+
+    /**
+     * @dev Burns the whole balance of a blacklisted account; works at every
+     * level but Frozen
+     * @param account The blacklisted account
+     * @return amount The amount burned
+     */
+    function wipeBlacklistedFunds(
+        address account
+    ) external onlyRole(EMERGENCY_ROLE) returns (uint256 amount) {
+        amount = _takeBlacklistedBalance(account, address(0));
+        emit EmergencyAction(msg.sender, "WIPE");
+    }
+
+    /**
+     * @dev Disabled: without an owner nobody could unpause the token or
+     * manage roles again. Hand the token over with transferOwnership and
+     * acceptOwnership instead.
+     */
+    function renounceOwnership() public view override onlyOwner {
+        revert("GenericToken: Renouncing ownership is disabled");
+    }
+
     // ============ View Functions ============
 
     /**
@@ -616,7 +1212,56 @@ contract GenericToken is
      * @return bool True if the address is a minter
      */
     function isMinter(address account) external view returns (bool) {
-        return _minters[account];
+        return hasRole(MINTER_ROLE, account);
+    }
+
+    /**
+     * @dev Gets the total amount a minter may still mint
+     * @param minter The minter to check
+     * @return uint256 Remaining allowance, type(uint256).max if unlimited
+     */
+    function minterAllowance(address minter) external view returns (uint256) {
+        (uint256 allowance, ) = _minterLimits(minter);
+        return allowance;
+    }
+
+    /**
+     * @dev Gets the amount a minter may mint per day
+     * @param minter The minter to check
+     * @return uint256 Daily cap of the minter
+     */
+    function minterDailyCap(address minter) external view returns (uint256) {
+        (, uint256 dailyCap) = _minterLimits(minter);
+        return dailyCap;
+    }
+
+    /**
+     * @dev Gets the amount that still counts against a minter's daily cap
+     * @param minter The minter to check
+     * @return uint256 Amount minted by the minter within the rolling window
+     */
+    function minterDailyMinted(address minter) external view returns (uint256) {
+        return _currentUsage(_minterUsage[minter], MINTER_CAP_WINDOW);
+    }
+
+    /**
+     * @dev Gets how much a minter can mint right now, limited by its
+     * allowance, what is left of its daily cap and the mint rate limit
+     * @param minter The minter to check
+     * @return uint256 Remaining mint capacity, 0 for non-minters
+     */
+    function remainingMinterCapacity(
+        address minter
+    ) external view returns (uint256) {
+        if (!hasRole(MINTER_ROLE, minter)) {
+            return 0;
+        }
+        (uint256 allowance, uint256 dailyCap) = _minterLimits(minter);
+        uint256 capacity = Math.min(
+            allowance,
+            _remaining(_currentUsage(_minterUsage[minter], MINTER_CAP_WINDOW), dailyCap)
+        );
+        return Math.min(capacity, _remainingMintRate());
     }
 
     /**
@@ -625,33 +1270,194 @@ contract GenericToken is
      * @return bool True if the address is blacklisted
      */
     function isBlacklisted(address account) external view returns (bool) {
-        return _blacklisted[account];
+        return _blacklisted.contains(account);
+    }
+
+    /**
+     * @dev Gets the number of minters
+     * @return uint256 Number of minters
+     */
+    function minterCount() external view returns (uint256) {
+        return _minters.length();
+    }
+
+    /**
+     * @dev Gets the minter at an index; order changes when minters are removed
+     * @param index Index between 0 and minterCount() - 1
+     * @return address The minter at the index
+     */
+    function minterAt(uint256 index) external view returns (address) {
+        require(
+            index < _minters.length(),
+            "GenericToken: Index out of bounds"
+        );
+        return _minters.at(index);
+    }
+
+    /**
+     * @dev Gets a page of minters
+     * @param offset Index of the first minter to return
+     * @param limit Maximum number of minters to return
+     * @return address[] Minters from offset, empty past the end
+     */
+    function getMinters(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(_minters, offset, limit);
+    }
+
+    /**
+     * @dev Gets the number of blacklisted addresses
+     * @return uint256 Number of blacklisted addresses
+     */
+    function blacklistedCount() external view returns (uint256) {
+        return _blacklisted.length();
+    }
+
+    /**
+     * @dev Gets the blacklisted address at an index; order changes when addresses are unblacklisted
+     * @param index Index between 0 and blacklistedCount() - 1
+     * @return address The blacklisted address at the index
+     */
+    function blacklistedAt(uint256 index) external view returns (address) {
+        require(
+            index < _blacklisted.length(),
+            "GenericToken: Index out of bounds"
+        );
+        return _blacklisted.at(index);
+    }
+
+    /**
+     * @dev Gets a page of blacklisted addresses
+     * @param offset Index of the first address to return
+     * @param limit Maximum number of addresses to return
+     * @return address[] Blacklisted addresses from offset, empty past the end
+     */
+    function getBlacklisted(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(_blacklisted, offset, limit);
+    }
+
+    /**
+     * @dev Checks if an address can move tokens while transfers are paused
+     * @param account The address to check
+     * @return bool True if the address is pause exempt
+     */
+    function isPauseExempt(address account) external view returns (bool) {
+        return _pauseExempt.contains(account);
+    }
+
+    /**
+     * @dev Gets the number of pause exempt addresses
+     * @return uint256 Number of pause exempt addresses
+     */
+    function pauseExemptCount() external view returns (uint256) {
+        return _pauseExempt.length();
+    }
+
+    /**
+     * @dev Gets the pause exempt address at an index; order changes when exemptions are removed
+     * @param index Index between 0 and pauseExemptCount() - 1
+     * @return address The pause exempt address at the index
+     */
+    function pauseExemptAt(uint256 index) external view returns (address) {
+        require(
+            index < _pauseExempt.length(),
+            "GenericToken: Index out of bounds"
+        );
+        return _pauseExempt.at(index);
+    }
+
+    /**
+     * @dev Gets a page of pause exempt addresses
+     * @param offset Index of the first address to return
+     * @param limit Maximum number of addresses to return
+     * @return address[] Pause exempt addresses from offset, empty past the end
+     */
+    function getPauseExempt(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(_pauseExempt, offset, limit);
     }
 
     /**
      * @dev Checks if the contract is in emergency mode
-     * @return bool True if in emergency mode
+     * @return bool True if the circuit breaker is at Recovery
      */
     function emergencyMode() external view returns (bool) {
-        return _emergencyMode;
+        return _circuitBreaker == CircuitBreakerLevel.Recovery;
+    }
+
+    /**
+     * @dev Gets the current circuit breaker level
+     * @return CircuitBreakerLevel Normal, TransfersPaused, Frozen or Recovery
+     */
+    function circuitBreakerLevel() external view returns (CircuitBreakerLevel) {
+        return _circuitBreaker;
     }
 
     /**
-     * @dev Gets the amount minted today
-     * @return uint256 Amount minted today
+     * @dev Checks if an operation is paused on its own
+     * @param operation Mint, Burn, Transfer, Permit or Authorization
+     * @return bool True if the operation's pause flag is set
+     */
+    function isOperationPaused(
+        Operation operation
+    ) external view returns (bool) {
+        return _operationPaused[operation];
+    }
+
+    /**
+     * @dev Gets the address that receives seized funds
+     * @return address The recovery address, zero if not set
+     */
+    function recoveryAddress() external view returns (address) {
+        return _recoveryAddress;
+    }
+
+    /**
+     * @dev Gets the amount that still counts against the mint rate limit
+     * @return uint256 Amount minted by all minters within the rolling window
      */
     function dailyMinted() external view returns (uint256) {
-        uint256 today = block.timestamp / 1 days;
-        return _dailyMinted[today];
+        return _currentUsage(_mintUsage, _mintRateWindow);
     }
 
     /**
-     * @dev Gets the remaining daily mint limit
-     * @return uint256 Remaining daily limit
+     * @dev Gets how much all minters together can still mint right now
+     * @return uint256 Remaining mint rate limit
      */
     function remainingDailyLimit() external view returns (uint256) {
-        uint256 today = block.timestamp / 1 days;
-        return DAILY_MINT_LIMIT - _dailyMinted[today];
+        return _remainingMintRate();
+    }
+
+    /**
+     * @dev Gets the most that all minters together may mint per window
+     * @return uint256 Mint rate limit (in smallest units)
+     */
+    function mintRateLimit() external view returns (uint256) {
+        return _mintRateLimit;
+    }
+
+    /**
+     * @dev Gets the mint rate limit under its original name, for integrations
+     * that read the daily mint limit
+     * @return uint256 Mint rate limit (in smallest units)
+     */
+    function DAILY_MINT_LIMIT() external view returns (uint256) {
+        return _mintRateLimit;
+    }
+
+    /**
+     * @dev Gets the length of the mint rate window
+     * @return uint256 Window length in seconds
+     */
+    function mintRateWindow() external view returns (uint256) {
+        return _mintRateWindow;
     }
 
     /**
@@ -673,13 +1479,401 @@ contract GenericToken is
     // ============ Internal Functions ============
 
     /**
-     * @dev Override the _update function to resolve conflict between ERC20 and ERC20Pausable
+     * @dev Checks an EIP-3009 transfer or receive authorization, marks it
+     * used and moves the tokens
+     */
+    function _useAuthorization(
+        bytes32 typeHash,
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) private {
+        require(
+            block.timestamp > validAfter,
+            "GenericToken: Authorization not yet valid"
+        );
+        require(
+            block.timestamp < validBefore,
+            "GenericToken: Authorization expired"
+        );
+        require(
+            _authorizationStates[from][nonce] ==
+                uint8(AuthorizationState.Unused),
+            "GenericToken: Authorization used or canceled"
+        );
+        _requireValidSignature(
+            from,
+            keccak256(
+                abi.encode(
+                    typeHash,
+                    from,
+                    to,
+                    value,
+                    validAfter,
+                    validBefore,
+                    nonce
+                )
+            ),
+            signature
+        );
+
+        _authorizationStates[from][nonce] = uint8(AuthorizationState.Used);
+        emit AuthorizationUsed(from, nonce);
+
+        _transfer(from, to, value);
+    }
+
+    /**
+     * @dev Checks `signature` over the EIP-712 digest of `structHash` against
+     * `account`: recovered with ECDSA for an EOA, checked with ERC-1271
+     * isValidSignature for a contract. `signer` is the recovered address for
+     * an EOA (zero if none), `account` for a contract that accepts it.
+     */
+    function _checkSignature(
+        address account,
+        bytes32 structHash,
+        bytes memory signature
+    ) private view returns (bool valid, address signer) {
+        bytes32 digest = _hashTypedDataV4(structHash);
+        if (account.code.length == 0) {
+            ECDSA.RecoverError err;
+            (signer, err, ) = ECDSA.tryRecover(digest, signature);
+            valid = err == ECDSA.RecoverError.NoError && signer == account;
+        } else {
+            (bool success, bytes memory result) = account.staticcall(
+                abi.encodeCall(IERC1271.isValidSignature, (digest, signature))
+            );
+            valid =
+                success &&
+                result.length >= 32 &&
+                abi.decode(result, (bytes32)) ==
+                bytes32(IERC1271.isValidSignature.selector);
+            signer = valid ? account : address(0);
+        }
+    }
+
+    /**
+     * @dev Requires `signature` over `structHash` to be from `signer` (see
+     * _checkSignature)
+     */
+    function _requireValidSignature(
+        address signer,
+        bytes32 structHash,
+        bytes memory signature
+    ) private view {
+        (bool valid, ) = _checkSignature(signer, structHash, signature);
+        require(valid, "GenericToken: Invalid signature");
+    }
+
+    /**
+     * @dev Runs when the pending owner accepts. Keeps DEFAULT_ADMIN_ROLE with
+     * the owner. Operational roles held by the previous owner move to the new
+     * one, so handing the token over never leaves pause, blacklist or
+     * emergency powers with the old key, and the owner's minter status moves
+     * along with them (the old owner's minter configuration is dropped).
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+
+        if (previousOwner != address(0) && previousOwner != newOwner) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+            bytes32[4] memory roles = [
+                PAUSER_ROLE,
+                BLACKLISTER_ROLE,
+                MINTER_ADMIN_ROLE,
+                EMERGENCY_ROLE
+            ];
+            for (uint256 i = 0; i < roles.length; i++) {
+                if (_revokeRole(roles[i], previousOwner)) {
+                    _grantRole(roles[i], newOwner);
+                }
+            }
+            _revokeRole(MINTER_ROLE, previousOwner);
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        _grantRole(MINTER_ROLE, newOwner);
+    }
+
+    /**
+     * @dev Restricts DEFAULT_ADMIN_ROLE to the owner and mirrors MINTER_ROLE
+     * into the enumerable minter set
+     */
+    function _grantRole(
+        bytes32 role,
+        address account
+    ) internal override returns (bool granted) {
+        require(
+            role != DEFAULT_ADMIN_ROLE || account == owner(),
+            "GenericToken: Admin role follows ownership"
+        );
+        granted = super._grantRole(role, account);
+        if (granted && role == MINTER_ROLE) {
+            _minters.add(account);
+            emit MinterAdded(account);
+        }
+    }
+
+    /**
+     * @dev Keeps the owner's admin and minter roles and mirrors MINTER_ROLE
+     * into the enumerable minter set
+     */
+    function _revokeRole(
+        bytes32 role,
+        address account
+    ) internal override returns (bool revoked) {
+        require(
+            role != DEFAULT_ADMIN_ROLE || account != owner(),
+            "GenericToken: Admin role follows ownership"
+        );
+        require(
+            role != MINTER_ROLE || account != owner(),
+            "GenericToken: Cannot remove owner as minter"
+        );
+        revoked = super._revokeRole(role, account);
+        if (revoked && role == MINTER_ROLE) {
+            _minters.remove(account);
+            delete _minterConfigs[account];
+            emit MinterRemoved(account);
+        }
+    }
+
+    /**
+     * @dev Reverts when the token is frozen or in recovery
+     */
+    function _requireNotFrozen() private view {
+        require(
+            _circuitBreaker != CircuitBreakerLevel.Recovery,
+            "GenericToken: Contract in emergency mode"
+        );
+        require(
+            _circuitBreaker != CircuitBreakerLevel.Frozen,
+            "GenericToken: Token is frozen"
+        );
+    }
+
+    /**
+     * @dev Reverts when the operation's own pause flag is set
+     */
+    function _requireOperationNotPaused(Operation operation) private view {
+        require(
+            !_operationPaused[operation],
+            "GenericToken: Operation is paused"
+        );
+    }
+
+    /**
+     * @dev Moves the circuit breaker to a new level, keeping paused() and
+     * the pause events in step with leaving and reaching Normal
+     */
+    function _setCircuitBreaker(CircuitBreakerLevel level) private {
+        CircuitBreakerLevel previousLevel = _circuitBreaker;
+        _circuitBreaker = level;
+        if (previousLevel == CircuitBreakerLevel.Normal) {
+            _pause();
+            emit ContractPaused(msg.sender);
+        } else if (level == CircuitBreakerLevel.Normal) {
+            _unpause();
+            emit ContractUnpaused(msg.sender);
+        }
+        emit CircuitBreakerLevelChanged(msg.sender, previousLevel, level);
+    }
+
+    /**
+     * @dev Seizes the balance of a blacklisted account, burning it when
+     * recipient is the zero address
+     */
+    function _takeBlacklistedBalance(
+        address account,
+        address recipient
+    ) private returns (uint256 amount) {
+        require(
+            _circuitBreaker != CircuitBreakerLevel.Frozen,
+            "GenericToken: Token is frozen"
+        );
+        require(
+            _blacklisted.contains(account),
+            "GenericToken: Account is not blacklisted"
+        );
+        amount = balanceOf(account);
+        _transferUnchecked(account, recipient, amount);
+        emit BlacklistedFundsSeized(account, recipient, amount);
+    }
+
+    /**
+     * @dev Allowance and daily cap of a minter, with the defaults for
+     * minters that were never configured
+     */
+    function _minterLimits(
+        address minter
+    ) private view returns (uint256 allowance, uint256 dailyCap) {
+        MinterConfig storage config = _minterConfigs[minter];
+        if (!config.configured) {
+            return (type(uint256).max, _mintRateLimit);
+        }
+        return (config.allowance, config.dailyCap);
+    }
+
+    /**
+     * @dev Length of one mint bucket, a sub-window of a rolling window
+     */
+    function _mintBucketLength(uint256 window) private pure returns (uint256) {
+        return Math.ceilDiv(window, MINT_BUCKETS);
+    }
+
+    /**
+     * @dev Amount minted within the rolling window: every bucket that
+     * started less than a window plus a bucket ago
+     */
+    function _currentUsage(
+        MintBucket[MINT_BUCKETS + 1] storage buckets,
+        uint256 window
+    ) private view returns (uint256 used) {
+        uint256 expiry = window + _mintBucketLength(window);
+        for (uint256 i = 0; i <= MINT_BUCKETS; i++) {
+            MintBucket storage bucket = buckets[i];
+            if (bucket.start + expiry > block.timestamp) {
+                used += bucket.amount;
+            }
+        }
+    }
+
+    /**
+     * @dev Adds a mint to the bucket of the current sub-window. A bucket
+     * from an earlier turn of the ring is dropped, unless a change of the
+     * window left it still counting, in which case it is carried over.
+     */
+    function _recordUsage(
+        MintBucket[MINT_BUCKETS + 1] storage buckets,
+        uint256 amount,
+        uint256 window
+    ) private {
+        uint256 length = _mintBucketLength(window);
+        uint256 index = block.timestamp / length;
+        MintBucket storage bucket = buckets[index % (MINT_BUCKETS + 1)];
+        if (bucket.start + window + length > block.timestamp) {
+            amount += bucket.amount;
+        }
+        bucket.amount = SafeCast.toUint192(amount);
+        bucket.start = uint64(index * length);
+    }
+
+    /**
+     * @dev What is left of a limit, zero once it is used up
+     */
+    function _remaining(
+        uint256 used,
+        uint256 limit
+    ) private pure returns (uint256) {
+        return used >= limit ? 0 : limit - used;
+    }
+
+    /**
+     * @dev What is left of the mint rate limit
+     */
+    function _remainingMintRate() private view returns (uint256) {
+        return _remaining(_currentUsage(_mintUsage, _mintRateWindow), _mintRateLimit);
+    }
+
+    /**
+     * @dev Copies up to limit entries of a set, starting at offset
+     */
+    function _page(
+        EnumerableSet.AddressSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (address[] memory page) {
+        uint256 length = set.length();
+        if (offset >= length) {
+            return new address[](0);
+        }
+        uint256 end = limit > length - offset ? length : offset + limit;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = set.at(i);
+        }
+    }
+
+    /**
+     * @dev Every balance change (transfer, transferFrom, mint, burn, burnFrom,
+     * EIP-3009) goes through here, so the pause and the blacklist apply to
+     * all of them. While transfers are paused only changes made by or
+     * debited from a pause exempt address go through. Neither the caller
+     * (spender, minter or relayer), the account debited nor the account
+     * credited may be blacklisted.
      */
     function _update(
         address from,
         address to,
         uint256 amount
-    ) internal override(ERC20, ERC20Pausable) {
+    ) internal override {
+        if (
+            paused() &&
+            !_pauseExempt.contains(msg.sender) &&
+            !_pauseExempt.contains(from)
+        ) {
+            revert EnforcedPause();
+        }
+        require(
+            !_blacklisted.contains(msg.sender),
+            "GenericToken: Caller is blacklisted"
+        );
+        require(
+            !_blacklisted.contains(from),
+            "GenericToken: Sender is blacklisted"
+        );
+        require(
+            !_blacklisted.contains(to),
+            "GenericToken: Recipient is blacklisted"
+        );
+        super._update(from, to, amount);
+    }
+
+    /**
+     * @dev Applies the blacklist to approve and permit. Allowance spent by
+     * transferFrom and burnFrom (emitEvent false) is left to _update, which
+     * checks the same accounts.
+     */
+    function _approve(
+        address owner,
+        address spender,
+        uint256 value,
+        bool emitEvent
+    ) internal override {
+        if (emitEvent) {
+            require(
+                !_blacklisted.contains(msg.sender),
+                "GenericToken: Caller is blacklisted"
+            );
+            require(
+                !_blacklisted.contains(owner),
+                "GenericToken: Approver is blacklisted"
+            );
+            require(
+                !_blacklisted.contains(spender),
+                "GenericToken: Spender is blacklisted"
+            );
+        }
+        super._approve(owner, spender, value, emitEvent);
+    }
+
+    /**
+     * @dev Moves (or, to the zero address, burns) tokens for the privileged
+     * recovery functions, bypassing the pause and blacklist checks in
+     * _update; callers check the circuit breaker level themselves
+     */
+    function _transferUnchecked(
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        if (from == address(0)) {
+            revert ERC20InvalidSender(address(0));
+        }
         super._update(from, to, amount);
     }
 
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title GenericTokenTimelock
+ * @dev OpenZeppelin TimelockController meant to own a GenericToken. Taking
+ * ownership gives it DEFAULT_ADMIN_ROLE and the owner's operational roles, so
+ * unpausing, minter changes, emergency mode and ownership transfers are
+ * scheduled here and only execute after the delay. Proposers can also cancel.
+ * An account holding PAUSER_ROLE directly on the token can still pause at once.
+ */
+contract GenericTokenTimelock is TimelockController {
+    /**
+     * @param minDelay Minimum delay in seconds between scheduling and execution
+     * @param proposers Accounts that can schedule and cancel operations
+     * @param executors Accounts that can execute ready operations (address(0) for anyone)
+     * @param admin Optional account that can manage the timelock's roles without delay (address(0) for none)
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockMultisigWallet
+ * @dev Test-only m-of-n smart-contract wallet that validates signatures
+ * through ERC-1271. A valid signature is `threshold` 65-byte owner signatures
+ * (r, s, v) of the hash, concatenated with their signers in ascending address
+ * order.
+ */
+contract MockMultisigWallet is IERC1271 {
+    bytes4 private constant INVALID_SIGNATURE = 0xffffffff;
+
+    mapping(address => bool) public isOwner;
+    uint256 public immutable threshold;
+
+    /**
+     * @param owners Accounts whose signatures count towards the threshold
+     * @param threshold_ Number of owner signatures a valid signature carries
+     */
+    constructor(address[] memory owners, uint256 threshold_) {
+        require(
+            threshold_ > 0 && threshold_ <= owners.length,
+            "MockMultisigWallet: Invalid threshold"
+        );
+        for (uint256 i = 0; i < owners.length; i++) {
+            isOwner[owners[i]] = true;
+        }
+        threshold = threshold_;
+    }
+
+    /**
+     * @dev ERC-1271: returns the magic value when `signature` carries
+     * `threshold` distinct owner signatures of `hash`
+     */
+    function isValidSignature(
+        bytes32 hash,
+        bytes memory signature
+    ) external view override returns (bytes4) {
+        if (signature.length != threshold * 65) {
+            return INVALID_SIGNATURE;
+        }
+
+        address previous = address(0);
+        for (uint256 i = 0; i < threshold; i++) {
+            bytes32 r;
+            bytes32 s;
+            uint8 v;
+            assembly {
+                let offset := add(add(signature, 0x20), mul(i, 65))
+                r := mload(offset)
+                s := mload(add(offset, 0x20))
+                v := byte(0, mload(add(offset, 0x40)))
+            }
+            (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+                hash,
+                v,
+                r,
+                s
+            );
+            if (
+                err != ECDSA.RecoverError.NoError ||
+                !isOwner[signer] ||
+                signer <= previous
+            ) {
+                return INVALID_SIGNATURE;
+            }
+            previous = signer;
+        }
+        return IERC1271.isValidSignature.selector;
+    }
+}
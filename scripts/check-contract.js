@@ -1,109 +1,176 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const fs = require('fs');
-const path = require('path');
+const { loadAmounts } = require('./lib/amounts');
+const registry = require('./lib/registry');
+const { loadManifest } = require('./lib/manifest');
+const { checkDrift } = require('./lib/drift');
 
 function showUsage() {
     console.log(`
 Example usage:
-   DEPLOYMENT_FILE=deployment-info.json npx hardhat run scripts/check-contract.js --network private
+   npx hardhat run scripts/check-contract.js --network local
+   TOKEN_ADDRESS=0x... npx hardhat run scripts/check-contract.js --network local
+
+Import a deployment-info.json written by an older deploy.js into the registry:
+   DEPLOYMENT_FILE=deployment-info.json npx hardhat run scripts/check-contract.js --network local
+
+Verify the deployment against its record (and manifest), exiting non-zero on any drift:
+   VERIFY=true npx hardhat run scripts/check-contract.js --network local
+   VERIFY=true DEPLOY_CONFIG=deploy.config.yaml npx hardhat run scripts/check-contract.js --network local
 `);
 }
 
-function getDeploymentFiles() {
-    try {
-        return fs.readdirSync('./')
-            .filter(file => file.startsWith('deployment-info.') && file.endsWith('.json'))
-            .sort()
-            .reverse();
-    } catch (error) {
-        console.error("❌ Failed to read directory:", error.message);
-        return [];
+function showDeploymentInfo(deployment) {
+    const args = deployment.constructorArgs || {};
+    console.log(`\n📊 Detailed Information:`);
+    console.log(`  Contract: ${deployment.contract || 'Unknown'}`);
+    console.log(`  Address: ${deployment.address || 'Unknown'}`);
+    console.log(`  Deployer: ${deployment.deployer || 'Unknown'}`);
+    console.log(`  Owner: ${deployment.owner || 'Unknown'}`);
+    console.log(`  Token Name: ${args.name || 'Unknown'}`);
+    console.log(`  Token Symbol: ${args.symbol || 'Unknown'}`);
+    console.log(`  Decimals: ${args.decimals !== undefined ? args.decimals : 'Unknown'}`);
+    console.log(`  Initial Supply (units): ${args.initialSupply || 'Unknown'}`);
+    console.log(`  Max Supply (units): ${args.maxSupply || 'Unknown'}`);
+    console.log(`  Daily Mint Limit (units): ${args.dailyMintLimit || 'Unknown'}`);
+    console.log(`  Deployment Block: ${deployment.blockNumber || 'Unknown'}`);
+    console.log(`  Deployment Transaction: ${deployment.transactionHash || 'Unknown'}`);
+    console.log(`  Deployment Time: ${deployment.deployedAt || 'Unknown'}`);
+    if (deployment.compiler) {
+        console.log(`  Compiler: ${deployment.compiler.version || 'Unknown'} (optimizer: ${JSON.stringify(deployment.compiler.optimizer)})`);
+    }
+    if (deployment.abiHash) {
+        console.log(`  ABI Hash: ${deployment.abiHash}`);
+    }
+    if (deployment.importedFrom) {
+        console.log(`  Imported From: ${deployment.importedFrom}`);
     }
 }
 
-function showDeploymentInfo(deploymentInfo) {
-    console.log(`\n📊 Detailed Information:`);
-    console.log(`  Network: ${deploymentInfo.network || 'Unknown'}`);
-    console.log(`  Deployer: ${deploymentInfo.deployerAddress || 'Unknown'}`);
-    console.log(`  Owner: ${deploymentInfo.owner || 'Unknown'}`);
-    console.log(`  Token Name: ${deploymentInfo.tokenName || 'Unknown'}`);
-    console.log(`  Token Symbol: ${deploymentInfo.tokenSymbol || 'Unknown'}`);
-    console.log(`  Initial Supply: ${deploymentInfo.initialSupply || 'Unknown'}`);
-    console.log(`  Total Supply: ${deploymentInfo.totalSupply || 'Unknown'}`);
-    console.log(`  Max Supply: ${deploymentInfo.maxSupply || 'Unknown'}`);
-    console.log(`  Deployment Block: ${deploymentInfo.deploymentBlock || 'Unknown'}`);
-    console.log(`  Deployment Transaction: ${deploymentInfo.deploymentTransaction || 'Unknown'}`);
-    console.log(`  Deployment Time: ${deploymentInfo.deployedAt || 'Unknown'}`);
+function showHistory(deployments) {
+    console.log(`\n📚 Deployment History (${deployments.deployments.length}):`);
+    deployments.deployments.forEach((d, i) => {
+        const symbol = d.constructorArgs && d.constructorArgs.symbol ? ` ${d.constructorArgs.symbol}` : '';
+        console.log(`  ${i + 1}. ${d.contract}${symbol} @ ${d.address} (block ${d.blockNumber || '?'}, ${d.deployedAt || 'unknown time'})`);
+    });
 }
 
 async function main() {
-    console.log("🔍 Checking smart contracts in specific deployment file...");
+    console.log("🔍 Checking smart contracts in the deployment registry...");
 
-    // Get deployment file name from environment variable
-    const deploymentFile = process.env.DEPLOYMENT_FILE;
+    const provider = ethers.provider;
+    const chain = await registry.currentChain(hre);
 
-    if (!deploymentFile) {
-        console.error("❌ Please set DEPLOYMENT_FILE environment variable");
-        showUsage();
+    // Get network information
+    console.log(`\n📍 Network Information:`);
+    console.log(`  Network: ${chain.network}`);
+    console.log(`  Chain ID: ${chain.chainId}`);
+    console.log(`  Current Block: ${await provider.getBlockNumber()}`);
+
+    let deployments;
+    try {
+        deployments = registry.loadRegistry(chain.network, chain.chainId);
+    } catch (error) {
+        console.error("❌ Failed to read deployment registry:", error.message);
         process.exit(1);
     }
 
-    // Check if file exists
-    if (!fs.existsSync(deploymentFile)) {
-        console.error(`❌ Specified deployment file does not exist: ${deploymentFile}`);
+    // Fold a legacy deployment-info.json into the registry of this network
+    const deploymentFile = process.env.DEPLOYMENT_FILE;
+    if (deploymentFile) {
+        if (!fs.existsSync(deploymentFile)) {
+            console.error(`❌ Specified deployment file does not exist: ${deploymentFile}`);
+            process.exit(1);
+        }
+        try {
+            const { record, imported } = registry.importLegacyFile(deployments, deploymentFile);
+            if (imported) {
+                const file = registry.saveRegistry(deployments);
+                console.log(`📥 Imported ${deploymentFile} (${record.address}) into ${file}`);
+            } else {
+                console.log(`ℹ️  ${deploymentFile} (${record.address}) is already in the registry`);
+            }
+        } catch (error) {
+            console.error("❌ Failed to import deployment file:", error.message);
+            process.exit(1);
+        }
+    }
+
+    const registryFile = registry.registryPath(chain.network, chain.chainId);
+    if (deployments.deployments.length === 0) {
+        console.error(`❌ No deployments recorded in ${registryFile}`);
 
-        // List available files
-        const availableFiles = getDeploymentFiles();
-        if (availableFiles.length > 0) {
-            console.log("📁 Available deployment files:");
-            availableFiles.forEach(file => {
+        const legacyFiles = registry.findLegacyFiles();
+        if (legacyFiles.length > 0) {
+            console.log("📁 Legacy deployment files that can be imported with DEPLOYMENT_FILE:");
+            legacyFiles.forEach(file => {
                 console.log(`   - ${file}`);
             });
-        } else {
-            console.log("❌ No deployment-info*.json files found in current directory");
         }
+        showUsage();
         process.exit(1);
     }
 
-    const provider = ethers.provider;
+    console.log(`\n📄 Registry ${registryFile}`);
+    console.log(`================`);
+    showHistory(deployments);
 
-    // Get network information
-    const network = await provider.getNetwork();
-    console.log(`\n📍 Network Information:`);
-    console.log(`  Chain ID: ${network.chainId}`);
-    console.log(`  Current Block: ${network.blockNumber || "Latest"}`);
+    const deployment = registry.findDeployment(deployments, process.env.TOKEN_ADDRESS);
+    if (!deployment) {
+        console.error(`❌ ${process.env.TOKEN_ADDRESS} is not recorded in ${registryFile}`);
+        process.exit(1);
+    }
 
-    try {
-        // Read specified deployment information
-        const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
-
-        console.log(`\n📄 Checking deployment file ${deploymentFile} content:`);
-        console.log(`================`);
-        showDeploymentInfo(deploymentInfo);
-
-        // Check main contract
-        if (deploymentInfo.tokenAddress) {
-            console.log(`\n📋 Checking contract ${deploymentFile} content: `);
-            console.log(`================`);
-
-            await checkContract(
-                provider,
-                deploymentInfo.tokenAddress,
-                "GenericToken",
-                deploymentInfo
-            );
-        } else {
-            console.log("❌ No tokenAddress found in deployment file");
-        }
+    showDeploymentInfo(deployment);
 
-    } catch (error) {
-        console.error("❌ Failed to read deployment information:", error.message);
-        process.exit(1);
+    console.log(`\n📋 Checking contract on-chain state:`);
+    console.log(`================`);
+    await checkContract(provider, deployment.address, deployment.contract, deployment);
+
+    if (process.env.VERIFY === 'true') {
+        const drifted = await verifyDeployment(deployment);
+        if (drifted > 0) {
+            console.error(`\n❌ ${drifted} check(s) drifted from the expected deployment`);
+            process.exit(1);
+        }
     }
 
     console.log(`\n✅ Check completed!`);
 }
 
+// Manifest entry the deployment was made from, matched by symbol
+function manifestSpec(deployment) {
+    const manifestFile = process.env.DEPLOY_CONFIG;
+    if (!manifestFile) {
+        return undefined;
+    }
+    const symbol = deployment.constructorArgs && deployment.constructorArgs.symbol;
+    const spec = loadManifest(manifestFile).find(t => t.config.symbol === symbol);
+    if (!spec) {
+        console.log(`  ⚠️  ${manifestFile} has no token with symbol ${symbol}, using the registry record only`);
+    }
+    return spec;
+}
+
+// Diffs on-chain state against the record and the local build; returns the
+// number of drifted checks
+async function verifyDeployment(deployment) {
+    console.log(`\n🔎 Verifying deployment against expected state:`);
+    console.log(`================`);
+
+    const results = await checkDrift(hre, deployment, manifestSpec(deployment));
+    const icons = { ok: '✅', drift: '❌', unknown: '⚪' };
+    results.forEach(({ check, expected, actual, status }) => {
+        const detail = status === 'drift'
+            ? `expected ${expected}, found ${actual}`
+            : status === 'unknown' ? `not recorded (on-chain: ${actual})` : actual;
+        console.log(`  ${icons[status]} ${check}: ${detail}`);
+    });
+
+    return results.filter(r => r.status === 'drift').length;
+}
+
 async function checkContract(provider, address, name = "", deploymentInfo = null) {
     try {
         // Get contract code
@@ -119,18 +186,27 @@ async function checkContract(provider, address, name = "", deploymentInfo = null
             // If it's an ERC20 token, try to get basic information
             try {
                 const token = await ethers.getContractAt("GenericToken", address);
+                const amounts = await loadAmounts(token);
 
                 const tokenName = await token.name();
                 const tokenSymbol = await token.symbol();
                 const totalSupply = await token.totalSupply();
                 const owner = await token.owner();
                 const maxSupply = await token.maxSupply();
+                const mintRateLimit = await token.mintRateLimit();
+                const mintRateWindow = await token.mintRateWindow();
 
                 console.log(`  Token Name: ${tokenName}`);
                 console.log(`  Token Symbol: ${tokenSymbol}`);
-                console.log(`  Total Supply: ${ethers.formatEther(totalSupply)}`);
-                console.log(`  Max Supply: ${ethers.formatEther(maxSupply)}`);
+                console.log(`  Decimals: ${amounts.decimals}`);
+                console.log(`  Total Supply: ${amounts.format(totalSupply)}`);
+                console.log(`  Max Supply: ${amounts.format(maxSupply)}`);
+                console.log(`  Mint Rate Limit: ${amounts.format(mintRateLimit)} per ${mintRateWindow} seconds`);
                 console.log(`  Owner: ${owner}`);
+                const pendingOwner = await token.pendingOwner();
+                if (pendingOwner !== ethers.ZeroAddress) {
+                    console.log(`  Pending Owner: ${pendingOwner} (⏳ not accepted yet)`);
+                }
 
                 // Check if paused
                 try {
@@ -156,14 +232,23 @@ async function checkContract(provider, address, name = "", deploymentInfo = null
                     console.log(`  Emergency Mode Status: Unable to check`);
                 }
 
+                // Check circuit breaker level
+                try {
+                    const level = Number(await token.circuitBreakerLevel());
+                    const levels = ["▶️ Normal", "⏸️ Transfers Paused", "🧊 Frozen", "🚨 Recovery"];
+                    console.log(`  Circuit Breaker: ${levels[level]}`);
+                } catch (e) {
+                    console.log(`  Circuit Breaker: Unable to check`);
+                }
+
             } catch (tokenError) {
                 console.log(`  ⚠️  Unable to read token information: ${tokenError.message}`);
             }
 
             // Try to get transaction information
-            if (deploymentInfo && deploymentInfo.deploymentTransaction) {
+            if (deploymentInfo && deploymentInfo.transactionHash) {
                 try {
-                    const tx = await provider.getTransaction(deploymentInfo.deploymentTransaction);
+                    const tx = await provider.getTransaction(deploymentInfo.transactionHash);
                     if (tx) {
                         console.log(`  Deployment Transaction: ${tx.hash}`);
                         console.log(`  Gas Limit: ${tx.gasLimit.toString()}`);
@@ -1,130 +1,295 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadAmounts } = require("./lib/amounts");
+const { ConfigError, constructorArgs } = require("./lib/token-config");
+const { loadManifest, envTokenSpec, matchesConfig } = require("./lib/manifest");
+const registry = require("./lib/registry");
+const { planSteps, runBootstrap } = require("./lib/bootstrap");
+
+// Tokens come from the manifest named by DEPLOY_CONFIG (JSON or YAML) when set,
+// otherwise from the TOKEN_* environment variables. Everything is validated
+// against the constructor's requirements before any gas is spent.
+function loadDeployPlan() {
+  const manifestFile = process.env.DEPLOY_CONFIG;
+  if (manifestFile) {
+    console.log("Using deployment manifest:", manifestFile);
+    return { manifest: true, tokens: loadManifest(manifestFile) };
+  }
+  return { manifest: false, tokens: [envTokenSpec()] };
+}
+
+function showConfig({ config, minters, blacklist, pause, owner, timelock }) {
+  console.log("Token Configuration:");
+  console.log("  Name:", config.name);
+  console.log("  Symbol:", config.symbol);
+  // Token decimals (how many smallest units per token)
+  // e.g., 18 means 1 token = 10^18 smallest units (standard)
+  // e.g., 6 means 1 token = 10^6 smallest units (like USDC/USDT)
+  console.log("  Decimals:", config.decimals, "(1 token = 10^" + config.decimals + " smallest units)");
+  console.log("  Initial Supply:", config.display.initialSupply, "tokens");
+  console.log("  Max Supply:", config.display.maxSupply, "tokens");
+  console.log("  Daily Mint Limit:", config.display.dailyMintLimit, "tokens");
+  if (minters.length > 0) {
+    console.log("  Minters:", minters.join(", "));
+  }
+  if (blacklist.length > 0) {
+    console.log("  Blacklist:", blacklist.join(", "));
+  }
+  if (pause) {
+    console.log("  Paused after deployment: yes");
+  }
+  if (owner) {
+    console.log("  Target Owner:", owner);
+  }
+  if (timelock) {
+    console.log("  Owner: timelock with a", timelock.delay, "second delay");
+    if (timelock.guardian) {
+      console.log("  Pause Guardian:", timelock.guardian);
+    }
+  }
+}
+
+// The deployer's roles move to the timelock with ownership, so a guardian
+// that is the deployer would lose PAUSER_ROLE in the same transaction
+function checkGuardians(tokens, deployer) {
+  const problems = tokens
+    .filter(spec => spec.timelock && spec.timelock.guardian === deployer.address)
+    .map(spec => `${spec.config.symbol}: the timelock guardian must not be the deployer (${deployer.address})`);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+}
+
+async function deployToken(config, deployer, deployments) {
+  console.log("🏗️  Deploying GenericToken contract...");
+  const GenericToken = await ethers.getContractFactory("GenericToken");
+  const token = await GenericToken.deploy(...constructorArgs(config));
+
+  console.log("⏳ Waiting for deployment confirmation...");
+  const deploymentTx = token.deploymentTransaction();
+  const deploymentReceipt = await deploymentTx.wait();
+  const tokenAddress = await token.getAddress();
+
+  console.log("GenericToken deployed successfully!");
+  console.log("Contract address:", tokenAddress);
+  console.log("Transaction hash:", deploymentTx.hash);
+
+  // Record the deployment in the per-network registry right away, so a
+  // failure later in the run never loses track of a deployed contract
+  const record = registry.addDeployment(deployments, await registry.deploymentRecord(hre, {
+    address: tokenAddress,
+    deployer: deployer.address,
+    receipt: deploymentReceipt,
+    constructorArgs: {
+      name: config.name,
+      symbol: config.symbol,
+      decimals: config.decimals,
+      initialSupply: config.initialSupply,
+      maxSupply: config.maxSupply,
+      dailyMintLimit: config.dailyMintLimit
+    },
+    extra: { owner: await token.owner() }
+  }));
+  const registryFile = registry.saveRegistry(deployments);
+  console.log(`Deployment recorded for ${deployments.network} (chain ${deployments.chainId}) in:`, registryFile);
+
+  return { token, record };
+}
+
+async function verifyToken(token) {
+  // Verify deployment by reading token info
+  console.log("\nVerifying deployment...");
+  const amounts = await loadAmounts(token);
+  const name = await token.name();
+  const symbol = await token.symbol();
+  const decimals = amounts.decimals;
+  const totalSupply = await token.totalSupply();
+  const maxSupply = await token.maxSupply();
+  const owner = await token.owner();
+  const isOwnerMinter = await token.isMinter(owner);
+
+  console.log("Token Information:");
+  console.log("  Name:", name);
+  console.log("  Symbol:", symbol);
+  console.log("  Decimals:", decimals);
+  console.log("  Total Supply:", amounts.format(totalSupply), "tokens");
+  console.log("  Max Supply:", amounts.format(maxSupply), "tokens");
+  console.log("  Owner:", owner);
+  console.log("  Owner is Minter:", isOwnerMinter);
+
+  // Check EIP-2612 functionality
+  console.log("\nEIP-2612 Permit Information:");
+  const domainSeparator = await token.DOMAIN_SEPARATOR();
+  console.log("  Domain Separator:", domainSeparator);
+
+  return { name, symbol, decimals };
+}
+
+// Deploys the timelock that will own the token, or returns the one recorded
+// by an earlier, interrupted run
+async function deployTimelock(timelock, deployer, record, deployments) {
+  if (record.timelock) {
+    console.log("⏭️  Timelock already deployed at", record.timelock.address);
+    return record.timelock.address;
+  }
+
+  const proposers = timelock.proposers.length > 0 ? timelock.proposers : [deployer.address];
+  const executors = timelock.executors.length > 0 ? timelock.executors : proposers;
+  console.log("\n🏗️  Deploying GenericTokenTimelock...");
+  const Timelock = await ethers.getContractFactory("GenericTokenTimelock");
+  // No timelock admin: role changes on the timelock itself also need the delay
+  const contract = await Timelock.deploy(timelock.delay, proposers, executors, ethers.ZeroAddress);
+  const receipt = await contract.deploymentTransaction().wait();
+  const address = await contract.getAddress();
+
+  record.timelock = {
+    address,
+    minDelay: timelock.delay,
+    proposers,
+    executors,
+    guardian: timelock.guardian || null,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber
+  };
+  registry.saveRegistry(deployments);
+  console.log("Timelock deployed at:", address);
+  return address;
+}
+
+// Post-deploy bootstrap (minters, blacklist, pause, pause guardian, ownership
+// transfer). Each step is written to the deployment record as it happens, so
+// re-running the script after a failure picks up at the first unfinished step.
+async function bootstrapToken(token, spec, record, deployments, deployer) {
+  const owner = spec.timelock ? await deployTimelock(spec.timelock, deployer, record, deployments) : spec.owner;
+  const steps = planSteps({ ...spec, guardian: spec.timelock && spec.timelock.guardian, owner });
+  if (steps.length > 0) {
+    console.log("\nBootstrapping...");
+  }
+  const save = () => registry.saveRegistry(deployments);
+  const { steps: recorded } = await runBootstrap(token, record, steps, { save, log: console.log });
+
+  const currentOwner = await token.owner();
+  if (record.owner !== currentOwner) {
+    record.owner = currentOwner;
+    save();
+  }
+
+  // Ownership only moves once the new owner accepts it
+  const pendingOwner = await token.pendingOwner();
+  if (pendingOwner !== ethers.ZeroAddress) {
+    console.log(`\n⚠️  ${pendingOwner} is the pending owner and must call acceptOwnership()`);
+    if (spec.timelock) {
+      console.log("  Schedule it on the timelock, then execute it after the delay:");
+      console.log(`  node scripts/interact.js schedule acceptOwnership --timelock ${pendingOwner} --network ${hre.network.name}`);
+    }
+  }
+  return recorded;
+}
+
+function printSummary(results) {
+  const rows = [["Symbol", "Name", "Address", "Status", "Bootstrap", "Block"]].concat(
+    results.map(r => [r.symbol, r.name, r.address, r.status, r.bootstrap, String(r.blockNumber || "")])
+  );
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  const line = (row) => "  " + row.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+
+  console.log("\nDeployment Summary:");
+  console.log(line(rows[0]));
+  console.log("  " + widths.map(w => "-".repeat(w)).join("  "));
+  rows.slice(1).forEach(row => console.log(line(row)));
+}
 
 async function main() {
   console.log("Starting GenericToken deployment...");
 
+  let plan;
+  try {
+    plan = loadDeployPlan();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+
   // Get the deployer account
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with account:", deployer.address);
+  try {
+    checkGuardians(plan.tokens, deployer);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
   // Check account balance
   const provider = ethers.provider;
   const balance = await provider.getBalance(deployer.address);
   console.log("Account balance:", ethers.formatEther(balance), "ETH");
 
-  // Configuration from environment variables
-  const TOKEN_NAME = process.env.TOKEN_NAME || "GenericToken";
-  const TOKEN_SYMBOL = process.env.TOKEN_SYMBOL || "MYGT";
-
-  // Token decimals (how many smallest units per token)
-  // 1 token = 10^decimals smallest units
-  // e.g., 18 means 1 token = 10^18 smallest units (standard)
-  // e.g., 6 means 1 token = 10^6 smallest units (like USDC/USDT)
-  const TOKEN_DECIMALS = process.env.TOKEN_DECIMALS
-    ? parseInt(process.env.TOKEN_DECIMALS, 10)
-    : 18;
+  const chain = await registry.currentChain(hre);
+  const deployments = registry.loadRegistry(chain.network, chain.chainId);
+  const results = [];
 
-  // Initial supply in token units (will be converted to smallest units)
-  const INITIAL_SUPPLY_IN_TOKENS = process.env.INITIAL_SUPPLY
-    ? parseFloat(process.env.INITIAL_SUPPLY)
-    : 1000000; // 1 million tokens default
+  try {
+    for (const spec of plan.tokens) {
+      console.log("");
+      showConfig(spec);
 
-  // Max supply in token units
-  const MAX_SUPPLY_IN_TOKENS = process.env.MAX_SUPPLY
-    ? parseFloat(process.env.MAX_SUPPLY)
-    : 18000000; // 18 million tokens default
+      // A manifest run is idempotent: tokens already deployed on this network
+      // with the same constructor arguments are reused instead of redeployed.
+      // In both modes a deployment whose bootstrap never finished is resumed.
+      const existing = registry.findDeployment(deployments, d => matchesConfig(d, spec.config) &&
+        (plan.manifest || (d.bootstrap && !d.bootstrap.completed)));
 
-  // Daily mint limit in token units
-  const DAILY_MINT_LIMIT_IN_TOKENS = process.env.DAILY_MINT_LIMIT
-    ? parseFloat(process.env.DAILY_MINT_LIMIT)
-    : 1000000; // 1 million tokens default
+      let token;
+      let record;
+      let status;
+      if (existing) {
+        const unfinished = existing.bootstrap && !existing.bootstrap.completed;
+        console.log(unfinished
+          ? `🔁 Resuming bootstrap of ${existing.address} (block ${existing.blockNumber})`
+          : `⏭️  Already deployed at ${existing.address} (block ${existing.blockNumber}), skipping`);
+        token = await ethers.getContractAt("GenericToken", existing.address, deployer);
+        record = existing;
+        status = unfinished ? "resumed" : "skipped";
+      } else {
+        ({ token, record } = await deployToken(spec.config, deployer, deployments));
+        await verifyToken(token);
+        status = "deployed";
+      }
 
-  console.log("Token Configuration:");
-  console.log("  Name:", TOKEN_NAME);
-  console.log("  Symbol:", TOKEN_SYMBOL);
-  console.log("  Decimals:", TOKEN_DECIMALS, "(1 token = 10^" + TOKEN_DECIMALS + " smallest units)");
-  console.log("  Initial Supply:", INITIAL_SUPPLY_IN_TOKENS, "tokens");
-  console.log("  Max Supply:", MAX_SUPPLY_IN_TOKENS, "tokens");
-  console.log("  Daily Mint Limit:", DAILY_MINT_LIMIT_IN_TOKENS, "tokens");
+      const steps = await bootstrapToken(token, spec, record, deployments, deployer);
 
-  try {
-    // Deploy the token
-    console.log("🏗️  Deploying GenericToken contract...");
-    const GenericToken = await ethers.getContractFactory("GenericToken");
-    const token = await GenericToken.deploy(
-      TOKEN_NAME,
-      TOKEN_SYMBOL,
-      TOKEN_DECIMALS,
-      ethers.parseUnits(INITIAL_SUPPLY_IN_TOKENS.toString(), TOKEN_DECIMALS),
-      ethers.parseUnits(MAX_SUPPLY_IN_TOKENS.toString(), TOKEN_DECIMALS),
-      ethers.parseUnits(DAILY_MINT_LIMIT_IN_TOKENS.toString(), TOKEN_DECIMALS)
-    );
-
-    console.log("⏳ Waiting for deployment confirmation...");
-    const deploymentTx = token.deploymentTransaction();
-    const deploymentReceipt = await deploymentTx.wait();
-
-    console.log("GenericToken deployed successfully!");
-    console.log("Contract address:", await token.getAddress());
-    console.log("Transaction hash:", deploymentTx.hash);
-
-    // Verify deployment by reading token info
-    console.log("\nVerifying deployment...");
-    const name = await token.name();
-    const symbol = await token.symbol();
-    const decimals = await token.decimals();
-    const totalSupply = await token.totalSupply();
-    const maxSupply = await token.maxSupply();
-    const owner = await token.owner();
-    const isOwnerMinter = await token.isMinter(owner);
-
-    console.log("Token Information:");
-    console.log("  Name:", name);
-    console.log("  Symbol:", symbol);
-    console.log("  Decimals:", decimals);
-    console.log("  Total Supply:", ethers.formatUnits(totalSupply, decimals), "tokens");
-    console.log("  Max Supply:", ethers.formatUnits(maxSupply, decimals), "tokens");
-    console.log("  Owner:", owner);
-    console.log("  Owner is Minter:", isOwnerMinter);
-
-    // Check EIP-2612 functionality
-    console.log("\nEIP-2612 Permit Information:");
-    const domainSeparator = await token.DOMAIN_SEPARATOR();
-    console.log("  Domain Separator:", domainSeparator);
+      results.push({
+        symbol: spec.config.symbol,
+        name: spec.config.name,
+        address: record.address,
+        status,
+        bootstrap: `${steps.length} step${steps.length === 1 ? "" : "s"}`,
+        blockNumber: record.blockNumber
+      });
+    }
 
     console.log("\nDeployment completed successfully!");
-
-    // Save deployment info to a file
-    const deploymentInfo = {
-      network: "private",
-      tokenAddress: await token.getAddress(),
-      deployerAddress: deployer.address,
-      tokenName: name,
-      tokenSymbol: symbol,
-      decimals: decimals.toString(),
-      initialSupply: ethers.formatUnits(totalSupply, decimals),
-      totalSupply: ethers.formatUnits(totalSupply, decimals),
-      maxSupply: ethers.formatUnits(maxSupply, decimals),
-      owner: owner,
-      deploymentTransaction: deploymentTx.hash,
-      deploymentBlock: deploymentReceipt.blockNumber,
-      deployedAt: new Date().toISOString()
-    };
-
-    const fs = require('fs');
-    const deploymentPath = './deployment-info.json';
-    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-    console.log("Deployment info saved to:", deploymentPath);
+    printSummary(results);
 
     // Environment variables for frontend integration
-    console.log("\nEnvironment variables for frontend:");
-    console.log(`NEXT_PUBLIC_TOKEN_ADDRESS=${await token.getAddress()}`);
-    console.log(`NEXT_PUBLIC_TOKEN_NAME=${name}`);
-    console.log(`NEXT_PUBLIC_TOKEN_SYMBOL=${symbol}`);
-    console.log(`NEXT_PUBLIC_TOKEN_DECIMALS=${decimals}`);
+    if (!plan.manifest) {
+      const [{ address, symbol, name }] = results;
+      console.log("\nEnvironment variables for frontend:");
+      console.log(`NEXT_PUBLIC_TOKEN_ADDRESS=${address}`);
+      console.log(`NEXT_PUBLIC_TOKEN_NAME=${name}`);
+      console.log(`NEXT_PUBLIC_TOKEN_SYMBOL=${symbol}`);
+      console.log(`NEXT_PUBLIC_TOKEN_DECIMALS=${plan.tokens[0].config.decimals}`);
+    }
 
   } catch (error) {
     console.error("Deployment failed:", error);
+    if (results.length > 0) {
+      printSummary(results);
+    }
     process.exit(1);
   }
 }
@@ -135,4 +300,4 @@ main()
   .catch((error) => {
     console.error("Script failed:", error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
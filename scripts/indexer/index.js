@@ -0,0 +1,197 @@
+const { parseArgs } = require("util");
+const registry = require("../lib/registry");
+const { loadStore, saveStore } = require("./store");
+const { syncIndex } = require("./sync");
+const { deriveState } = require("./state");
+
+// Off-chain index of a GenericToken: replays its events from the deployment
+// block and derives holders, minters, blacklist and pause history, none of
+// which the contract can enumerate itself.
+//
+//   node scripts/indexer <command> [options]
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  network: { type: "string" },
+  token: { type: "string" },
+  "from-block": { type: "string" },
+  confirmations: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const HELP = `Usage: node scripts/indexer <command> [options]
+
+Commands:
+  sync          Index new blocks and print the checkpoint
+  state         Print the full derived state
+  holders       Print balances of every holder
+  minters       Print the current minters
+  blacklist     Print the blacklisted addresses
+  pauses        Print the circuit breaker level, paused operations, pause exemptions and the pause / unpause history
+
+Every command syncs the index first.
+
+Options:
+  --network <name>       Hardhat network to use (default: hardhat)
+  --token <address|symbol>
+                         Token to index (default: latest deployment in the --network registry)
+  --from-block <number>  First block to index (default: the recorded deployment block, else 0)
+  --confirmations <n>    Only index blocks with at least n confirmations (default: 0)
+  --json                 Print machine-readable JSON
+  -h, --help             Show this help
+
+The index is stored in indexes/<network>-<chainId>-<address>.json (INDEX_DIR overrides the directory).`;
+
+function toJson(value) {
+  return JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function wholeNumber(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid ${label}: ${value}`);
+  }
+  return Number(value);
+}
+
+// Loads (or creates) the index of a token, syncs it and returns it with the
+// derived state. Works with any hre, including the in-process network.
+async function indexToken(hre, address, { fromBlock, confirmations, dir, log } = {}) {
+  const { ethers } = hre;
+  const { network, chainId } = await registry.currentChain(hre);
+
+  if (fromBlock === undefined) {
+    const deployment = registry.findDeployment(registry.loadRegistry(network, chainId), address);
+    fromBlock = deployment && deployment.blockNumber ? deployment.blockNumber : 0;
+  }
+
+  const { abi } = await hre.artifacts.readArtifact("GenericToken");
+  const store = loadStore(network, chainId, ethers.getAddress(address), fromBlock, dir);
+  const result = await syncIndex(ethers.provider, new ethers.Interface(abi), store, {
+    confirmations,
+    log,
+    save: (s) => saveStore(s, dir)
+  });
+  saveStore(store, dir);
+
+  return { store, sync: result, state: deriveState(store.events) };
+}
+
+const VIEWS = {
+  sync: ({ store, sync }) => ({
+    address: store.address,
+    checkpoint: store.checkpoint,
+    events: store.events.length,
+    added: sync.added,
+    reorgedTo: sync.reorgedTo
+  }),
+  state: ({ state }) => state,
+  holders: ({ state }) => state.holders,
+  minters: ({ state }) => state.minters,
+  blacklist: ({ state }) => ({ blacklist: state.blacklist, unresolved: state.unresolvedBlacklistActions }),
+  pauses: ({ state }) => ({
+    paused: state.paused,
+    level: state.circuitBreakerLevel,
+    pausedOperations: state.pausedOperations,
+    pauseExempt: state.pauseExempt,
+    history: state.pauseHistory
+  })
+};
+
+function printView(command, view) {
+  if (command === "holders") {
+    view.forEach(({ address, balance }) => console.log(`${address}  ${balance}`));
+  } else if (command === "minters") {
+    view.forEach(address => console.log(address));
+  } else if (command === "blacklist") {
+    view.blacklist.forEach(address => console.log(address));
+    view.unresolved.forEach(a => console.log(`? ${a.action} in ${a.transactionHash} (account not decodable)`));
+  } else if (command === "pauses") {
+    console.log(`Currently ${view.paused ? "paused" : "running"} (${view.level})`);
+    if (view.pausedOperations.length) {
+      console.log(`Paused operations: ${view.pausedOperations.join(", ")}`);
+    }
+    if (view.pauseExempt.length) {
+      console.log(`Pause exempt: ${view.pauseExempt.join(", ")}`);
+    }
+    view.history.forEach(p => console.log(`  block ${p.blockNumber}: ${p.paused ? "paused" : "unpaused"} by ${p.by}`));
+  } else {
+    console.log(toJson(view));
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(HELP);
+    return EXIT_USAGE;
+  }
+
+  const [command] = positionals;
+  if (values.help) {
+    console.log(HELP);
+    return EXIT_OK;
+  }
+  if (!command || !VIEWS[command] || positionals.length > 1) {
+    console.error(command ? `Unknown command: ${positionals.join(" ")}` : "Missing command");
+    console.log(HELP);
+    return EXIT_USAGE;
+  }
+
+  // Must be set before hardhat is loaded for the first time
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+
+  try {
+    const hre = require("hardhat");
+    const fromBlock = wholeNumber(values["from-block"], "--from-block");
+    const confirmations = wholeNumber(values.confirmations, "--confirmations");
+
+    let address;
+    try {
+      address = await registry.resolveTokenAddress(hre, values.token);
+    } catch (error) {
+      if (error instanceof registry.RegistryError) {
+        throw new UsageError(`${error.message}\nPass --token <address> or deploy the token first.`);
+      }
+      throw error;
+    }
+
+    const log = values.json ? undefined : (message) => console.error(message);
+    const indexed = await indexToken(hre, address, { fromBlock, confirmations, log });
+    const view = VIEWS[command](indexed);
+    if (values.json) {
+      console.log(toJson(view));
+    } else {
+      printView(command, view);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(error.message);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Indexer failed:", error);
+      process.exit(EXIT_FAILED);
+    });
+}
+
+module.exports = { main, indexToken, EXIT_OK, EXIT_FAILED, EXIT_USAGE };
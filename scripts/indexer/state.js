@@ -0,0 +1,175 @@
+const { ZeroAddress } = require("ethers");
+
+// Events that replace an EmergencyAction emitted in the same transaction
+const DEDICATED_EVENTS = ["Blacklisted", "Unblacklisted", "EmergencyModeActivated", "EmergencyModeDeactivated", "EmergencyTransfer"];
+
+// GenericToken.CircuitBreakerLevel
+const CIRCUIT_BREAKER_LEVELS = ["Normal", "TransfersPaused", "Frozen", "Recovery"];
+
+// GenericToken.Operation
+const OPERATIONS = ["Mint", "Burn", "Transfer", "Permit", "Authorization"];
+
+// Derives the token state from indexed events, in log order. Balances are
+// bigints; addresses keep the checksummed form the events carry.
+function deriveState(events) {
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  // EmergencyAction is only interpreted for deployments predating the dedicated events
+  const dedicated = new Set(sorted.filter(e => DEDICATED_EVENTS.includes(e.name)).map(e => e.transactionHash));
+
+  const balances = new Map();
+  const minters = new Set();
+  const blacklist = new Set();
+  const pausedOperations = new Set();
+  const pauseExempt = new Set();
+  const unresolvedBlacklistActions = [];
+  const pauseHistory = [];
+  const emergencyHistory = [];
+  const emergencyTransfers = [];
+  const seizures = [];
+  const authorizations = { used: [], canceled: [] };
+  let totalSupply = 0n;
+  let owner = null;
+  let pendingOwner = null;
+  let paused = false;
+  let emergencyMode = false;
+  let circuitBreakerLevel = null;
+
+  const credit = (account, amount) => {
+    const balance = (balances.get(account) || 0n) + amount;
+    if (balance === 0n) {
+      balances.delete(account);
+    } else {
+      balances.set(account, balance);
+    }
+  };
+  const at = (event) => ({ blockNumber: event.blockNumber, transactionHash: event.transactionHash });
+
+  for (const event of sorted) {
+    const args = event.args;
+    switch (event.name) {
+      case "Transfer": {
+        const value = BigInt(args.value);
+        if (args.from === ZeroAddress) {
+          totalSupply += value;
+        } else {
+          credit(args.from, -value);
+        }
+        if (args.to === ZeroAddress) {
+          totalSupply -= value;
+        } else {
+          credit(args.to, value);
+        }
+        break;
+      }
+      case "MinterAdded":
+        minters.add(args.minter);
+        break;
+      case "MinterRemoved":
+        minters.delete(args.minter);
+        break;
+      case "OwnershipTransferStarted":
+        pendingOwner = args.newOwner === ZeroAddress ? null : args.newOwner;
+        break;
+      case "OwnershipTransferred":
+        owner = args.newOwner === ZeroAddress ? null : args.newOwner;
+        pendingOwner = null;
+        break;
+      case "Paused":
+      case "Unpaused":
+        paused = event.name === "Paused";
+        pauseHistory.push({ paused, by: args.account, ...at(event) });
+        break;
+      case "CircuitBreakerLevelChanged":
+        circuitBreakerLevel = CIRCUIT_BREAKER_LEVELS[Number(args.level)];
+        break;
+      case "OperationPaused":
+        pausedOperations.add(OPERATIONS[Number(args.operation)]);
+        break;
+      case "OperationUnpaused":
+        pausedOperations.delete(OPERATIONS[Number(args.operation)]);
+        break;
+      case "PauseExemptionAdded":
+        pauseExempt.add(args.account);
+        break;
+      case "PauseExemptionRemoved":
+        pauseExempt.delete(args.account);
+        break;
+      case "Blacklisted":
+        blacklist.add(args.account);
+        break;
+      case "Unblacklisted":
+        blacklist.delete(args.account);
+        break;
+      case "EmergencyModeActivated":
+      case "EmergencyModeDeactivated":
+        emergencyMode = event.name === "EmergencyModeActivated";
+        emergencyHistory.push({ emergencyMode, by: args.by, ...at(event) });
+        break;
+      case "EmergencyTransfer":
+        emergencyTransfers.push({ from: args.from, to: args.to, amount: BigInt(args.amount), ...at(event) });
+        break;
+      case "BlacklistedFundsSeized":
+        seizures.push({
+          account: args.account,
+          recipient: args.recipient === ZeroAddress ? null : args.recipient,
+          amount: BigInt(args.amount),
+          ...at(event)
+        });
+        break;
+      case "EmergencyAction":
+        if (dedicated.has(event.transactionHash)) {
+          break;
+        }
+        if (args.action === "BLACKLIST" || args.action === "UNBLACKLIST") {
+          if (!args.account) {
+            unresolvedBlacklistActions.push({ action: args.action, by: args.by, ...at(event) });
+          } else if (args.action === "BLACKLIST") {
+            blacklist.add(args.account);
+          } else {
+            blacklist.delete(args.account);
+          }
+        } else if (args.action === "EMERGENCY_MODE_ACTIVATED" || args.action === "EMERGENCY_MODE_DEACTIVATED") {
+          emergencyMode = args.action === "EMERGENCY_MODE_ACTIVATED";
+          emergencyHistory.push({ emergencyMode, by: args.by, ...at(event) });
+        }
+        break;
+      case "AuthorizationUsed":
+        authorizations.used.push({ authorizer: args.authorizer, nonce: args.nonce, ...at(event) });
+        break;
+      case "AuthorizationCanceled":
+        authorizations.canceled.push({ authorizer: args.authorizer, nonce: args.nonce, ...at(event) });
+        break;
+      default:
+        break;
+    }
+  }
+
+  const holders = [...balances.entries()]
+    .map(([address, balance]) => ({ address, balance }))
+    .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+
+  return {
+    owner,
+    pendingOwner,
+    totalSupply,
+    holders,
+    minters: [...minters],
+    blacklist: [...blacklist],
+    unresolvedBlacklistActions,
+    paused,
+    pauseHistory,
+    // Deployments predating the circuit breaker only had pause and emergency mode
+    circuitBreakerLevel: circuitBreakerLevel || (emergencyMode ? "Recovery" : paused ? "TransfersPaused" : "Normal"),
+    pausedOperations: OPERATIONS.filter(operation => pausedOperations.has(operation)),
+    pauseExempt: [...pauseExempt],
+    emergencyMode,
+    emergencyHistory,
+    emergencyTransfers,
+    seizures,
+    authorizations
+  };
+}
+
+module.exports = {
+  deriveState
+};
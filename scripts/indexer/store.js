@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+// Event index: one JSON file per indexed token under ./indexes
+//
+//   indexes/local-1337-0x5fbd....json
+//   {
+//     "network": "local",
+//     "chainId": 1337,
+//     "address": "0x5FbD...",
+//     "fromBlock": 12,                                   // deployment block
+//     "checkpoint": { "blockNumber": 340, "blockHash": "0x..." },
+//     "blocks": [ { "number": 300, "hash": "0x..." }, ... ],  // recent checkpoints
+//     "events": [ { "name": "Transfer", "blockNumber": 12, "logIndex": 0, "args": { ... } } ]
+//   }
+//
+// Everything up to the checkpoint has been indexed. The recent checkpoints are
+// kept so a reorg can be rolled back to the newest block still on the chain.
+
+const DEFAULT_DIR = "./indexes";
+
+function indexDir() {
+  return process.env.INDEX_DIR || DEFAULT_DIR;
+}
+
+function indexPath(network, chainId, address, dir = indexDir()) {
+  return path.join(dir, `${network}-${chainId}-${address.toLowerCase()}.json`);
+}
+
+function emptyStore(network, chainId, address, fromBlock = 0) {
+  return {
+    network,
+    chainId: Number(chainId),
+    address,
+    fromBlock: Number(fromBlock),
+    checkpoint: null,
+    blocks: [],
+    events: []
+  };
+}
+
+function loadStore(network, chainId, address, fromBlock, dir = indexDir()) {
+  const file = indexPath(network, chainId, address, dir);
+  if (!fs.existsSync(file)) {
+    return emptyStore(network, chainId, address, fromBlock);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Same atomic write as the deployment registry
+function saveStore(store, dir = indexDir()) {
+  const file = indexPath(store.network, store.chainId, store.address, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+module.exports = {
+  indexPath,
+  emptyStore,
+  loadStore,
+  saveStore
+};
@@ -0,0 +1,174 @@
+// Replays GenericToken logs into an index store in block ranges. After each
+// range a checkpoint (block number and hash) is recorded; before continuing,
+// the newest checkpoint is compared with the chain and, if a reorg replaced
+// it, the store is rolled back to the newest checkpoint still on the chain.
+
+const INDEXED_EVENTS = [
+  "Transfer",
+  "TokensMinted",
+  "MinterAdded",
+  "MinterRemoved",
+  "EmergencyAction",
+  "Blacklisted",
+  "Unblacklisted",
+  "EmergencyModeActivated",
+  "EmergencyModeDeactivated",
+  "EmergencyTransfer",
+  "BlacklistedFundsSeized",
+  "CircuitBreakerLevelChanged",
+  "OperationPaused",
+  "OperationUnpaused",
+  "PauseExemptionAdded",
+  "PauseExemptionRemoved",
+  "Paused",
+  "Unpaused",
+  "AuthorizationUsed",
+  "AuthorizationCanceled",
+  "OwnershipTransferStarted",
+  "OwnershipTransferred"
+];
+
+// Before Blacklisted/Unblacklisted existed, EmergencyAction was the only
+// record of a blacklist change and did not name the account; for those
+// deployments the account is taken from the call instead
+const ACCOUNT_ACTIONS = { BLACKLIST: "blacklist", UNBLACKLIST: "unblacklist" };
+const ACCOUNT_EVENTS = ["Blacklisted", "Unblacklisted"];
+
+const DEFAULTS = {
+  batchSize: 2000,
+  confirmations: 0,
+  // Number of recent checkpoints kept for reorg detection
+  reorgDepth: 64
+};
+
+function plainArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+// Account of a blacklist/unblacklist EmergencyAction, decoded from the
+// transaction when it called the token directly; null when it went through
+// another contract (e.g. a multisig)
+async function emergencyAccount(provider, iface, address, log, action) {
+  const tx = await provider.getTransaction(log.transactionHash);
+  if (!tx || !tx.to || tx.to.toLowerCase() !== address.toLowerCase()) {
+    return null;
+  }
+  const call = iface.parseTransaction({ data: tx.data, value: tx.value });
+  return call && call.name === ACCOUNT_ACTIONS[action] ? call.args[0] : null;
+}
+
+async function decodeLog(provider, iface, address, log, namedAccounts) {
+  let parsed;
+  try {
+    parsed = iface.parseLog(log);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) {
+    return null;
+  }
+
+  const event = {
+    name: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    args: plainArgs(parsed.fragment, parsed.args)
+  };
+  if (parsed.name === "EmergencyAction" && ACCOUNT_ACTIONS[event.args.action] && !namedAccounts.has(log.transactionHash)) {
+    event.args.account = await emergencyAccount(provider, iface, address, log, event.args.action);
+  }
+  return event;
+}
+
+function rollback(store, blockNumber) {
+  store.events = store.events.filter(e => e.blockNumber <= blockNumber);
+  store.blocks = store.blocks.filter(b => b.number <= blockNumber);
+  const last = store.blocks[store.blocks.length - 1];
+  store.checkpoint = last ? { blockNumber: last.number, blockHash: last.hash } : null;
+}
+
+// Returns the block the store was rolled back to, or undefined without a reorg
+async function handleReorg(provider, store) {
+  if (!store.checkpoint) {
+    return undefined;
+  }
+  const block = await provider.getBlock(store.checkpoint.blockNumber);
+  if (block && block.hash === store.checkpoint.blockHash) {
+    return undefined;
+  }
+
+  for (const known of [...store.blocks].reverse()) {
+    const current = await provider.getBlock(known.number);
+    if (current && current.hash === known.hash) {
+      rollback(store, known.number);
+      return known.number;
+    }
+  }
+
+  // Deeper than every kept checkpoint: start over from the deployment block
+  rollback(store, store.fromBlock - 1);
+  return store.fromBlock - 1;
+}
+
+// Brings the store up to the chain head (minus confirmations). save() is
+// called after every range so an interrupted sync keeps its progress.
+async function syncIndex(provider, iface, store, options = {}) {
+  const settings = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  });
+  const { batchSize, confirmations, reorgDepth } = settings;
+  const save = options.save || (() => {});
+  const log = options.log || (() => {});
+
+  const reorgedTo = await handleReorg(provider, store);
+  if (reorgedTo !== undefined) {
+    log(`Reorg detected, rolled back to block ${reorgedTo}`);
+    save(store);
+  }
+
+  const head = (await provider.getBlockNumber()) - confirmations;
+  let fromBlock = store.checkpoint ? store.checkpoint.blockNumber + 1 : store.fromBlock;
+  let added = 0;
+
+  while (fromBlock <= head) {
+    const toBlock = Math.min(fromBlock + batchSize - 1, head);
+    const logs = await provider.getLogs({ address: store.address, fromBlock, toBlock });
+
+    const accountTopics = ACCOUNT_EVENTS.map(name => iface.getEvent(name).topicHash);
+    const namedAccounts = new Set(logs.filter(l => accountTopics.includes(l.topics[0])).map(l => l.transactionHash));
+
+    for (const entry of logs) {
+      const event = await decodeLog(provider, iface, store.address, entry, namedAccounts);
+      if (event) {
+        store.events.push(event);
+        added++;
+      }
+    }
+
+    const block = await provider.getBlock(toBlock);
+    store.checkpoint = { blockNumber: toBlock, blockHash: block.hash };
+    store.blocks.push({ number: toBlock, hash: block.hash });
+    store.blocks = store.blocks.slice(-reorgDepth);
+    save(store);
+    log(`Indexed blocks ${fromBlock}-${toBlock} (${logs.length} logs)`);
+
+    fromBlock = toBlock + 1;
+  }
+
+  return { added, reorgedTo, checkpoint: store.checkpoint };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  syncIndex
+};
@@ -1,356 +1,1494 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { MaxUint256, ZeroAddress, ZeroHash, id } = require("ethers");
+const { AmountError, loadAmounts } = require("./lib/amounts");
+const registry = require("./lib/registry");
+const { describeRevert } = require("./lib/reverts");
+const signing = require("./lib/signing");
+const { ValidationError, parseMessage } = require("./relayer/validate");
 
-async function main() {
-  // Read deployment info
-  const fs = require('fs');
-  let deploymentInfo;
+// Exit codes so the CLI can be scripted
+const EXIT_OK = 0;
+const EXIT_FAILED = 1; // transaction reverted or RPC error
+const EXIT_USAGE = 2; // bad command line
 
-  try {
-    const deploymentData = fs.readFileSync('./deployment-info.json', 'utf8');
-    deploymentInfo = JSON.parse(deploymentData);
-  } catch (error) {
-    console.error("Could not find deployment info. Please deploy the token first.");
-    console.log("Run: npx hardhat run scripts/deploy.js --network <network>");
-    return;
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  network: { type: "string" },
+  token: { type: "string" },
+  from: { type: "string" },
+  timelock: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const GLOBAL_HELP = `
+Global options:
+  --network <name>   Hardhat network to use (default: hardhat)
+  --token <address|symbol>
+                     GenericToken address, or symbol of a token in the --network registry
+                     (default: latest deployment in the --network registry)
+  --from <index>     Index of the signer sending transactions (default: 0)
+  --timelock <address>
+                     Timelock used by schedule/scheduled/execute/cancel (default: the token owner,
+                     or the pending owner if that is a contract)
+  --json             Print machine-readable JSON instead of log lines
+  -h, --help         Show help (use "<command> --help" for command help)
+
+Exit codes: 0 = success, 1 = reverted / failed, 2 = usage error`;
+
+// Options shared by the commands that submit signed EIP-712 messages
+const SIGNATURE_OPTIONS = {
+  signer: { type: "string", help: "Signer index that signs the message (default: --from)", arg: "<index>" },
+  signature: { type: "string", help: "Use an existing signature instead of signing locally", arg: "<hex>" }
+};
+
+const AUTHORIZATION_OPTIONS = {
+  ...SIGNATURE_OPTIONS,
+  authorizer: {
+    type: "string",
+    help: "Authorizer: required with --signature, otherwise a contract wallet the signer signs for (default: the signer)",
+    arg: "<address>"
+  },
+  "valid-after": { type: "string", help: "Authorization valid after (default: 0)", arg: "<unix>" },
+  "valid-before": { type: "string", help: "Authorization valid before (default: latest block + 1 hour)", arg: "<unix>" },
+  nonce: { type: "string", help: "Authorization nonce (default: random)", arg: "<bytes32>" }
+};
+
+const AUTHORIZATION_STATES = ["Unused", "Used", "Canceled"];
+
+// GenericToken.CircuitBreakerLevel
+const CIRCUIT_BREAKER_LEVELS = ["Normal", "TransfersPaused", "Frozen", "Recovery"];
+
+// GenericToken.Operation, the operations with their own pause flag (not
+// to be confused with timelock operations)
+const PAUSABLE_OPERATIONS = ["Mint", "Burn", "Transfer", "Permit", "Authorization"];
+
+async function pausedOperations(token) {
+  const paused = [];
+  for (const [index, operation] of PAUSABLE_OPERATIONS.entries()) {
+    if (await token.isOperationPaused(index)) {
+      paused.push(operation);
+    }
   }
+  return paused;
+}
 
-  console.log("GenericToken Interaction Script");
-  console.log("Token Address:", deploymentInfo.tokenAddress);
+// TimelockController.OperationState; a canceled operation is Unset again
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
 
-  const [signer] = await ethers.getSigners();
-  console.log("Using account:", signer.address);
+const SCHEDULE_OPTIONS = {
+  delay: { type: "string", help: "Delay in seconds (default: the timelock's minimum delay)", arg: "<seconds>" },
+  salt: { type: "string", help: "Salt that makes the operation id unique (default: random)", arg: "<bytes32>" },
+  predecessor: { type: "string", help: "Operation that must be executed first (default: none)", arg: "<bytes32>" }
+};
 
-  // Get contract instance
-  const GenericToken = await ethers.getContractFactory("GenericToken");
-  const token = GenericToken.attach(deploymentInfo.tokenAddress);
+const PAGE_SIZE = 100n;
 
-  try {
-    // Display current state
-    console.log("\nCurrent Token State:");
-    const name = await token.name();
-    const symbol = await token.symbol();
-    const totalSupply = await token.totalSupply();
-    const maxSupply = await token.maxSupply();
-    const owner = await token.owner();
-    const paused = await token.paused();
-    const emergencyMode = await token.emergencyMode();
-
-    console.log("  Name:", name);
-    console.log("  Symbol:", symbol);
-    console.log("  Total Supply:", ethers.utils.formatUnits(totalSupply, 18), "tokens");
-    console.log("  Max Supply:", ethers.utils.formatUnits(maxSupply, 18), "tokens");
-    console.log("  Owner:", owner);
-    console.log("  Paused:", paused);
-    console.log("  Emergency Mode:", emergencyMode);
-
-    // Check signer info
-    console.log("\nSigner Information:");
-    const balance = await token.balanceOf(signer.address);
-    const isMinter = await token.isMinter(signer.address);
-    const isBlacklisted = await token.isBlacklisted(signer.address);
-    const dailyMinted = await token.dailyMinted();
-    const remainingDailyLimit = await token.remainingDailyLimit();
-
-    console.log("  Balance:", ethers.utils.formatUnits(balance, 18), "tokens");
-    console.log("  Is Minter:", isMinter);
-    console.log("  Is Blacklisted:", isBlacklisted);
-    console.log("  Daily Minted:", ethers.utils.formatUnits(dailyMinted, 18), "tokens");
-    console.log("  Remaining Daily Limit:", ethers.utils.formatUnits(remainingDailyLimit, 18), "tokens");
-
-    // Get command from user (or use process.argv for automation)
-    const command = process.argv[2];
-
-    if (!command) {
-      console.log("\nAvailable Commands:");
-      console.log("  mint <amount> <address> - Mint tokens (minter only)");
-      console.log("  transfer <amount> <address> - Transfer tokens");
-      console.log("  approve <amount> <address> - Approve spending");
-      console.log("  burn <amount> - Burn tokens");
-      console.log("  pause - Pause token transfers");
-      console.log("  unpause - Unpause token transfers");
-      console.log("  addMinter <address> - Add a new minter");
-      console.log("  removeMinter <address> - Remove a minter");
-      console.log("  blacklist <address> - Blacklist an address");
-      console.log("  unblacklist <address> - Remove from blacklist");
-      console.log("  emergency - Toggle emergency mode");
-      console.log("  permit-demo - Demonstrate EIP-2612 permit functionality");
-      return;
-    }
-
-    // Execute command
-    switch (command.toLowerCase()) {
-      case 'mint':
-        if (process.argv[3] && process.argv[4]) {
-          const amount = ethers.utils.parseUnits(process.argv[3], 18);
-          const to = process.argv[4];
-          console.log(`\nMinting ${ethers.utils.formatUnits(amount, 18)} tokens to ${to}...`);
-          const tx = await token.mint(to, amount);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Tokens minted successfully!");
-        } else {
-          console.log("Usage: mint <amount> <address>");
-        }
-        break;
-
-      case 'transfer':
-        if (process.argv[3] && process.argv[4]) {
-          const amount = ethers.utils.parseUnits(process.argv[3], 18);
-          const to = process.argv[4];
-          console.log(`\nTransferring ${ethers.utils.formatUnits(amount, 18)} tokens to ${to}...`);
-          const tx = await token.transfer(to, amount);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Tokens transferred successfully!");
-        } else {
-          console.log("Usage: transfer <amount> <address>");
-        }
-        break;
-
-      case 'approve':
-        if (process.argv[3] && process.argv[4]) {
-          const amount = ethers.utils.parseUnits(process.argv[3], 18);
-          const spender = process.argv[4];
-          console.log(`\nApproving ${ethers.utils.formatUnits(amount, 18)} tokens for ${spender}...`);
-          const tx = await token.approve(spender, amount);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Approval successful!");
-        } else {
-          console.log("Usage: approve <amount> <address>");
-        }
-        break;
-
-      case 'burn':
-        if (process.argv[3]) {
-          const amount = ethers.utils.parseUnits(process.argv[3], 18);
-          console.log(`\nBurning ${ethers.utils.formatUnits(amount, 18)} tokens...`);
-          const tx = await token.burn(amount);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Tokens burned successfully!");
-        } else {
-          console.log("Usage: burn <amount>");
-        }
-        break;
-
-      case 'pause':
-        console.log("\nPausing token transfers...");
-        const pauseTx = await token.pause();
-        console.log("Transaction hash:", pauseTx.hash);
-        console.log("Waiting for confirmation...");
-        await pauseTx.wait();
-        console.log("Token transfers paused!");
-        break;
-
-      case 'unpause':
-        console.log("\nUnpausing token transfers...");
-        const unpauseTx = await token.unpause();
-        console.log("Transaction hash:", unpauseTx.hash);
-        console.log("Waiting for confirmation...");
-        await unpauseTx.wait();
-        console.log("Token transfers unpaused!");
-        break;
-
-      case 'addminter':
-        if (process.argv[3]) {
-          const minter = process.argv[3];
-          console.log(`\nAdding ${minter} as minter...`);
-          const tx = await token.addMinter(minter);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Minter added successfully!");
-        } else {
-          console.log("Usage: addMinter <address>");
-        }
-        break;
-
-      case 'removeminter':
-        if (process.argv[3]) {
-          const minter = process.argv[3];
-          console.log(`\nRemoving ${minter} as minter...`);
-          const tx = await token.removeMinter(minter);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Minter removed successfully!");
-        } else {
-          console.log("Usage: removeMinter <address>");
-        }
-        break;
-
-      case 'blacklist':
-        if (process.argv[3]) {
-          const address = process.argv[3];
-          console.log(`\nBlacklisting ${address}...`);
-          const tx = await token.blacklist(address);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Address blacklisted successfully!");
-        } else {
-          console.log("Usage: blacklist <address>");
-        }
-        break;
-
-      case 'unblacklist':
-        if (process.argv[3]) {
-          const address = process.argv[3];
-          console.log(`\nRemoving ${address} from blacklist...`);
-          const tx = await token.unblacklist(address);
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Address removed from blacklist!");
-        } else {
-          console.log("Usage: unblacklist <address>");
+// AccessControl roles by the name used on the command line
+const ROLES = {
+  DEFAULT_ADMIN: ZeroHash,
+  PAUSER: id("PAUSER_ROLE"),
+  BLACKLISTER: id("BLACKLISTER_ROLE"),
+  MINTER_ADMIN: id("MINTER_ADMIN_ROLE"),
+  EMERGENCY: id("EMERGENCY_ROLE"),
+  MINTER: id("MINTER_ROLE")
+};
+
+function roleName(role) {
+  const name = Object.keys(ROLES).find(key => ROLES[key] === String(role).toLowerCase());
+  return name ? `${name}_ROLE` : role;
+}
+
+// Reads an enumerable role set page by page; offset/limit select a single range
+async function listSet(ctx, label, count, page, offset, limit) {
+  const total = await count();
+  const start = offset === undefined ? 0n : ctx.uint(offset, "offset");
+  const end = limit === undefined ? total : start + ctx.uint(limit, "limit");
+
+  const accounts = [];
+  for (let i = start; i < end && i < total; i += PAGE_SIZE) {
+    const size = end - i < PAGE_SIZE ? end - i : PAGE_SIZE;
+    accounts.push(...await page(i, size));
+  }
+
+  ctx.log(`${accounts.length} of ${total} ${label}:`);
+  accounts.forEach(account => ctx.log(`  ${account}`));
+  return { total: total.toString(), offset: start.toString(), [label]: accounts };
+}
+
+// ============ Commands ============
+
+const COMMANDS = {
+  info: {
+    args: [],
+    description: "Show token state and the --from account",
+    run: async (ctx) => {
+      const { token, signer } = ctx;
+      const state = {
+        token: ctx.tokenAddress,
+        name: await token.name(),
+        symbol: await token.symbol(),
+        decimals: ctx.decimals,
+        totalSupply: ctx.format(await token.totalSupply()),
+        maxSupply: ctx.format(await token.maxSupply()),
+        owner: await token.owner(),
+        pendingOwner: await token.pendingOwner(),
+        circuitBreaker: CIRCUIT_BREAKER_LEVELS[Number(await token.circuitBreakerLevel())],
+        paused: await token.paused(),
+        pausedOperations: await pausedOperations(token),
+        emergencyMode: await token.emergencyMode(),
+        recoveryAddress: await token.recoveryAddress(),
+        mintRateLimit: ctx.format(await token.mintRateLimit()),
+        mintRateWindow: (await token.mintRateWindow()).toString(),
+        dailyMinted: ctx.format(await token.dailyMinted()),
+        remainingDailyLimit: ctx.format(await token.remainingDailyLimit()),
+        account: {
+          address: signer.address,
+          balance: ctx.format(await token.balanceOf(signer.address)),
+          isMinter: await token.isMinter(signer.address),
+          mintCapacity: ctx.format(await token.remainingMinterCapacity(signer.address)),
+          isBlacklisted: await token.isBlacklisted(signer.address),
+          isPauseExempt: await token.isPauseExempt(signer.address)
         }
-        break;
-
-      case 'emergency':
-        const currentEmergencyMode = await token.emergencyMode();
-        if (currentEmergencyMode) {
-          console.log("\nDeactivating emergency mode...");
-          const tx = await token.deactivateEmergencyMode();
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Emergency mode deactivated!");
-        } else {
-          console.log("\nActivating emergency mode...");
-          const tx = await token.activateEmergencyMode();
-          console.log("Transaction hash:", tx.hash);
-          console.log("Waiting for confirmation...");
-          await tx.wait();
-          console.log("Emergency mode activated!");
+      };
+
+      ctx.log("\nCurrent Token State:");
+      ctx.log("  Address:", state.token);
+      ctx.log("  Name:", state.name);
+      ctx.log("  Symbol:", state.symbol);
+      ctx.log("  Decimals:", state.decimals);
+      ctx.log("  Total Supply:", state.totalSupply, "tokens");
+      ctx.log("  Max Supply:", state.maxSupply, "tokens");
+      ctx.log("  Owner:", state.owner);
+      if (state.pendingOwner !== ZeroAddress) {
+        ctx.log("  Pending Owner:", state.pendingOwner, "(not accepted yet)");
+      }
+      ctx.log("  Circuit Breaker:", state.circuitBreaker);
+      ctx.log("  Paused:", state.paused);
+      ctx.log("  Paused Operations:", state.pausedOperations.length ? state.pausedOperations.join(", ") : "none");
+      ctx.log("  Emergency Mode:", state.emergencyMode);
+      ctx.log("  Recovery Address:", state.recoveryAddress === ZeroAddress ? "not set" : state.recoveryAddress);
+      ctx.log("  Mint Rate Limit:", state.mintRateLimit, "tokens per", state.mintRateWindow, "seconds");
+      ctx.log("  Minted In Window (all minters):", state.dailyMinted, "tokens");
+      ctx.log("  Remaining Mint Rate:", state.remainingDailyLimit, "tokens");
+      ctx.log("\nSigner Information:");
+      ctx.log("  Address:", state.account.address);
+      ctx.log("  Balance:", state.account.balance, "tokens");
+      ctx.log("  Is Minter:", state.account.isMinter);
+      ctx.log("  Mint Capacity:", state.account.mintCapacity, "tokens");
+      ctx.log("  Is Blacklisted:", state.account.isBlacklisted);
+      ctx.log("  Is Pause Exempt:", state.account.isPauseExempt);
+      return state;
+    }
+  },
+
+  balance: {
+    args: ["[address]"],
+    description: "Show the token balance of an address (default: --from)",
+    run: async (ctx, [account]) => {
+      const address = account ? ctx.address(account, "address") : ctx.signer.address;
+      const balance = ctx.format(await ctx.token.balanceOf(address));
+      ctx.log(`Balance of ${address}: ${balance} tokens`);
+      return { address, balance };
+    }
+  },
+
+  allowance: {
+    args: ["<owner>", "<spender>"],
+    description: "Show the allowance granted by owner to spender",
+    run: async (ctx, [owner, spender]) => {
+      owner = ctx.address(owner, "owner");
+      spender = ctx.address(spender, "spender");
+      const allowance = ctx.format(await ctx.token.allowance(owner, spender));
+      ctx.log(`Allowance of ${spender} over ${owner}: ${allowance} tokens`);
+      return { owner, spender, allowance };
+    }
+  },
+
+  nonces: {
+    args: ["[address]"],
+    description: "Show the EIP-2612 permit nonce of an address (default: --from)",
+    run: async (ctx, [account]) => {
+      const address = account ? ctx.address(account, "address") : ctx.signer.address;
+      const nonce = (await ctx.token.nonces(address)).toString();
+      ctx.log(`Permit nonce of ${address}: ${nonce}`);
+      return { address, nonce };
+    }
+  },
+
+  authorizationstate: {
+    name: "authorizationState",
+    args: ["<authorizer>", "<nonce>"],
+    description: "Show the EIP-3009 state of an authorization nonce",
+    run: async (ctx, [authorizer, nonce]) => {
+      authorizer = ctx.address(authorizer, "authorizer");
+      nonce = ctx.bytes32(nonce, "nonce");
+      const state = AUTHORIZATION_STATES[Number(await ctx.token.authorizationState(authorizer, nonce))];
+      ctx.log(`Authorization ${nonce} of ${authorizer}: ${state}`);
+      return { authorizer, nonce, state };
+    }
+  },
+
+  isminter: {
+    name: "isMinter",
+    args: ["<address>"],
+    description: "Check whether an address is a minter",
+    run: async (ctx, [account]) => {
+      const address = ctx.address(account, "address");
+      const isMinter = await ctx.token.isMinter(address);
+      ctx.log(`${address} is minter: ${isMinter}`);
+      return { address, isMinter };
+    }
+  },
+
+  minterallowance: {
+    name: "minterAllowance",
+    args: ["<address>"],
+    description: "Show a minter's allowance, daily cap and remaining capacity",
+    run: async (ctx, [account]) => {
+      const minter = ctx.address(account, "address");
+      const allowance = await ctx.token.minterAllowance(minter);
+      const limits = {
+        minter,
+        isMinter: await ctx.token.isMinter(minter),
+        allowance: allowance === MaxUint256 ? "unlimited" : ctx.format(allowance),
+        dailyCap: ctx.format(await ctx.token.minterDailyCap(minter)),
+        mintedToday: ctx.format(await ctx.token.minterDailyMinted(minter)),
+        remaining: ctx.format(await ctx.token.remainingMinterCapacity(minter))
+      };
+      ctx.log(`\nMinter ${minter}${limits.isMinter ? "" : " (not a minter)"}:`);
+      ctx.log("  Allowance:", limits.allowance, allowance === MaxUint256 ? "" : "tokens");
+      ctx.log("  Daily Cap:", limits.dailyCap, "tokens");
+      ctx.log("  Minted Today:", limits.mintedToday, "tokens");
+      ctx.log("  Can Mint Now:", limits.remaining, "tokens");
+      return limits;
+    }
+  },
+
+  isblacklisted: {
+    name: "isBlacklisted",
+    args: ["<address>"],
+    description: "Check whether an address is blacklisted",
+    run: async (ctx, [account]) => {
+      const address = ctx.address(account, "address");
+      const isBlacklisted = await ctx.token.isBlacklisted(address);
+      ctx.log(`${address} is blacklisted: ${isBlacklisted}`);
+      return { address, isBlacklisted };
+    }
+  },
+
+  minters: {
+    args: ["[offset]", "[limit]"],
+    description: "List minters (default: all, in pages of 100)",
+    run: async (ctx, [offset, limit]) => listSet(ctx, "minters", ctx.token.minterCount, ctx.token.getMinters, offset, limit)
+  },
+
+  ispauseexempt: {
+    name: "isPauseExempt",
+    args: ["<address>"],
+    description: "Check whether an address can move tokens while transfers are paused",
+    run: async (ctx, [account]) => {
+      const address = ctx.address(account, "address");
+      const isPauseExempt = await ctx.token.isPauseExempt(address);
+      ctx.log(`${address} is pause exempt: ${isPauseExempt}`);
+      return { address, isPauseExempt };
+    }
+  },
+
+  pauseexempt: {
+    name: "pauseExempt",
+    args: ["[offset]", "[limit]"],
+    description: "List pause exempt addresses (default: all, in pages of 100)",
+    run: async (ctx, [offset, limit]) =>
+      listSet(ctx, "pauseExempt", ctx.token.pauseExemptCount, ctx.token.getPauseExempt, offset, limit)
+  },
+
+  operations: {
+    args: [],
+    description: `Show the pause flag of each operation (${PAUSABLE_OPERATIONS.join(", ")})`,
+    run: async (ctx) => {
+      const paused = await pausedOperations(ctx.token);
+      const operations = Object.fromEntries(PAUSABLE_OPERATIONS.map(operation => [operation, paused.includes(operation)]));
+      ctx.log("\nOperation pause flags:");
+      PAUSABLE_OPERATIONS.forEach(operation => ctx.log(`  ${operation}: ${operations[operation] ? "paused" : "running"}`));
+      return { operations };
+    }
+  },
+
+  blacklisted: {
+    args: ["[offset]", "[limit]"],
+    description: "List blacklisted addresses (default: all, in pages of 100)",
+    run: async (ctx, [offset, limit]) =>
+      listSet(ctx, "blacklisted", ctx.token.blacklistedCount, ctx.token.getBlacklisted, offset, limit)
+  },
+
+  hasrole: {
+    name: "hasRole",
+    args: ["<role>", "<address>"],
+    description: `Check whether an address holds a role (${Object.keys(ROLES).join(", ")} or a bytes32 id)`,
+    run: async (ctx, [role, account]) => {
+      role = ctx.role(role);
+      const address = ctx.address(account, "address");
+      const hasRole = await ctx.token.hasRole(role, address);
+      ctx.log(`${address} has ${roleName(role)}: ${hasRole}`);
+      return { role: roleName(role), address, hasRole };
+    }
+  },
+
+  roles: {
+    args: ["[address]"],
+    description: "List the roles held by an address (default: the --from account)",
+    run: async (ctx, [account]) => {
+      const address = account === undefined ? ctx.signer.address : ctx.address(account, "address");
+      const roles = [];
+      for (const role of Object.values(ROLES)) {
+        if (await ctx.token.hasRole(role, address)) {
+          roles.push(roleName(role));
         }
-        break;
+      }
+      ctx.log(`${address} roles: ${roles.length ? roles.join(", ") : "none"}`);
+      return { address, roles };
+    }
+  },
+
+  mint: {
+    args: ["<amount>", "<address>"],
+    description: "Mint tokens to an address (minter only)",
+    run: async (ctx, [amount, to]) => {
+      amount = ctx.parse(amount);
+      to = ctx.address(to, "address");
+      ctx.log(`\nMinting ${ctx.format(amount)} tokens to ${to}...`);
+      const result = await ctx.send(ctx.token.mint(to, amount));
+      ctx.log("Tokens minted successfully!");
+      return { to, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  transfer: {
+    args: ["<amount>", "<address>"],
+    description: "Transfer tokens from --from to an address",
+    run: async (ctx, [amount, to]) => {
+      amount = ctx.parse(amount);
+      to = ctx.address(to, "address");
+      ctx.log(`\nTransferring ${ctx.format(amount)} tokens to ${to}...`);
+      const result = await ctx.send(ctx.token.transfer(to, amount));
+      ctx.log("Tokens transferred successfully!");
+      return { from: ctx.signer.address, to, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  transferfrom: {
+    name: "transferFrom",
+    args: ["<amount>", "<from>", "<to>"],
+    description: "Transfer tokens using the allowance granted to --from",
+    run: async (ctx, [amount, from, to]) => {
+      amount = ctx.parse(amount);
+      from = ctx.address(from, "from");
+      to = ctx.address(to, "to");
+      ctx.log(`\nTransferring ${ctx.format(amount)} tokens from ${from} to ${to}...`);
+      const result = await ctx.send(ctx.token.transferFrom(from, to, amount));
+      ctx.log("Tokens transferred successfully!");
+      return { spender: ctx.signer.address, from, to, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  approve: {
+    args: ["<amount>", "<address>"],
+    description: "Approve an address to spend tokens of --from",
+    run: async (ctx, [amount, spender]) => {
+      amount = ctx.parse(amount);
+      spender = ctx.address(spender, "address");
+      ctx.log(`\nApproving ${ctx.format(amount)} tokens for ${spender}...`);
+      const result = await ctx.send(ctx.token.approve(spender, amount));
+      ctx.log("Approval successful!");
+      return { owner: ctx.signer.address, spender, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  burn: {
+    args: ["<amount>"],
+    description: "Burn tokens of --from",
+    run: async (ctx, [amount]) => {
+      amount = ctx.parse(amount);
+      ctx.log(`\nBurning ${ctx.format(amount)} tokens...`);
+      const result = await ctx.send(ctx.token.burn(amount));
+      ctx.log("Tokens burned successfully!");
+      return { account: ctx.signer.address, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  burnfrom: {
+    name: "burnFrom",
+    args: ["<amount>", "<account>"],
+    description: "Burn tokens of an account using the allowance granted to --from",
+    run: async (ctx, [amount, account]) => {
+      amount = ctx.parse(amount);
+      account = ctx.address(account, "account");
+      ctx.log(`\nBurning ${ctx.format(amount)} tokens from ${account}...`);
+      const result = await ctx.send(ctx.token.burnFrom(account, amount));
+      ctx.log("Tokens burned successfully!");
+      return { account, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  permit: {
+    args: ["<amount>", "<spender>"],
+    description: "Sign (or use --signature) and submit an EIP-2612 permit",
+    options: {
+      ...SIGNATURE_OPTIONS,
+      owner: {
+        type: "string",
+        help: "Owner: required with --signature, otherwise a contract wallet the signer signs for (default: the signer)",
+        arg: "<address>"
+      },
+      deadline: { type: "string", help: "Permit deadline (default: latest block + 1 hour)", arg: "<unix>" }
+    },
+    run: async (ctx, [amount, spender], options) => {
+      const { token } = ctx;
+      const value = ctx.parse(amount);
+      spender = ctx.address(spender, "spender");
+      const deadline = options.deadline !== undefined
+        ? ctx.uint(options.deadline, "deadline")
+        : await ctx.defaultDeadline();
+
+      let owner;
+      let signature;
+      if (options.signature) {
+        owner = ctx.address(requireOption(options, "owner", "--signature"), "owner");
+        signature = ctx.signature(options.signature, { contractWallet: true });
+      } else {
+        const signer = ctx.signerAt(options.signer);
+        owner = options.owner ? ctx.address(options.owner, "owner") : signer.address;
+        signature = await signing.signPermit(token, signer, { owner, spender, value, deadline });
+      }
+
+      // The bytes overload takes EOA and contract wallet (ERC-1271) signatures alike
+      ctx.log(`\nPermitting ${ctx.format(value)} tokens from ${owner} to ${spender}...`);
+      ctx.log("  Deadline:", new Date(Number(deadline) * 1000).toISOString());
+      const result = await ctx.send(token.permit(owner, spender, value, deadline, signature.serialized));
+      ctx.log("Permit successful!");
+      return {
+        owner,
+        spender,
+        amount: ctx.format(value),
+        deadline: deadline.toString(),
+        signature: signature.serialized,
+        ...result
+      };
+    }
+  },
+
+  transferwithauthorization: {
+    name: "transferWithAuthorization",
+    args: ["<amount>", "<to>"],
+    description: "Sign (or use --signature) and submit an EIP-3009 transfer authorization",
+    options: AUTHORIZATION_OPTIONS,
+    run: async (ctx, [amount, to], options) => {
+      to = ctx.address(to, "to");
+      return submitAuthorization(ctx, "transferWithAuthorization", signing.signTransferWithAuthorization, amount, to, options);
+    }
+  },
+
+  receivewithauthorization: {
+    name: "receiveWithAuthorization",
+    args: ["<amount>"],
+    description: "Submit an EIP-3009 receive authorization paying --from (the caller must be the recipient)",
+    options: AUTHORIZATION_OPTIONS,
+    run: async (ctx, [amount], options) => {
+      return submitAuthorization(ctx, "receiveWithAuthorization", signing.signReceiveWithAuthorization, amount, ctx.signer.address, options);
+    }
+  },
+
+  cancelauthorization: {
+    name: "cancelAuthorization",
+    args: ["<nonce>"],
+    description: "Sign (or use --signature) and submit an EIP-3009 authorization cancellation",
+    options: {
+      ...SIGNATURE_OPTIONS,
+      authorizer: AUTHORIZATION_OPTIONS.authorizer
+    },
+    run: async (ctx, [nonce], options) => {
+      nonce = ctx.bytes32(nonce, "nonce");
+
+      let authorizer;
+      let signature;
+      if (options.signature) {
+        authorizer = ctx.address(requireOption(options, "authorizer", "--signature"), "authorizer");
+        signature = ctx.signature(options.signature, { contractWallet: true });
+      } else {
+        const signer = ctx.signerAt(options.signer);
+        authorizer = options.authorizer ? ctx.address(options.authorizer, "authorizer") : signer.address;
+        signature = await signing.signCancelAuthorization(ctx.token, signer, { authorizer, nonce });
+      }
+
+      ctx.log(`\nCanceling authorization ${nonce} of ${authorizer}...`);
+      const result = await ctx.send(ctx.token.cancelAuthorization(authorizer, nonce, signature.serialized));
+      ctx.log("Authorization canceled!");
+      return { authorizer, nonce, signature: signature.serialized, ...result };
+    }
+  },
+
+  transferwithauthorizationbatch: {
+    name: "transferWithAuthorizationBatch",
+    args: ["<file>"],
+    description: "Submit the EIP-3009 transfer authorizations in a JSON file as one transaction",
+    options: {
+      signer: SIGNATURE_OPTIONS.signer,
+      authorizer: {
+        type: "string",
+        help: "Contract wallet the signer signs { to, amount } entries for (default: the signer)",
+        arg: "<address>"
+      },
+      "valid-before": AUTHORIZATION_OPTIONS["valid-before"],
+      "skip-failed": { type: "boolean", help: "Execute the valid authorizations even if others fail (default: all or nothing)" },
+      output: { type: "string", help: "Write the signed batch (a relayer POST /batches body) instead of submitting it", arg: "<file>" }
+    },
+    run: async (ctx, [file], options) => {
+      const { token } = ctx;
+      const { authorizations, skipFailed } = await loadBatch(ctx, file, options);
+
+      if (options.output) {
+        const body = {
+          authorizations: authorizations.map(({ message, signature }) => ({
+            primaryType: "TransferWithAuthorization",
+            message: Object.fromEntries(Object.entries(message).map(([k, v]) => [k, v.toString()])),
+            signature
+          })),
+          skipFailed
+        };
+        fs.writeFileSync(options.output, JSON.stringify(body, null, 2) + "\n");
+        ctx.log(`\nWrote ${authorizations.length} signed authorizations to ${options.output}`);
+        return { output: options.output, authorizations: authorizations.length, skipFailed };
+      }
+
+      ctx.log(`\nSubmitting ${authorizations.length} transfer authorizations (${skipFailed ? "skipping failed ones" : "all or nothing"})...`);
+      const items = authorizations.map(({ message, signature }) => ({ ...message, signature }));
+      const result = await ctx.send(token.transferWithAuthorizationBatch(items, skipFailed));
+
+      const receipt = await ctx.ethers.provider.getTransactionReceipt(result.transactionHash);
+      const results = receipt.logs
+        .map(l => token.interface.parseLog(l))
+        .filter(e => e && e.name === "BatchAuthorizationResult")
+        .map(({ args }) => ({
+          index: Number(args.index),
+          from: args.authorizer,
+          nonce: args.nonce,
+          success: args.success,
+          error: args.success ? null : describeRevert(token.interface, args.reason)
+        }));
+      const executed = results.filter(r => r.success).length;
+      ctx.log(`Executed ${executed} of ${authorizations.length} authorizations`);
+      results.filter(r => !r.success).forEach(r => ctx.log(`  #${r.index} from ${r.from}: ${r.error}`));
+      return { skipFailed, executed, results, ...result };
+    }
+  },
+
+  pause: {
+    args: [],
+    description: "Stop balance changes; approvals keep working (Normal -> TransfersPaused; PAUSER_ROLE)",
+    run: async (ctx) => {
+      ctx.log("\nPausing token transfers...");
+      const result = await ctx.send(ctx.token.pause());
+      ctx.log("Token transfers paused!");
+      return { circuitBreaker: "TransfersPaused", ...result };
+    }
+  },
+
+  freeze: {
+    args: [],
+    description: "Stop every holder operation (Normal or TransfersPaused -> Frozen; PAUSER_ROLE)",
+    run: async (ctx) => {
+      ctx.log("\nFreezing the token...");
+      const result = await ctx.send(ctx.token.freeze());
+      ctx.log("Token frozen!");
+      return { circuitBreaker: "Frozen", ...result };
+    }
+  },
+
+  unpause: {
+    args: [],
+    description: "Return to Normal from TransfersPaused or Frozen (DEFAULT_ADMIN_ROLE; schedule it when the owner is a timelock)",
+    run: async (ctx) => {
+      ctx.log("\nUnpausing the token...");
+      const result = await ctx.send(ctx.token.unpause());
+      ctx.log("Token unpaused!");
+      return { circuitBreaker: "Normal", ...result };
+    }
+  },
+
+  pauseoperation: {
+    name: "pauseOperation",
+    args: ["<operation>"],
+    description: `Pause one operation (${PAUSABLE_OPERATIONS.join(", ")}) on its own (PAUSER_ROLE)`,
+    run: async (ctx, [operation]) => {
+      const index = ctx.operation(operation);
+      ctx.log(`\nPausing ${PAUSABLE_OPERATIONS[index]}...`);
+      const result = await ctx.send(ctx.token.pauseOperation(index));
+      ctx.log(`${PAUSABLE_OPERATIONS[index]} paused!`);
+      return { operation: PAUSABLE_OPERATIONS[index], paused: true, ...result };
+    }
+  },
+
+  unpauseoperation: {
+    name: "unpauseOperation",
+    args: ["<operation>"],
+    description: "Unpause one operation (DEFAULT_ADMIN_ROLE; schedule it when the owner is a timelock)",
+    run: async (ctx, [operation]) => {
+      const index = ctx.operation(operation);
+      ctx.log(`\nUnpausing ${PAUSABLE_OPERATIONS[index]}...`);
+      const result = await ctx.send(ctx.token.unpauseOperation(index));
+      ctx.log(`${PAUSABLE_OPERATIONS[index]} unpaused!`);
+      return { operation: PAUSABLE_OPERATIONS[index], paused: false, ...result };
+    }
+  },
+
+  addpauseexemption: {
+    name: "addPauseExemption",
+    args: ["<address>"],
+    description: "Let an address move tokens while transfers are paused (DEFAULT_ADMIN_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      ctx.log(`\nExempting ${account} from the pause...`);
+      const result = await ctx.send(ctx.token.addPauseExemption(account));
+      ctx.log("Pause exemption added!");
+      return { account, ...result };
+    }
+  },
+
+  removepauseexemption: {
+    name: "removePauseExemption",
+    args: ["<address>"],
+    description: "Remove an address's pause exemption (DEFAULT_ADMIN_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      ctx.log(`\nRemoving the pause exemption of ${account}...`);
+      const result = await ctx.send(ctx.token.removePauseExemption(account));
+      ctx.log("Pause exemption removed!");
+      return { account, ...result };
+    }
+  },
+
+  addminter: {
+    name: "addMinter",
+    args: ["<address>"],
+    description: "Add a new minter (MINTER_ADMIN_ROLE)",
+    run: async (ctx, [minter]) => {
+      minter = ctx.address(minter, "address");
+      ctx.log(`\nAdding ${minter} as minter...`);
+      const result = await ctx.send(ctx.token.addMinter(minter));
+      ctx.log("Minter added successfully!");
+      return { minter, ...result };
+    }
+  },
+
+  configureminter: {
+    name: "configureMinter",
+    args: ["<address>", "<allowance|unlimited>", "<dailyCap>"],
+    description: "Set a minter's allowance and daily cap, adding it if needed (MINTER_ADMIN_ROLE)",
+    run: async (ctx, [minter, allowance, dailyCap]) => {
+      minter = ctx.address(minter, "address");
+      allowance = allowance.toLowerCase() === "unlimited" ? MaxUint256 : ctx.parse(allowance);
+      dailyCap = ctx.parse(dailyCap);
+      const shown = allowance === MaxUint256 ? "unlimited" : ctx.format(allowance);
+      ctx.log(`\nConfiguring minter ${minter}: allowance ${shown}, daily cap ${ctx.format(dailyCap)}...`);
+      const result = await ctx.send(ctx.token.configureMinter(minter, allowance, dailyCap));
+      ctx.log("Minter configured!");
+      return { minter, allowance: shown, dailyCap: ctx.format(dailyCap), ...result };
+    }
+  },
+
+  setmintratelimit: {
+    name: "setMintRateLimit",
+    args: ["<amount>", "[windowSeconds]"],
+    description: "Set the rolling mint rate limit and window (default: keep the window; DEFAULT_ADMIN_ROLE)",
+    run: async (ctx, [amount, window]) => {
+      amount = ctx.parse(amount);
+      window = window === undefined ? await ctx.token.mintRateWindow() : ctx.uint(window, "windowSeconds");
+      ctx.log(`\nSetting mint rate limit to ${ctx.format(amount)} tokens per ${window} seconds...`);
+      const result = await ctx.send(ctx.token.setMintRateLimit(amount, window));
+      ctx.log("Mint rate limit updated!");
+      return { limit: ctx.format(amount), window: window.toString(), ...result };
+    }
+  },
+
+  removeminter: {
+    name: "removeMinter",
+    args: ["<address>"],
+    description: "Remove a minter (MINTER_ADMIN_ROLE)",
+    run: async (ctx, [minter]) => {
+      minter = ctx.address(minter, "address");
+      ctx.log(`\nRemoving ${minter} as minter...`);
+      const result = await ctx.send(ctx.token.removeMinter(minter));
+      ctx.log("Minter removed successfully!");
+      return { minter, ...result };
+    }
+  },
+
+  blacklist: {
+    args: ["<address>"],
+    description: "Blacklist an address (BLACKLISTER_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      ctx.log(`\nBlacklisting ${account}...`);
+      const result = await ctx.send(ctx.token.blacklist(account));
+      ctx.log("Address blacklisted successfully!");
+      return { account, ...result };
+    }
+  },
+
+  unblacklist: {
+    args: ["<address>"],
+    description: "Remove an address from the blacklist (BLACKLISTER_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      ctx.log(`\nRemoving ${account} from blacklist...`);
+      const result = await ctx.send(ctx.token.unblacklist(account));
+      ctx.log("Address removed from blacklist!");
+      return { account, ...result };
+    }
+  },
+
+  activateemergencymode: {
+    name: "activateEmergencyMode",
+    args: [],
+    description: "Enter Recovery from any level (EMERGENCY_ROLE)",
+    run: async (ctx) => {
+      ctx.log("\nActivating emergency mode...");
+      const result = await ctx.send(ctx.token.activateEmergencyMode());
+      ctx.log("Emergency mode activated!");
+      return { emergencyMode: true, circuitBreaker: "Recovery", ...result };
+    }
+  },
+
+  deactivateemergencymode: {
+    name: "deactivateEmergencyMode",
+    args: [],
+    description: "Leave Recovery for Frozen; unpause afterwards (EMERGENCY_ROLE)",
+    run: async (ctx) => {
+      ctx.log("\nDeactivating emergency mode...");
+      const result = await ctx.send(ctx.token.deactivateEmergencyMode());
+      ctx.log("Emergency mode deactivated, the token stays frozen until it is unpaused");
+      return { emergencyMode: false, circuitBreaker: "Frozen", ...result };
+    }
+  },
 
-      case 'permit-demo':
-        await demonstratePermit(token, signer);
-        break;
+  emergency: {
+    args: [],
+    description: "Toggle emergency mode (EMERGENCY_ROLE)",
+    run: async (ctx) => {
+      const command = (await ctx.token.emergencyMode())
+        ? COMMANDS.deactivateemergencymode
+        : COMMANDS.activateemergencymode;
+      return command.run(ctx, []);
+    }
+  },
+
+  emergencytransfer: {
+    name: "emergencyTransfer",
+    args: ["<amount>", "<from>", "<to>"],
+    description: "Move tokens from any account while in Recovery (EMERGENCY_ROLE)",
+    run: async (ctx, [amount, from, to]) => {
+      amount = ctx.parse(amount);
+      from = ctx.address(from, "from");
+      to = ctx.address(to, "to");
+      ctx.log(`\nEmergency transferring ${ctx.format(amount)} tokens from ${from} to ${to}...`);
+      const result = await ctx.send(ctx.token.emergencyTransfer(from, to, amount));
+      ctx.log("Emergency transfer successful!");
+      return { from, to, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  setrecoveryaddress: {
+    name: "setRecoveryAddress",
+    args: ["<address>"],
+    description: "Set the address that receives seized funds (DEFAULT_ADMIN_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      ctx.log(`\nSetting the recovery address to ${account}...`);
+      const result = await ctx.send(ctx.token.setRecoveryAddress(account));
+      ctx.log("Recovery address set!");
+      return { recoveryAddress: account, ...result };
+    }
+  },
+
+  seize: {
+    args: ["<address>"],
+    description: "Move a blacklisted account's whole balance to the recovery address (EMERGENCY_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      const recoveryAddress = await ctx.token.recoveryAddress();
+      const amount = await ctx.token.balanceOf(account);
+      ctx.log(`\nSeizing the balance of ${account} to ${recoveryAddress}...`);
+      const result = await ctx.send(ctx.token.seizeBlacklistedFunds(account));
+      ctx.log(`Seized ${ctx.format(amount)} tokens!`);
+      return { account, recipient: recoveryAddress, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  wipe: {
+    args: ["<address>"],
+    description: "Burn a blacklisted account's whole balance (EMERGENCY_ROLE)",
+    run: async (ctx, [account]) => {
+      account = ctx.address(account, "address");
+      const amount = await ctx.token.balanceOf(account);
+      ctx.log(`\nWiping the balance of ${account}...`);
+      const result = await ctx.send(ctx.token.wipeBlacklistedFunds(account));
+      ctx.log(`Burned ${ctx.format(amount)} tokens!`);
+      return { account, amount: ctx.format(amount), ...result };
+    }
+  },
+
+  grantrole: {
+    name: "grantRole",
+    args: ["<role>", "<address>"],
+    description: "Grant a role to an address (role admin only; DEFAULT_ADMIN follows ownership)",
+    run: async (ctx, [role, account]) => {
+      role = ctx.role(role);
+      account = ctx.address(account, "address");
+      ctx.log(`\nGranting ${roleName(role)} to ${account}...`);
+      const result = await ctx.send(ctx.token.grantRole(role, account));
+      ctx.log("Role granted!");
+      return { role: roleName(role), account, ...result };
+    }
+  },
+
+  revokerole: {
+    name: "revokeRole",
+    args: ["<role>", "<address>"],
+    description: "Revoke a role from an address (role admin only)",
+    run: async (ctx, [role, account]) => {
+      role = ctx.role(role);
+      account = ctx.address(account, "address");
+      ctx.log(`\nRevoking ${roleName(role)} from ${account}...`);
+      const result = await ctx.send(ctx.token.revokeRole(role, account));
+      ctx.log("Role revoked!");
+      return { role: roleName(role), account, ...result };
+    }
+  },
+
+  renouncerole: {
+    name: "renounceRole",
+    args: ["<role>"],
+    description: "Give up a role held by the --from account",
+    run: async (ctx, [role]) => {
+      role = ctx.role(role);
+      ctx.log(`\nRenouncing ${roleName(role)} for ${ctx.signer.address}...`);
+      const result = await ctx.send(ctx.token.renounceRole(role, ctx.signer.address));
+      ctx.log("Role renounced!");
+      return { role: roleName(role), ...result };
+    }
+  },
 
-      default:
-        console.log("Unknown command:", command);
+  schedule: {
+    args: ["<function>", "[args...]"],
+    description: "Queue a GenericToken call on the timelock (arguments in raw units, e.g. wei)",
+    options: SCHEDULE_OPTIONS,
+    run: async (ctx, [fn, ...fnArgs], options) => {
+      const timelock = await ctx.timelock();
+      let data;
+      try {
+        data = ctx.token.interface.encodeFunctionData(fn, fnArgs);
+      } catch (error) {
+        throw new UsageError(`Cannot encode ${fn}(${fnArgs.join(", ")}): ${error.shortMessage || error.message}`);
+      }
+      const delay = options.delay !== undefined ? ctx.uint(options.delay, "delay") : await timelock.getMinDelay();
+      const salt = options.salt !== undefined ? ctx.bytes32(options.salt, "salt") : ctx.ethers.hexlify(ctx.ethers.randomBytes(32));
+      const predecessor = options.predecessor !== undefined ? ctx.bytes32(options.predecessor, "predecessor") : ZeroHash;
+      const call = describeCall(ctx.token, data);
+
+      ctx.log(`\nScheduling ${call} with a ${delay} second delay...`);
+      const operationId = await timelock.hashOperation(ctx.tokenAddress, 0, data, predecessor, salt);
+      const result = await ctx.send(timelock.schedule(ctx.tokenAddress, 0, data, predecessor, salt, delay), timelock);
+      const readyAt = await timelock.getTimestamp(operationId);
+      ctx.log("Operation scheduled!");
+      ctx.log("  Operation id:", operationId);
+      ctx.log("  Ready at:", new Date(Number(readyAt) * 1000).toISOString());
+      return { operationId, call, salt, predecessor, delay: delay.toString(), readyAt: readyAt.toString(), ...result };
+    }
+  },
+
+  scheduled: {
+    args: [],
+    description: "List operations queued on the timelock and their state",
+    run: async (ctx) => {
+      const timelock = await ctx.timelock();
+      const operations = [];
+      for (const op of await scheduledOperations(ctx, timelock)) {
+        const state = OPERATION_STATES[Number(await timelock.getOperationState(op.id))];
+        const readyAt = await timelock.getTimestamp(op.id);
+        operations.push({
+          operationId: op.id,
+          call: op.calls.map(c => describeCall(ctx.token, c.data)).join("; "),
+          state: state === "Unset" ? "Canceled" : state,
+          readyAt: state === "Unset" || state === "Done" ? null : readyAt.toString()
+        });
+      }
+
+      ctx.log(`\n${operations.length} operation${operations.length === 1 ? "" : "s"} on timelock ${await timelock.getAddress()}:`);
+      operations.forEach(op => {
+        const when = op.readyAt ? `, ready at ${new Date(Number(op.readyAt) * 1000).toISOString()}` : "";
+        ctx.log(`  ${op.operationId}  ${op.state}${when}`);
+        ctx.log(`    ${op.call}`);
+      });
+      return { timelock: await timelock.getAddress(), operations };
+    }
+  },
+
+  execute: {
+    args: ["<operationId>"],
+    description: "Execute a queued operation once its delay has passed",
+    run: async (ctx, [id]) => {
+      const timelock = await ctx.timelock();
+      const op = await findOperation(ctx, timelock, ctx.bytes32(id, "operationId"));
+      const state = OPERATION_STATES[Number(await timelock.getOperationState(op.id))];
+      if (state === "Waiting") {
+        const readyAt = await timelock.getTimestamp(op.id);
+        throw new UsageError(`Operation ${op.id} is not ready until ${new Date(Number(readyAt) * 1000).toISOString()}`);
+      }
+      if (state !== "Ready") {
+        throw new UsageError(`Operation ${op.id} was already ${state === "Done" ? "executed" : "canceled"}`);
+      }
+      const [call] = op.calls;
+      ctx.log(`\nExecuting ${describeCall(ctx.token, call.data)}...`);
+      const result = await ctx.send(timelock.execute(call.target, call.value, call.data, op.predecessor, op.salt, { value: call.value }), timelock);
+      ctx.log("Operation executed!");
+      return { operationId: op.id, ...result };
+    }
+  },
+
+  cancel: {
+    args: ["<operationId>"],
+    description: "Cancel a queued operation (timelock canceller only)",
+    run: async (ctx, [id]) => {
+      const timelock = await ctx.timelock();
+      const operationId = ctx.bytes32(id, "operationId");
+      ctx.log(`\nCanceling operation ${operationId}...`);
+      const result = await ctx.send(timelock.cancel(operationId), timelock);
+      ctx.log("Operation canceled!");
+      return { operationId, ...result };
     }
+  },
+
+  transferownership: {
+    name: "transferOwnership",
+    args: ["<address>"],
+    description: "Propose a new owner, who takes over with acceptOwnership (owner only)",
+    run: async (ctx, [newOwner]) => {
+      newOwner = ctx.address(newOwner, "address");
+      ctx.log(`\nProposing ${newOwner} as the new owner...`);
+      const result = await ctx.send(ctx.token.transferOwnership(newOwner));
+      ctx.log(`Ownership transfer started; ${newOwner} must now run acceptOwnership`);
+      return { pendingOwner: newOwner, ...result };
+    }
+  },
+
+  acceptownership: {
+    name: "acceptOwnership",
+    args: [],
+    description: "Take over ownership proposed with transferOwnership (pending owner only)",
+    run: async (ctx) => {
+      const pendingOwner = await ctx.token.pendingOwner();
+      if (pendingOwner !== ctx.signer.address) {
+        throw new UsageError(`${ctx.signer.address} is not the pending owner (pending owner: ${pendingOwner})`);
+      }
+      ctx.log("\nAccepting ownership...");
+      const result = await ctx.send(ctx.token.acceptOwnership());
+      ctx.log("Ownership accepted!");
+      return { owner: ctx.signer.address, ...result };
+    }
+  }
+};
+
+// ============ EIP-712 Helpers ============
+
+function requireOption(options, name, because) {
+  if (!options[name]) {
+    throw new UsageError(`--${name} is required with ${because}`);
+  }
+  return options[name];
+}
+
+async function submitAuthorization(ctx, method, sign, amount, to, options) {
+  const { ethers, token } = ctx;
+  const value = ctx.parse(amount);
+  const validAfter = options["valid-after"] !== undefined
+    ? ctx.uint(options["valid-after"], "valid-after")
+    : 0n;
+  const validBefore = options["valid-before"] !== undefined
+    ? ctx.uint(options["valid-before"], "valid-before")
+    : await ctx.defaultDeadline();
+  const nonce = options.nonce !== undefined
+    ? ctx.bytes32(options.nonce, "nonce")
+    : ethers.hexlify(ethers.randomBytes(32));
+
+  let from;
+  let signature;
+  if (options.signature) {
+    from = ctx.address(requireOption(options, "authorizer", "--signature"), "authorizer");
+    signature = ctx.signature(options.signature, { contractWallet: true });
+  } else {
+    const signer = ctx.signerAt(options.signer);
+    from = options.authorizer ? ctx.address(options.authorizer, "authorizer") : signer.address;
+    signature = await sign(token, signer, { from, to, value, validAfter, validBefore, nonce });
+  }
+
+  // The bytes overload takes EOA and contract wallet (ERC-1271) signatures alike
+  ctx.log(`\nSubmitting ${method}: ${ctx.format(value)} tokens from ${from} to ${to}...`);
+  ctx.log("  Nonce:", nonce);
+  const result = await ctx.send(token[method](
+    from, to, value, validAfter, validBefore, nonce, signature.serialized
+  ));
+  ctx.log("Authorization executed successfully!");
+  return {
+    from,
+    to,
+    amount: ctx.format(value),
+    validAfter: validAfter.toString(),
+    validBefore: validBefore.toString(),
+    nonce,
+    signature: signature.serialized,
+    ...result
+  };
+}
 
+// Authorizations of a batch file: a JSON array (or a relayer POST /batches
+// body) whose entries are { to, amount } to sign with the signer, or signed
+// { message, signature } with uint256 fields in raw units
+async function loadBatch(ctx, file, options) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, "utf8"));
   } catch (error) {
-    console.error("Error executing command:", error.message);
-    if (error.data) {
-      console.error("Error data:", error.data);
+    throw new UsageError(`Cannot read batch ${file}: ${error.message}`);
+  }
+  const entries = Array.isArray(content) ? content : content && content.authorizations;
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new UsageError(`${file}: expected a non-empty array of authorizations`);
+  }
+
+  let signer;
+  let from;
+  let validBefore;
+  const authorizations = [];
+  for (const [index, entry] of entries.entries()) {
+    if (entry && entry.signature !== undefined) {
+      let message;
+      try {
+        message = parseMessage("TransferWithAuthorization", entry.message);
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          throw new UsageError(`${file} #${index}: ${error.message}`);
+        }
+        throw error;
+      }
+      authorizations.push({ message, signature: ctx.signature(entry.signature, { contractWallet: true }).serialized });
+      continue;
+    }
+    if (!entry || entry.to === undefined || entry.amount === undefined) {
+      throw new UsageError(`${file} #${index}: expected { to, amount } or a signed { message, signature }`);
+    }
+
+    if (!signer) {
+      signer = ctx.signerAt(options.signer);
+      from = options.authorizer ? ctx.address(options.authorizer, "authorizer") : signer.address;
+      validBefore = options["valid-before"] !== undefined
+        ? ctx.uint(options["valid-before"], "valid-before")
+        : await ctx.defaultDeadline();
     }
+    const signed = await signing.signTransferWithAuthorization(ctx.token, signer, {
+      from,
+      to: ctx.address(String(entry.to), `to of #${index}`),
+      value: ctx.parse(String(entry.amount)),
+      validBefore
+    });
+    authorizations.push({ message: signed.message, signature: signed.serialized });
   }
+
+  const skipFailed = Boolean(options["skip-failed"]) || (!Array.isArray(content) && content.skipFailed === true);
+  return { authorizations, skipFailed };
+}
+
+// ============ Timelock Helpers ============
+
+// "name(arg, ...)" for GenericToken calldata, the raw data otherwise
+function describeCall(token, data) {
+  const call = token.interface.parseTransaction({ data });
+  return call ? `${call.name}(${call.args.join(", ")})` : data;
 }
 
-async function demonstratePermit(token, signer) {
-  console.log("\nEIP-2612 Permit Demo");
+// Operations scheduled on the timelock, in scheduling order. Each has the
+// calls it executes (one unless it was scheduled as a batch) and its salt.
+async function scheduledOperations(ctx, timelock) {
+  const fromBlock = await ctx.timelockFromBlock(await timelock.getAddress());
+  const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock);
+  const salts = await timelock.queryFilter(timelock.filters.CallSalt(), fromBlock);
+
+  const operations = new Map();
+  for (const event of scheduled) {
+    const { id, index, target, value, data, predecessor } = event.args;
+    if (!operations.has(id)) {
+      operations.set(id, { id, predecessor, salt: ZeroHash, calls: [] });
+    }
+    operations.get(id).calls[Number(index)] = { target, value, data };
+  }
+  // CallSalt is only emitted for a non-zero salt
+  salts.forEach(event => {
+    if (operations.has(event.args.id)) {
+      operations.get(event.args.id).salt = event.args.salt;
+    }
+  });
+  return [...operations.values()];
+}
+
+async function findOperation(ctx, timelock, id) {
+  const op = (await scheduledOperations(ctx, timelock)).find(o => o.id === id);
+  if (!op) {
+    throw new UsageError(`Operation ${id} was never scheduled on ${await timelock.getAddress()}`);
+  }
+  if (op.calls.length !== 1) {
+    throw new UsageError(`Operation ${id} is a batch of ${op.calls.length} calls; execute it with executeBatch`);
+  }
+  return op;
+}
+
+// ============ CLI Plumbing ============
+
+function commandName(key) {
+  return COMMANDS[key].name || key;
+}
 
-  const [recipient] = await ethers.getSigners();
-  const spender = await ethers.getSigners(1);
+function commandUsage(key) {
+  const command = COMMANDS[key];
+  return [commandName(key), ...command.args].join(" ");
+}
 
-  if (!spender) {
-    console.log("Need at least 2 accounts for permit demo");
+function showHelp(key) {
+  if (key) {
+    const command = COMMANDS[key];
+    console.log(`\nUsage: node scripts/interact.js [global options] ${commandUsage(key)} [options]`);
+    console.log(`\n${command.description}`);
+    const options = Object.values(command.options || {});
+    if (options.length > 0) {
+      console.log("\nOptions:");
+      const flags = Object.entries(command.options).map(([name, option]) => `--${name}${option.arg ? ` ${option.arg}` : ""}`);
+      const width = Math.max(...flags.map(f => f.length));
+      options.forEach((option, i) => console.log(`  ${flags[i].padEnd(width)}  ${option.help}`));
+    }
+    console.log(GLOBAL_HELP);
     return;
   }
 
-  const amount = ethers.utils.parseUnits("100", 18);
-  const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
+  console.log("\nUsage: node scripts/interact.js [global options] <command> [arguments] [options]");
+  console.log("\nAvailable Commands:");
+  const width = Math.max(...Object.keys(COMMANDS).map(k => commandUsage(k).length));
+  Object.keys(COMMANDS).forEach(k => {
+    console.log(`  ${commandUsage(k).padEnd(width)}  ${COMMANDS[k].description}`);
+  });
+  console.log(GLOBAL_HELP);
+}
+
+function commandOptionSpec(command) {
+  const spec = {};
+  Object.entries(command.options || {}).forEach(([name, { type }]) => {
+    spec[name] = { type };
+  });
+  return spec;
+}
+
+// Splits argv into the command key, its positional arguments and all options
+function parseCommandLine(argv) {
+  const allOptions = { ...GLOBAL_OPTIONS };
+  Object.values(COMMANDS).forEach(command => Object.assign(allOptions, commandOptionSpec(command)));
 
-  console.log("Permit Details:");
-  console.log("  Owner:", signer.address);
-  console.log("  Spender:", spender.address);
-  console.log("  Amount:", ethers.utils.formatUnits(amount, 18), "tokens");
-  console.log("  Deadline:", new Date(deadline * 1000).toISOString());
+  const { positionals } = parseArgs({ args: argv, options: allOptions, allowPositionals: true, strict: false });
+  const [name, ...args] = positionals;
+  const key = name && name.toLowerCase();
 
+  if (key && !COMMANDS[key]) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+
+  let values;
   try {
-    // Get the nonce
-    const nonce = await token.nonces(signer.address);
-    console.log("  Nonce:", nonce.toString());
-
-    // Get domain separator
-    const domainSeparator = await token.DOMAIN_SEPARATOR();
-    console.log("  Domain Separator:", domainSeparator);
-
-    // Create the permit message
-    const permitMessage = {
-      owner: signer.address,
-      spender: spender.address,
-      value: amount,
-      nonce: nonce,
-      deadline: deadline
-    };
-
-    // Sign the permit
-    const signature = await signer._signTypedData(
-      {
-        name: await token.name(),
-        version: "1",
-        chainId: await signer.getChainId(),
-        verifyingContract: token.address
-      },
-      {
-        Permit: [
-          { name: "owner", type: "address" },
-          { name: "spender", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "deadline", type: "uint256" }
-        ]
-      },
-      permitMessage
-    );
+    ({ values } = parseArgs({
+      args: argv,
+      options: { ...GLOBAL_OPTIONS, ...(key ? commandOptionSpec(COMMANDS[key]) : {}) },
+      allowPositionals: true,
+      strict: true
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
 
-    const { v, r, s } = ethers.utils.splitSignature(signature);
-
-    console.log("Signature Generated:");
-    console.log("  v:", v);
-    console.log("  r:", r);
-    console.log("  s:", s);
-
-    // Check allowance before permit
-    const allowanceBefore = await token.allowance(signer.address, spender.address);
-    console.log("Allowance before permit:", ethers.utils.formatUnits(allowanceBefore, 18));
-
-    // Execute permit
-    console.log("\nExecuting permit...");
-    const permitTx = await token.connect(spender).permit(
-      signer.address,
-      spender.address,
-      amount,
-      deadline,
-      v, r, s
+  return { key, args, options: values };
+}
+
+function checkArity(key, args) {
+  const spec = COMMANDS[key].args;
+  const required = spec.filter(a => a.startsWith("<")).length;
+  const variadic = spec.some(a => a.endsWith("...]"));
+  if (args.length < required || (!variadic && args.length > spec.length)) {
+    throw new UsageError(`Usage: ${commandUsage(key)}`);
+  }
+}
+
+async function resolveTokenAddress(hre, options) {
+  try {
+    return await registry.resolveTokenAddress(hre, options.token);
+  } catch (error) {
+    if (!(error instanceof registry.RegistryError)) {
+      throw error;
+    }
+    throw new UsageError(
+      `${error.message}\nPass --token <address> or deploy the token first.\n` +
+      "Run: npx hardhat run scripts/deploy.js --network <network>"
     );
+  }
+}
+
+// Turns a revert into a readable reason, decoding GenericToken custom errors
+function describeError(token, error) {
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.map(roleName).join(", ")})`;
+  }
+  if (error.data && token) {
+    try {
+      const parsed = token.interface.parseError(error.data);
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.map(roleName).join(", ")})`;
+      }
+    } catch (e) {
+      // not a known custom error
+    }
+  }
+  // Node-side messages embed role ids as plain hex
+  return (error.reason || error.shortMessage || error.message).replace(/0x[0-9a-fA-F]{64}/g, roleName);
+}
 
-    console.log("Transaction hash:", permitTx.hash);
-    console.log("Waiting for confirmation...");
-    await permitTx.wait();
+async function createContext(options) {
+  const hre = require("hardhat");
+  const { ethers } = hre;
 
-    // Check allowance after permit
-    const allowanceAfter = await token.allowance(signer.address, spender.address);
-    console.log("Allowance after permit:", ethers.utils.formatUnits(allowanceAfter, 18));
+  const tokenAddress = await resolveTokenAddress(hre, options);
+  if (!ethers.isAddress(tokenAddress)) {
+    throw new UsageError(`Invalid token address: ${tokenAddress}`);
+  }
+
+  const signers = await ethers.getSigners();
+  const signerAt = (index) => {
+    if (index === undefined) {
+      return signer;
+    }
+    const i = Number(index);
+    if (!Number.isInteger(i) || i < 0 || i >= signers.length) {
+      throw new UsageError(`Signer index ${index} out of range (0-${signers.length - 1})`);
+    }
+    return signers[i];
+  };
+  const signer = options.from !== undefined ? signerAt(options.from) : signers[0];
+
+  const token = await ethers.getContractAt("GenericToken", tokenAddress, signer);
+  if ((await ethers.provider.getCode(tokenAddress)) === "0x") {
+    throw new UsageError(`No contract deployed at ${tokenAddress}`);
+  }
+  const amounts = await loadAmounts(token);
+
+  const log = options.json ? () => {} : console.log;
+
+  return {
+    ethers,
+    token,
+    tokenAddress,
+    signer,
+    decimals: amounts.decimals,
+    signerAt,
+    log,
+    format: amounts.format,
+    parse: (value) => {
+      try {
+        return amounts.parse(value);
+      } catch (error) {
+        if (error instanceof AmountError) {
+          throw new UsageError(error.message);
+        }
+        throw error;
+      }
+    },
+    address: (value, label) => {
+      if (!ethers.isAddress(value)) {
+        throw new UsageError(`Invalid ${label}: ${value}`);
+      }
+      return ethers.getAddress(value);
+    },
+    role: (value) => {
+      const key = value.toUpperCase().replace(/_ROLE$/, "");
+      if (ROLES[key]) {
+        return ROLES[key];
+      }
+      if (!ethers.isHexString(value, 32)) {
+        throw new UsageError(`Invalid role: ${value} (expected ${Object.keys(ROLES).join(", ")} or a bytes32 id)`);
+      }
+      return value.toLowerCase();
+    },
+    operation: (value) => {
+      const index = PAUSABLE_OPERATIONS.findIndex(operation => operation.toLowerCase() === value.toLowerCase());
+      if (index === -1) {
+        throw new UsageError(`Invalid operation: ${value} (expected ${PAUSABLE_OPERATIONS.join(", ")})`);
+      }
+      return index;
+    },
+    bytes32: (value, label) => {
+      if (!ethers.isHexString(value, 32)) {
+        throw new UsageError(`Invalid ${label} (expected 32-byte hex): ${value}`);
+      }
+      return value;
+    },
+    uint: (value, label) => {
+      if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid ${label}: ${value}`);
+      }
+      return BigInt(value);
+    },
+    // An ECDSA signature, split; with contractWallet, other hex is passed on
+    // as-is for the authorizer to check through ERC-1271
+    signature: (value, { contractWallet = false } = {}) => {
+      try {
+        return signing.splitSignature(value);
+      } catch (error) {
+        if (!(error instanceof signing.SigningError)) {
+          throw error;
+        }
+        if (contractWallet && ethers.isHexString(value) && value.length > 2) {
+          return { serialized: value.toLowerCase() };
+        }
+        throw new UsageError(error.message);
+      }
+    },
+    // The timelock given with --timelock, or the token owner (the pending
+    // owner while a timelock still has to accept ownership)
+    timelock: async () => {
+      if (options.timelock !== undefined && !ethers.isAddress(options.timelock)) {
+        throw new UsageError(`Invalid timelock: ${options.timelock}`);
+      }
+      let address = options.timelock !== undefined ? ethers.getAddress(options.timelock) : await token.owner();
+      if (options.timelock === undefined) {
+        const pendingOwner = await token.pendingOwner();
+        if (pendingOwner !== ZeroAddress && (await ethers.provider.getCode(pendingOwner)) !== "0x") {
+          address = pendingOwner;
+        }
+      }
+      const timelock = await ethers.getContractAt("GenericTokenTimelock", address, signer);
+      const isTimelock = (await ethers.provider.getCode(address)) !== "0x" &&
+        await timelock.getMinDelay().then(() => true, () => false);
+      if (!isTimelock) {
+        throw new UsageError(`${address} is not a timelock${options.timelock ? "" : " (the token owner); pass --timelock <address>"}`);
+      }
+      return timelock;
+    },
+    // Block the registry recorded for the timelock, to bound event queries
+    timelockFromBlock: async (address) => {
+      try {
+        const deployments = await registry.loadCurrentRegistry(hre);
+        const record = registry.findDeployment(deployments, tokenAddress);
+        return record && record.timelock && record.timelock.address === address ? record.timelock.blockNumber : 0;
+      } catch (error) {
+        return 0;
+      }
+    },
+    defaultDeadline: async () => {
+      const block = await ethers.provider.getBlock("latest");
+      return BigInt(block.timestamp) + 3600n;
+    },
+    send: async (txPromise, contract = token) => {
+      const tx = await txPromise;
+      log("Transaction hash:", tx.hash);
+      log("Waiting for confirmation...");
+      const receipt = await tx.wait();
+      const events = receipt.logs
+        .map(l => {
+          try {
+            return contract.interface.parseLog(l);
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .map(e => e.name);
+      return {
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        events
+      };
+    }
+  };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(error.message);
+    showHelp();
+    return EXIT_USAGE;
+  }
 
-    // Test the permit by transferring tokens
-    console.log("\nTesting permit by transferring tokens...");
-    const transferTx = await token.connect(spender).transferFrom(signer.address, spender.address, amount);
-    console.log("Transaction hash:", transferTx.hash);
-    console.log("Waiting for confirmation...");
-    await transferTx.wait();
+  const { key, args, options } = parsed;
 
-    console.log("Permit demo completed successfully!");
+  if (options.help) {
+    showHelp(key);
+    return EXIT_OK;
+  }
+  if (!key) {
+    showHelp();
+    return EXIT_USAGE;
+  }
 
+  // Must be set before hardhat is loaded for the first time
+  if (options.network) {
+    process.env.HARDHAT_NETWORK = options.network;
+  }
+
+  let ctx;
+  try {
+    checkArity(key, args);
+    ctx = await createContext(options);
+    if (!options.json) {
+      console.log("GenericToken Interaction Script");
+      console.log("Token Address:", ctx.tokenAddress);
+      console.log("Using account:", ctx.signer.address);
+    }
+    const result = await COMMANDS[key].run(ctx, args, options);
+    if (options.json) {
+      printJson({ command: commandName(key), success: true, ...result });
+    }
+    return EXIT_OK;
   } catch (error) {
-    console.error("Permit demo failed:", error.message);
+    const usage = error instanceof UsageError;
+    const message = usage ? error.message : describeError(ctx && ctx.token, error);
+    if (options.json) {
+      printJson({ command: commandName(key), success: false, error: message });
+    } else {
+      console.error(usage ? message : `Error executing ${commandName(key)}: ${message}`);
+    }
+    return usage ? EXIT_USAGE : EXIT_FAILED;
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("Script failed:", error);
-    process.exit(1);
-  });
\ No newline at end of file
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Script failed:", error);
+      process.exit(EXIT_FAILED);
+    });
+}
+
+module.exports = { main, COMMANDS, EXIT_OK, EXIT_FAILED, EXIT_USAGE };
@@ -0,0 +1,63 @@
+const { formatUnits } = require("ethers");
+
+// Shared conversion between human token amounts ("1000.5") and smallest units.
+// Every script goes through here so the token's own decimals() is always used.
+
+class AmountError extends Error {}
+
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+function checkDecimals(decimals) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+    throw new AmountError(`Invalid decimals: ${decimals}`);
+  }
+}
+
+// Parses a non-negative decimal string into smallest units.
+// Rejects exponents, signs and separators, and never truncates: more fractional
+// digits than the token supports is an error.
+function parseAmount(value, decimals) {
+  checkDecimals(decimals);
+
+  const text = String(value).trim();
+  const match = AMOUNT_PATTERN.exec(text);
+  if (!match) {
+    throw new AmountError(
+      `Invalid amount "${value}": expected a plain decimal number such as 1000 or 0.25`
+    );
+  }
+
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > decimals) {
+    throw new AmountError(
+      `Invalid amount "${value}": at most ${decimals} fractional digits allowed (token has ${decimals} decimals)`
+    );
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+// Formats smallest units as a decimal string, e.g. 1500000n with 6 decimals -> "1.5"
+function formatAmount(value, decimals) {
+  checkDecimals(decimals);
+  return formatUnits(value, decimals);
+}
+
+// Reads decimals() from a deployed token once and binds parse/format to it
+async function loadAmounts(token) {
+  const decimals = Number(await token.decimals());
+  checkDecimals(decimals);
+
+  return {
+    decimals,
+    parse: (value) => parseAmount(value, decimals),
+    format: (value) => formatAmount(value, decimals)
+  };
+}
+
+module.exports = {
+  AmountError,
+  parseAmount,
+  formatAmount,
+  loadAmounts
+};
@@ -0,0 +1,179 @@
+// Post-deploy bootstrap: the owner calls that used to be run by hand with
+// interact.js after every deployment (add minters, blacklist, optional pause,
+// keep a pause guardian, then hand ownership over). Progress is stored step by step in the deployment
+// record, so a run that dies halfway resumes where it stopped. Ownership moves
+// in two steps: the bootstrap makes the new owner the pending owner, which
+// then has to call acceptOwnership itself.
+//
+//   record.bootstrap = {
+//     "completed": false,
+//     "steps": [
+//       { "id": "addMinter:0x...", "action": "addMinter", "args": ["0x..."],
+//         "status": "done", "transactionHash": "0x...", "blockNumber": 12, "completedAt": "..." },
+//       { "id": "transferOwnership:0x...", "action": "transferOwnership", "args": ["0x..."], "status": "pending" }
+//     ]
+//   }
+//
+// A step is pending, sent (transaction submitted, receipt not seen yet), done,
+// or skipped when the chain already matched before anything was sent.
+
+class BootstrapError extends Error {}
+
+// isDone reads the chain, send submits the transaction, role is the
+// GenericToken role it needs (ownership when absent)
+const ACTIONS = {
+  addMinter: {
+    role: "MINTER_ADMIN_ROLE",
+    describe: ([account]) => `Adding minter: ${account}`,
+    isDone: (token, [account]) => token.isMinter(account),
+    send: (token, [account]) => token.addMinter(account)
+  },
+  blacklist: {
+    role: "BLACKLISTER_ROLE",
+    describe: ([account]) => `Blacklisting: ${account}`,
+    isDone: (token, [account]) => token.isBlacklisted(account),
+    send: (token, [account]) => token.blacklist(account)
+  },
+  pause: {
+    role: "PAUSER_ROLE",
+    describe: () => "Pausing token",
+    isDone: (token) => token.paused(),
+    send: (token) => token.pause()
+  },
+  // args: [role getter name, account]
+  grantRole: {
+    role: "DEFAULT_ADMIN_ROLE",
+    describe: ([role, account]) => `Granting ${role} to: ${account}`,
+    isDone: async (token, [role, account]) => token.hasRole(await token[role](), account),
+    send: async (token, [role, account]) => token.grantRole(await token[role](), account)
+  },
+  transferOwnership: {
+    describe: ([owner]) => `Transferring ownership to: ${owner}`,
+    isDone: async (token, [owner]) => (await token.owner()) === owner || (await token.pendingOwner()) === owner,
+    send: (token, [owner]) => token.transferOwnership(owner)
+  }
+};
+
+function step(action, args = []) {
+  return { id: [action, ...args].join(":"), action, args };
+}
+
+// Ordered steps for a token spec; ownership is always transferred last since
+// it takes the deployer's roles needed by every other step along with it. A
+// guardian keeps PAUSER_ROLE after the handover, so pausing stays immediate
+// when the new owner is a timelock.
+function planSteps({ minters = [], blacklist = [], pause = false, guardian, owner }) {
+  return [
+    ...minters.map(account => step("addMinter", [account])),
+    ...blacklist.map(account => step("blacklist", [account])),
+    ...(pause ? [step("pause")] : []),
+    ...(guardian ? [step("grantRole", ["PAUSER_ROLE", guardian])] : []),
+    ...(owner ? [step("transferOwnership", [owner])] : [])
+  ];
+}
+
+// Combines recorded progress with the current plan. Finished steps stay in the
+// record even if the plan no longer lists them; pending ones are dropped.
+function mergeSteps(recorded = [], planned) {
+  const byId = new Map(recorded.map(s => [s.id, s]));
+  const plannedIds = new Set(planned.map(s => s.id));
+  const history = recorded.filter(s => !plannedIds.has(s.id) && s.status !== "pending");
+  return history.concat(planned.map(s => byId.get(s.id) || { ...s, status: "pending" }));
+}
+
+function finishStep(target, status, receipt) {
+  target.status = status;
+  if (receipt) {
+    target.transactionHash = receipt.hash;
+    target.blockNumber = receipt.blockNumber;
+  }
+  target.completedAt = new Date().toISOString();
+}
+
+// A step left as "sent" by an interrupted run: wait for its transaction if it
+// is still known to the node, otherwise put it back to pending so the chain
+// is read again before anything is resent
+async function settleSentStep(token, target) {
+  const provider = token.runner.provider;
+  const tx = await provider.getTransaction(target.transactionHash);
+  if (tx) {
+    const receipt = await tx.wait().catch(() => undefined);
+    if (receipt && receipt.status === 1) {
+      finishStep(target, "done", receipt);
+      return true;
+    }
+  }
+  target.status = "pending";
+  delete target.transactionHash;
+  return false;
+}
+
+async function assertAllowed(token, target, action) {
+  const signer = await token.runner.getAddress();
+  if (action.role) {
+    if (!(await token.hasRole(await token[action.role](), signer))) {
+      throw new BootstrapError(`Cannot run bootstrap step ${target.id}: ${signer} lacks ${action.role}`);
+    }
+    return;
+  }
+  const owner = await token.owner();
+  if (owner !== signer) {
+    throw new BootstrapError(
+      `Cannot run bootstrap step ${target.id}: token is owned by ${owner}, not by ${signer}`
+    );
+  }
+}
+
+// Runs every unfinished step against a token connected to the owner signer.
+// save() is called after each state change and must persist the record.
+async function runBootstrap(token, record, planned, { save, log = () => {} }) {
+  const bootstrap = record.bootstrap || {};
+  for (const target of (bootstrap.steps || []).filter(s => s.status === "sent")) {
+    if (await settleSentStep(token, target)) {
+      log(`  ${ACTIONS[target.action].describe(target.args)} (confirmed ${target.transactionHash})`);
+    }
+  }
+  bootstrap.completed = false;
+  bootstrap.steps = mergeSteps(bootstrap.steps, planned);
+  record.bootstrap = bootstrap;
+  save();
+
+  for (const target of bootstrap.steps) {
+    if (target.status === "done" || target.status === "skipped") {
+      continue;
+    }
+
+    const action = ACTIONS[target.action];
+    if (!action) {
+      throw new BootstrapError(`Unknown bootstrap action "${target.action}" in step ${target.id}`);
+    }
+
+    if (await action.isDone(token, target.args)) {
+      log(`  ${action.describe(target.args)} (already set, skipping)`);
+      finishStep(target, "skipped");
+      save();
+      continue;
+    }
+
+    await assertAllowed(token, target, action);
+    log(`  ${action.describe(target.args)}`);
+    const tx = await action.send(token, target.args);
+    target.status = "sent";
+    target.transactionHash = tx.hash;
+    save();
+
+    finishStep(target, "done", await tx.wait());
+    save();
+  }
+
+  bootstrap.completed = true;
+  save();
+  return bootstrap;
+}
+
+module.exports = {
+  BootstrapError,
+  planSteps,
+  mergeSteps,
+  runBootstrap
+};
@@ -0,0 +1,154 @@
+const { TypedDataEncoder, getAddress } = require("ethers");
+
+// Drift detection: compares a deployed GenericToken with its registry record
+// (and optionally the manifest entry it was deployed from) and with the local
+// build. Every check yields { check, expected, actual, status } where status
+// is "ok", "drift", or "unknown" when the record does not hold the value.
+
+const FULLY_QUALIFIED_NAME = "contracts/GenericToken.sol:GenericToken";
+
+// GenericToken's EIP-712 version, see version()
+const EIP712_VERSION = "1";
+
+// solc appends CBOR encoded metadata followed by its length as two bytes
+function stripMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, "");
+  if (hex.length < 4) {
+    return hex;
+  }
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const end = hex.length - (metadataLength + 2) * 2;
+  return end >= 0 ? hex.slice(0, end) : hex;
+}
+
+// Zeroes the ranges the constructor fills with immutable values
+function maskImmutables(bytecode, immutableReferences = {}) {
+  const chars = bytecode.replace(/^0x/, "").split("");
+  Object.values(immutableReferences).flat().forEach(({ start, length }) => {
+    chars.fill("0", start * 2, (start + length) * 2);
+  });
+  return chars.join("");
+}
+
+function normalizeBytecode(bytecode, immutableReferences) {
+  return stripMetadata(maskImmutables(bytecode.toLowerCase(), immutableReferences));
+}
+
+// Runtime bytecode and immutable positions of the local build
+async function localBytecode(hre, fullyQualifiedName = FULLY_QUALIFIED_NAME) {
+  const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  return {
+    deployedBytecode: artifact.deployedBytecode,
+    immutableReferences: output ? output.evm.deployedBytecode.immutableReferences : {}
+  };
+}
+
+function domainSeparator({ name, chainId, verifyingContract }) {
+  return TypedDataEncoder.hashDomain({ name, version: EIP712_VERSION, chainId, verifyingContract });
+}
+
+function addressOrUndefined(value) {
+  return value ? getAddress(value) : undefined;
+}
+
+// What the token should look like. The registry record provides constructor
+// arguments, the owner (the one the bootstrap handed ownership to, which has
+// to accept it, or else the last known owner) and the minters added by the
+// bootstrap; a manifest entry (spec), when given, takes precedence.
+function expectedState(deployment, spec) {
+  const args = deployment.constructorArgs || {};
+  const steps = ((deployment.bootstrap && deployment.bootstrap.steps) || [])
+    .filter(s => s.status === "done" || s.status === "skipped");
+  const recordedMinters = steps.filter(s => s.action === "addMinter").map(s => s.args[0]);
+  const ownerStep = steps.filter(s => s.action === "transferOwnership").pop();
+
+  const expected = {
+    name: args.name,
+    symbol: args.symbol,
+    decimals: args.decimals,
+    maxSupply: args.maxSupply,
+    dailyMintLimit: args.dailyMintLimit,
+    owner: addressOrUndefined(ownerStep ? ownerStep.args[0] : deployment.owner),
+    minters: recordedMinters.map(getAddress)
+  };
+
+  if (spec) {
+    const { config } = spec;
+    Object.assign(expected, {
+      name: config.name,
+      symbol: config.symbol,
+      decimals: config.decimals,
+      maxSupply: config.maxSupply,
+      dailyMintLimit: config.dailyMintLimit
+    });
+    if (spec.owner) {
+      expected.owner = spec.owner;
+    }
+    expected.minters = [...new Set(expected.minters.concat(spec.minters || []))];
+  }
+
+  return expected;
+}
+
+function compare(check, expected, actual) {
+  if (expected === undefined || expected === null) {
+    return { check, expected: undefined, actual: String(actual), status: "unknown" };
+  }
+  const status = String(expected) === String(actual) ? "ok" : "drift";
+  return { check, expected: String(expected), actual: String(actual), status };
+}
+
+// Runs every check against a token connected through hre.ethers
+async function checkDrift(hre, deployment, spec) {
+  const { ethers } = hre;
+  const expected = expectedState(deployment, spec);
+  const results = [];
+
+  const code = await ethers.provider.getCode(deployment.address);
+  const local = await localBytecode(hre);
+  const bytecodeMatches = code !== "0x" &&
+    normalizeBytecode(code, local.immutableReferences) === normalizeBytecode(local.deployedBytecode, local.immutableReferences);
+  results.push({
+    check: "bytecode",
+    expected: "local GenericToken artifact",
+    actual: code === "0x" ? "no code" : bytecodeMatches ? "matches" : "differs",
+    status: bytecodeMatches ? "ok" : "drift"
+  });
+  if (code === "0x") {
+    return results;
+  }
+
+  const token = await ethers.getContractAt("GenericToken", deployment.address);
+  results.push(compare("name", expected.name, await token.name()));
+  results.push(compare("symbol", expected.symbol, await token.symbol()));
+  results.push(compare("decimals", expected.decimals, await token.decimals()));
+  results.push(compare("MAX_SUPPLY", expected.maxSupply, await token.MAX_SUPPLY()));
+  results.push(compare("mintRateLimit", expected.dailyMintLimit, await token.mintRateLimit()));
+  results.push(compare("owner", expected.owner, await token.owner()));
+
+  for (const minter of expected.minters) {
+    results.push(compare(`minter ${minter}`, true, await token.isMinter(minter)));
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const separator = expected.name === undefined ? undefined : domainSeparator({
+    name: expected.name,
+    chainId,
+    verifyingContract: deployment.address
+  });
+  results.push(compare("DOMAIN_SEPARATOR", separator, await token.DOMAIN_SEPARATOR()));
+
+  return results;
+}
+
+module.exports = {
+  stripMetadata,
+  maskImmutables,
+  normalizeBytecode,
+  localBytecode,
+  domainSeparator,
+  expectedState,
+  checkDrift
+};
@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { isAddress, getAddress } = require("ethers");
+const { ConfigError, parseTokenConfig, tokenConfigFromEnv } = require("./token-config");
+
+// Deployment manifest: a JSON or YAML file listing every token to deploy.
+//
+//   defaults:                 # optional, merged into every token
+//     decimals: 18
+//   tokens:
+//     - name: Example USD
+//       symbol: EUSD
+//       decimals: 6
+//       initialSupply: "5000000"
+//       maxSupply: "1000000000"
+//       dailyMintLimit: "5000000"
+//       minters: ["0x..."]     # added after deployment
+//       blacklist: ["0x..."]   # blacklisted after deployment
+//       pause: false           # pause the token after deployment
+//       owner: "0x..."         # ownership is transferred here last
+//       timelock:              # or: deploy a timelock and make it the owner
+//         delay: 172800        # seconds between scheduling and execution
+//         proposers: ["0x..."] # schedule and cancel (default: the deployer)
+//         executors: ["0x..."] # execute (default: the proposers)
+//         guardian: "0x..."    # keeps PAUSER_ROLE so pausing stays immediate
+//
+// Amounts are whole-token decimal strings, exactly as in env.example.
+
+const TOKEN_FIELDS = ["name", "symbol", "decimals", "initialSupply", "maxSupply", "dailyMintLimit"];
+const BOOTSTRAP_FIELDS = ["minters", "blacklist", "pause", "owner", "timelock"];
+const TIMELOCK_FIELDS = ["delay", "proposers", "executors", "guardian"];
+
+function readManifestFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  try {
+    return ext === ".yaml" || ext === ".yml" ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`${file}: ${error.message}`]);
+  }
+}
+
+function parseAddressList(label, value, problems) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    problems.push(`${label} must be a list of addresses`);
+    return [];
+  }
+  const addresses = [];
+  value.forEach((entry, i) => {
+    if (typeof entry !== "string" || !isAddress(entry)) {
+      problems.push(`${label}[${i}] "${entry}" is not an address`);
+    } else {
+      addresses.push(getAddress(entry));
+    }
+  });
+  return addresses;
+}
+
+// Validates one manifest entry; problems are collected rather than thrown so
+// the whole manifest can be reported at once
+function parseTokenEntry(entry, defaults, label, problems) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    problems.push(`${label} must be an object`);
+    return undefined;
+  }
+
+  const merged = { ...defaults, ...entry };
+  Object.keys(merged).forEach(key => {
+    if (!TOKEN_FIELDS.includes(key) && !BOOTSTRAP_FIELDS.includes(key)) {
+      problems.push(`${label}: unknown field "${key}"`);
+    }
+  });
+
+  let config;
+  try {
+    const raw = {};
+    TOKEN_FIELDS.forEach(key => {
+      raw[key] = merged[key];
+    });
+    config = parseTokenConfig(raw);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    error.problems.forEach(p => problems.push(`${label}: ${p}`));
+  }
+
+  const bootstrap = parseBootstrap(merged, label, problems);
+
+  return config && { config, ...bootstrap };
+}
+
+function parseAddress(label, value, problems) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (typeof value !== "string" || !isAddress(value)) {
+    problems.push(`${label} "${value}" is not an address`);
+    return undefined;
+  }
+  return getAddress(value);
+}
+
+// Timelock that becomes the owner; proposers left empty default to the deployer
+function parseTimelock(value, label, problems) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    problems.push(`${label} must be an object`);
+    return undefined;
+  }
+  Object.keys(value).forEach(key => {
+    if (!TIMELOCK_FIELDS.includes(key)) {
+      problems.push(`${label}: unknown field "${key}"`);
+    }
+  });
+
+  const delay = String(value.delay ?? "");
+  if (!/^\d+$/.test(delay)) {
+    problems.push(`${label}.delay "${value.delay ?? ""}" must be a whole number of seconds`);
+  }
+  const proposers = parseAddressList(`${label}.proposers`, value.proposers, problems);
+  const executors = parseAddressList(`${label}.executors`, value.executors, problems);
+  const guardian = parseAddress(`${label}.guardian`, value.guardian, problems);
+
+  return { delay: /^\d+$/.test(delay) ? Number(delay) : undefined, proposers, executors, guardian };
+}
+
+// Post-deploy bootstrap settings: minters, blacklist, pause and the final
+// owner, or a timelock to become the owner
+function parseBootstrap(fields, label, problems) {
+  const minters = parseAddressList(`${label}.minters`, fields.minters, problems);
+  const blacklist = parseAddressList(`${label}.blacklist`, fields.blacklist, problems);
+
+  const owner = parseAddress(`${label}.owner`, fields.owner, problems);
+  const timelock = parseTimelock(fields.timelock, `${label}.timelock`, problems);
+
+  let pause = false;
+  if (fields.pause !== undefined && fields.pause !== null) {
+    if (typeof fields.pause !== "boolean") {
+      problems.push(`${label}.pause must be true or false`);
+    } else {
+      pause = fields.pause;
+    }
+  }
+
+  const conflicts = minters.filter(m => blacklist.includes(m));
+  conflicts.forEach(address => problems.push(`${label}: ${address} is both a minter and blacklisted`));
+  if (owner && blacklist.includes(owner)) {
+    problems.push(`${label}: owner ${owner} cannot be blacklisted`);
+  }
+  if (owner && timelock) {
+    problems.push(`${label}: set either owner or timelock, not both`);
+  }
+  if (timelock && timelock.guardian && blacklist.includes(timelock.guardian)) {
+    problems.push(`${label}: timelock guardian ${timelock.guardian} cannot be blacklisted`);
+  }
+
+  return { minters, blacklist, pause, owner, timelock };
+}
+
+// Validates a parsed manifest object and returns the list of token specs
+function parseManifest(manifest) {
+  const problems = [];
+
+  if (!manifest || typeof manifest !== "object" || !Array.isArray(manifest.tokens)) {
+    throw new ConfigError(["manifest must contain a \"tokens\" list"]);
+  }
+  if (manifest.tokens.length === 0) {
+    throw new ConfigError(["manifest \"tokens\" list is empty"]);
+  }
+
+  const defaults = manifest.defaults || {};
+  const tokens = manifest.tokens.map((entry, i) => {
+    const label = `tokens[${i}]${entry && entry.symbol ? ` (${entry.symbol})` : ""}`;
+    return parseTokenEntry(entry, defaults, label, problems);
+  });
+
+  const seen = new Set();
+  tokens.filter(Boolean).forEach(({ config }) => {
+    if (seen.has(config.symbol)) {
+      problems.push(`symbol ${config.symbol} is listed more than once`);
+    }
+    seen.add(config.symbol);
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return tokens;
+}
+
+function loadManifest(file) {
+  return parseManifest(readManifestFile(file));
+}
+
+function splitList(value) {
+  return value ? value.split(",").map(v => v.trim()).filter(Boolean) : undefined;
+}
+
+// "true"/"false" become booleans; anything else is passed on to be reported
+function parseFlag(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  return { true: true, false: false }[value] ?? value;
+}
+
+// The TOKEN_* environment variables describe a single token, BOOTSTRAP_*
+// variables its post-deploy bootstrap and TIMELOCK_* an owning timelock
+function envTokenSpec(env = process.env) {
+  const config = tokenConfigFromEnv(env);
+  const problems = [];
+  const timelock = env.TIMELOCK_DELAY === undefined || env.TIMELOCK_DELAY === "" ? undefined : {
+    delay: env.TIMELOCK_DELAY,
+    proposers: splitList(env.TIMELOCK_PROPOSERS),
+    executors: splitList(env.TIMELOCK_EXECUTORS),
+    guardian: env.TIMELOCK_GUARDIAN
+  };
+  const bootstrap = parseBootstrap({
+    minters: splitList(env.BOOTSTRAP_MINTERS),
+    blacklist: splitList(env.BOOTSTRAP_BLACKLIST),
+    pause: parseFlag(env.BOOTSTRAP_PAUSE),
+    owner: env.BOOTSTRAP_OWNER,
+    timelock
+  }, "BOOTSTRAP", problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return { config, ...bootstrap };
+}
+
+// True when a registry entry was deployed with exactly these constructor arguments
+function matchesConfig(deployment, config) {
+  const args = deployment.constructorArgs || {};
+  return deployment.contract === "GenericToken" &&
+    TOKEN_FIELDS.every(key => String(args[key]) === String(config[key]));
+}
+
+module.exports = {
+  loadManifest,
+  parseManifest,
+  envTokenSpec,
+  matchesConfig
+};
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers");
+
+// Deployment registry: one JSON file per (network, chainId) under ./deployments
+// holding the full history of GenericToken deployments on that chain.
+//
+//   deployments/local-1337.json
+//   {
+//     "network": "local",
+//     "chainId": 1337,
+//     "deployments": [ { "contract": "GenericToken", "address": "0x...", ... } ]
+//   }
+//
+// Entries are append-only; the newest deployment is the last one.
+
+const DEFAULT_DIR = "./deployments";
+const FULLY_QUALIFIED_NAME = "contracts/GenericToken.sol:GenericToken";
+
+class RegistryError extends Error {}
+
+function registryDir() {
+  return process.env.DEPLOYMENTS_DIR || DEFAULT_DIR;
+}
+
+function registryPath(network, chainId, dir = registryDir()) {
+  return path.join(dir, `${network}-${chainId}.json`);
+}
+
+function loadRegistry(network, chainId, dir = registryDir()) {
+  const file = registryPath(network, chainId, dir);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: Number(chainId), deployments: [] };
+  }
+
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Number(registry.chainId) !== Number(chainId)) {
+    throw new RegistryError(
+      `${file} belongs to chain ${registry.chainId}, but network "${network}" is chain ${chainId}`
+    );
+  }
+  return registry;
+}
+
+// Writes through a temporary file so an interrupted run never leaves a
+// truncated registry behind
+function saveRegistry(registry, dir = registryDir()) {
+  const file = registryPath(registry.network, registry.chainId, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+// Reads every registry file in the directory
+function listRegistries(dir = registryDir()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(".json"))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+}
+
+function addDeployment(registry, record) {
+  registry.deployments.push(record);
+  return record;
+}
+
+// Newest deployment matching an optional filter (address or predicate)
+function findDeployment(registry, filter) {
+  const matches = registry.deployments.filter(d => {
+    if (!filter) {
+      return d.contract === "GenericToken";
+    }
+    if (typeof filter === "function") {
+      return filter(d);
+    }
+    return d.address.toLowerCase() === String(filter).toLowerCase();
+  });
+  return matches[matches.length - 1];
+}
+
+// ============ Hardhat helpers ============
+
+async function currentChain(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return { network: hre.network.name, chainId: Number(chainId) };
+}
+
+async function loadCurrentRegistry(hre, dir) {
+  const { network, chainId } = await currentChain(hre);
+  return loadRegistry(network, chainId, dir);
+}
+
+// Compiler settings and ABI fingerprint of the local GenericToken artifact
+async function artifactInfo(hre, fullyQualifiedName = FULLY_QUALIFIED_NAME) {
+  const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const settings = buildInfo ? buildInfo.input.settings : {};
+
+  return {
+    compiler: {
+      version: buildInfo ? buildInfo.solcLongVersion : undefined,
+      optimizer: settings.optimizer,
+      evmVersion: settings.evmVersion
+    },
+    abiHash: keccak256(toUtf8Bytes(JSON.stringify(artifact.abi))),
+    bytecodeHash: keccak256(artifact.deployedBytecode)
+  };
+}
+
+// Builds a registry entry for a freshly deployed contract
+async function deploymentRecord(hre, { contract = "GenericToken", address, constructorArgs, receipt, deployer, extra = {} }) {
+  return {
+    contract,
+    address,
+    deployer,
+    constructorArgs: stringifyBigInts(constructorArgs),
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployedAt: new Date().toISOString(),
+    ...(await artifactInfo(hre)),
+    ...extra
+  };
+}
+
+// Resolves a deployed token address for the current network: an explicit
+// address wins, a symbol selects the newest token deployed with it, and
+// otherwise the newest GenericToken in the registry is used
+async function resolveTokenAddress(hre, explicit, dir) {
+  if (explicit && hre.ethers.isAddress(explicit)) {
+    return explicit;
+  }
+
+  const registry = await loadCurrentRegistry(hre, dir);
+  const deployment = explicit
+    ? findDeployment(registry, d => d.contract === "GenericToken" &&
+      d.constructorArgs && String(d.constructorArgs.symbol).toLowerCase() === explicit.toLowerCase())
+    : findDeployment(registry);
+  if (!deployment) {
+    throw new RegistryError(
+      `No GenericToken${explicit ? ` with symbol ${explicit}` : ""} recorded for network ` +
+      `"${registry.network}" (chain ${registry.chainId}) in ${registryPath(registry.network, registry.chainId, dir)}`
+    );
+  }
+  return deployment.address;
+}
+
+// ============ Legacy deployment-info.json files ============
+
+function findLegacyFiles(dir = "./") {
+  try {
+    return fs.readdirSync(dir)
+      .filter(file => file.startsWith("deployment-info") && file.endsWith(".json"))
+      .sort()
+      .reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Converts a deployment-info.json written by older deploy.js versions
+function legacyRecord(info) {
+  return {
+    contract: "GenericToken",
+    address: info.tokenAddress,
+    deployer: info.deployerAddress,
+    owner: info.owner,
+    constructorArgs: {
+      name: info.tokenName,
+      symbol: info.tokenSymbol,
+      decimals: info.decimals
+    },
+    blockNumber: info.deploymentBlock,
+    transactionHash: info.deploymentTransaction,
+    deployedAt: info.deployedAt
+  };
+}
+
+// Imports a legacy file into the registry unless its address is already known
+function importLegacyFile(registry, file) {
+  const info = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!info.tokenAddress) {
+    throw new RegistryError(`${file} has no tokenAddress`);
+  }
+  const existing = findDeployment(registry, info.tokenAddress);
+  if (existing) {
+    return { record: existing, imported: false };
+  }
+  const record = legacyRecord(info);
+  record.importedFrom = path.basename(file);
+  return { record: addDeployment(registry, record), imported: true };
+}
+
+function stringifyBigInts(value) {
+  return JSON.parse(JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+module.exports = {
+  RegistryError,
+  registryPath,
+  loadRegistry,
+  saveRegistry,
+  listRegistries,
+  addDeployment,
+  findDeployment,
+  currentChain,
+  loadCurrentRegistry,
+  artifactInfo,
+  deploymentRecord,
+  resolveTokenAddress,
+  findLegacyFiles,
+  importLegacyFile
+};
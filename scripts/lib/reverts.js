@@ -0,0 +1,35 @@
+const { dataLength, isHexString } = require("ethers");
+
+// Readable revert reasons for GenericToken calls. Scripts that get raw revert
+// data (a batch item's BatchAuthorizationResult reason, a failed call's data)
+// decode it here instead of each calling interface.parseError, which throws
+// on data too short for a selector.
+
+// "reason" for Error(string), "Name(arg, ...)" for custom errors and panics
+function describeError({ name, args }) {
+  return name === "Error" ? args[0] : `${name}(${args.join(", ")})`;
+}
+
+// Revert data decoded where the interface allows; the raw data when it is
+// empty (e.g. an out-of-gas call), too short or not an error of the ABI
+function describeRevert(iface, data) {
+  if (!isHexString(data) || dataLength(data) === 0) {
+    return "Reverted without a reason";
+  }
+  if (dataLength(data) >= 4) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return describeError(parsed);
+      }
+    } catch (error) {
+      // a known selector with arguments that do not decode
+    }
+  }
+  return `Reverted with ${data}`;
+}
+
+module.exports = {
+  describeError,
+  describeRevert
+};
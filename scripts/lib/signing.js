@@ -0,0 +1,236 @@
+const { Contract, Signature, TypedDataEncoder, getAddress, hexlify, randomBytes, verifyTypedData } = require("ethers");
+
+// EIP-712 signing for GenericToken: EIP-2612 permits and EIP-3009
+// authorizations. The domain comes from the token itself (ERC-5267), so a
+// signature made here matches what the contract recovers. Scripts and tests
+// sign through this module instead of repeating the domain and type arrays.
+
+class SigningError extends Error {}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const AUTHORIZATION_FIELDS = [
+  { name: "from", type: "address" },
+  { name: "to", type: "address" },
+  { name: "value", type: "uint256" },
+  { name: "validAfter", type: "uint256" },
+  { name: "validBefore", type: "uint256" },
+  { name: "nonce", type: "bytes32" }
+];
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = { TransferWithAuthorization: AUTHORIZATION_FIELDS };
+
+const RECEIVE_WITH_AUTHORIZATION_TYPES = { ReceiveWithAuthorization: AUTHORIZATION_FIELDS };
+
+const CANCEL_AUTHORIZATION_TYPES = {
+  CancelAuthorization: [
+    { name: "authorizer", type: "address" },
+    { name: "nonce", type: "bytes32" }
+  ]
+};
+
+// Type arrays by primary type, and the message field holding the signer
+const TYPES = {
+  Permit: PERMIT_TYPES,
+  TransferWithAuthorization: TRANSFER_WITH_AUTHORIZATION_TYPES,
+  ReceiveWithAuthorization: RECEIVE_WITH_AUTHORIZATION_TYPES,
+  CancelAuthorization: CANCEL_AUTHORIZATION_TYPES
+};
+
+const SIGNER_FIELDS = {
+  Permit: "owner",
+  TransferWithAuthorization: "from",
+  ReceiveWithAuthorization: "from",
+  CancelAuthorization: "authorizer"
+};
+
+// Default lifetime of a permit deadline or authorization validBefore
+const DEFAULT_VALIDITY = 3600n;
+
+const TOKEN_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address owner) view returns (uint256)"
+];
+
+// ERC-1271, as the token calls it for signers that are contracts
+const WALLET_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+// Accepts a GenericToken contract or its address; reads go through the
+// signer's provider when only an address is given
+function tokenContract(token, signer) {
+  if (typeof token === "string") {
+    return new Contract(getAddress(token), TOKEN_ABI, signer);
+  }
+  return token;
+}
+
+function primaryTypeOf(types) {
+  const primaryType = Object.keys(types)[0];
+  if (!TYPES[primaryType]) {
+    throw new SigningError(`Unknown primary type: ${primaryType}`);
+  }
+  return primaryType;
+}
+
+// { v, r, s } plus the 65-byte signature; a 64-byte EIP-2098 compact
+// signature is expanded, as the token only accepts the 65-byte form
+function splitSignature(signature) {
+  let parsed;
+  try {
+    parsed = Signature.from(signature);
+  } catch (error) {
+    throw new SigningError(`Invalid signature: ${signature}`);
+  }
+  return {
+    v: parsed.v,
+    r: parsed.r,
+    s: parsed.s,
+    serialized: parsed.serialized
+  };
+}
+
+// EIP-712 domain as reported by the token's eip712Domain()
+async function tokenDomain(token) {
+  const { name, version, chainId, verifyingContract } = await tokenContract(token).eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+async function defaultValidBefore(signer) {
+  const block = await signer.provider.getBlock("latest");
+  return BigInt(block.timestamp) + DEFAULT_VALIDITY;
+}
+
+async function sign(token, signer, types, message) {
+  const domain = await tokenDomain(tokenContract(token, signer));
+  const signature = await signer.signTypedData(domain, types, message);
+  return { domain, primaryType: primaryTypeOf(types), message, ...splitSignature(signature) };
+}
+
+// Signs an EIP-2612 permit from the signer. The nonce defaults to the token's
+// current nonce for the owner, the deadline to the latest block + 1 hour.
+// `owner` defaults to the signer; set it to a smart-contract wallet to have
+// one of its owners sign for it (ERC-1271).
+async function signPermit(token, signer, { owner, spender, value, nonce, deadline }) {
+  const contract = tokenContract(token, signer);
+  owner = getAddress(owner ?? await signer.getAddress());
+  const message = {
+    owner,
+    spender: getAddress(spender),
+    value: BigInt(value),
+    nonce: BigInt(nonce ?? await contract.nonces(owner)),
+    deadline: BigInt(deadline ?? await defaultValidBefore(signer))
+  };
+  return sign(contract, signer, PERMIT_TYPES, message);
+}
+
+async function authorizationMessage(signer, { from, to, value, validAfter, validBefore, nonce }) {
+  return {
+    from: getAddress(from ?? await signer.getAddress()),
+    to: getAddress(to),
+    value: BigInt(value),
+    validAfter: BigInt(validAfter ?? 0),
+    validBefore: BigInt(validBefore ?? await defaultValidBefore(signer)),
+    nonce: nonce ?? hexlify(randomBytes(32))
+  };
+}
+
+// Signs an EIP-3009 transfer authorization from the signer. validAfter
+// defaults to 0, validBefore to the latest block + 1 hour, the nonce to a
+// random bytes32. `from` defaults to the signer; set it to a smart-contract
+// wallet to have one of its owners sign for it (ERC-1271).
+async function signTransferWithAuthorization(token, signer, authorization) {
+  const message = await authorizationMessage(signer, authorization);
+  return sign(token, signer, TRANSFER_WITH_AUTHORIZATION_TYPES, message);
+}
+
+// Same as signTransferWithAuthorization, but only `to` can submit it
+async function signReceiveWithAuthorization(token, signer, authorization) {
+  const message = await authorizationMessage(signer, authorization);
+  return sign(token, signer, RECEIVE_WITH_AUTHORIZATION_TYPES, message);
+}
+
+// `authorizer` defaults to the signer, as `from` above
+async function signCancelAuthorization(token, signer, { authorizer, nonce }) {
+  const message = { authorizer: getAddress(authorizer ?? await signer.getAddress()), nonce };
+  return sign(token, signer, CANCEL_AUTHORIZATION_TYPES, message);
+}
+
+// Digest the token recovers the signer from
+function hashTypedData(domain, primaryType, message) {
+  if (!TYPES[primaryType]) {
+    throw new SigningError(`Unknown primary type: ${primaryType}`);
+  }
+  return TypedDataEncoder.hash(domain, TYPES[primaryType], message);
+}
+
+// Offline: the address that signed the message under the domain
+function recoverSigner(domain, primaryType, message, signature) {
+  if (!TYPES[primaryType]) {
+    throw new SigningError(`Unknown primary type: ${primaryType}`);
+  }
+  return verifyTypedData(domain, TYPES[primaryType], message, splitSignature(signature).serialized);
+}
+
+// Offline: whether the signature was made by the message's owner, from or
+// authorizer. Does not check nonces, deadlines or the token's state, and
+// cannot check signatures for contract wallets, which only the wallet can.
+function verifySignature(domain, primaryType, message, signature) {
+  try {
+    return recoverSigner(domain, primaryType, message, signature) === getAddress(message[SIGNER_FIELDS[primaryType]]);
+  } catch (error) {
+    if (error instanceof SigningError) {
+      throw error;
+    }
+    return false;
+  }
+}
+
+// Whether the token would accept the signature from the message's owner, from
+// or authorizer: recovered offline for accounts without code, asked through
+// ERC-1271 for contract wallets. `runner` is a provider, or a signer with one.
+// Still does not check nonces, deadlines or the token's state.
+async function verifyAccountSignature(runner, domain, primaryType, message, signature) {
+  if (!TYPES[primaryType]) {
+    throw new SigningError(`Unknown primary type: ${primaryType}`);
+  }
+  const account = getAddress(message[SIGNER_FIELDS[primaryType]]);
+  const provider = runner.provider || runner;
+  if (await provider.getCode(account) === "0x") {
+    return verifySignature(domain, primaryType, message, signature);
+  }
+  try {
+    const wallet = new Contract(account, WALLET_ABI, provider);
+    return await wallet.isValidSignature(hashTypedData(domain, primaryType, message), signature) === ERC1271_MAGIC_VALUE;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  SigningError,
+  PERMIT_TYPES,
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  RECEIVE_WITH_AUTHORIZATION_TYPES,
+  CANCEL_AUTHORIZATION_TYPES,
+  TYPES,
+  DEFAULT_VALIDITY,
+  splitSignature,
+  tokenDomain,
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization,
+  signCancelAuthorization,
+  hashTypedData,
+  recoverSigner,
+  verifySignature,
+  verifyAccountSignature
+};
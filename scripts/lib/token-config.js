@@ -0,0 +1,162 @@
+const { AmountError, parseAmount } = require("./amounts");
+
+// Validation of GenericToken constructor parameters before anything is deployed.
+// Amounts are kept as exact decimal strings and converted with parseAmount, so
+// no value ever goes through a JavaScript number.
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid token configuration:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.problems = problems;
+  }
+}
+
+// Mirrors the constructor limits of GenericToken
+const MAX_DECIMALS = 18;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const DEFAULT_TOKEN_CONFIG = {
+  name: "GenericToken",
+  symbol: "MYGT",
+  decimals: "18",
+  initialSupply: "1000000",
+  maxSupply: "18000000",
+  dailyMintLimit: "1000000"
+};
+
+// Amount fields and how problems name them
+const AMOUNT_LABELS = {
+  initialSupply: "initial supply",
+  maxSupply: "max supply",
+  dailyMintLimit: "daily mint limit"
+};
+
+function parseDecimals(value, problems) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    problems.push(`decimals "${value}" must be a whole number`);
+    return undefined;
+  }
+  const decimals = Number(text);
+  if (decimals > MAX_DECIMALS) {
+    problems.push(`decimals ${decimals} cannot exceed ${MAX_DECIMALS}`);
+    return undefined;
+  }
+  return decimals;
+}
+
+function parseSupply(label, value, decimals, problems) {
+  try {
+    const units = parseAmount(value, decimals);
+    if (units > MAX_UINT256) {
+      problems.push(`${label} ${value} does not fit in uint256`);
+      return undefined;
+    }
+    return units;
+  } catch (error) {
+    if (!(error instanceof AmountError)) {
+      throw error;
+    }
+    problems.push(`${label}: ${error.message}`);
+    return undefined;
+  }
+}
+
+// Validates raw (string) token parameters and returns them with supplies
+// converted to smallest units. Throws a ConfigError listing every problem.
+// Amounts must be strings: a number (e.g. an unquoted YAML value) may
+// already have been rounded when it was parsed.
+function parseTokenConfig(raw) {
+  const config = { ...DEFAULT_TOKEN_CONFIG };
+  const problems = [];
+  Object.entries(raw).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") {
+      return;
+    }
+    if (AMOUNT_LABELS[key] && typeof value !== "string") {
+      problems.push(`${AMOUNT_LABELS[key]} ${value} must be quoted, as a number it may already be rounded`);
+      return;
+    }
+    config[key] = typeof value === "string" ? value : String(value);
+  });
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  if (config.name.trim() === "") {
+    problems.push("name must not be empty");
+  }
+  if (config.symbol.trim() === "") {
+    problems.push("symbol must not be empty");
+  }
+
+  const decimals = parseDecimals(config.decimals, problems);
+  if (decimals === undefined) {
+    throw new ConfigError(problems);
+  }
+
+  const initialSupply = parseSupply(AMOUNT_LABELS.initialSupply, config.initialSupply, decimals, problems);
+  const maxSupply = parseSupply(AMOUNT_LABELS.maxSupply, config.maxSupply, decimals, problems);
+  const dailyMintLimit = parseSupply(AMOUNT_LABELS.dailyMintLimit, config.dailyMintLimit, decimals, problems);
+
+  if (maxSupply === 0n) {
+    problems.push("max supply must be greater than 0");
+  }
+  if (dailyMintLimit === 0n) {
+    problems.push("daily mint limit must be greater than 0");
+  }
+  if (initialSupply !== undefined && maxSupply !== undefined && initialSupply > maxSupply) {
+    problems.push(`initial supply ${config.initialSupply} exceeds max supply ${config.maxSupply}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    name: config.name,
+    symbol: config.symbol,
+    decimals,
+    initialSupply,
+    maxSupply,
+    dailyMintLimit,
+    // Human readable values exactly as configured
+    display: {
+      initialSupply: config.initialSupply.trim(),
+      maxSupply: config.maxSupply.trim(),
+      dailyMintLimit: config.dailyMintLimit.trim()
+    }
+  };
+}
+
+// Reads the TOKEN_* / *_SUPPLY variables documented in env.example
+function tokenConfigFromEnv(env = process.env) {
+  return parseTokenConfig({
+    name: env.TOKEN_NAME,
+    symbol: env.TOKEN_SYMBOL,
+    decimals: env.TOKEN_DECIMALS,
+    initialSupply: env.INITIAL_SUPPLY,
+    maxSupply: env.MAX_SUPPLY,
+    dailyMintLimit: env.DAILY_MINT_LIMIT
+  });
+}
+
+// Constructor arguments in GenericToken order
+function constructorArgs(config) {
+  return [
+    config.name,
+    config.symbol,
+    config.decimals,
+    config.initialSupply,
+    config.maxSupply,
+    config.dailyMintLimit
+  ];
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULT_TOKEN_CONFIG,
+  parseTokenConfig,
+  tokenConfigFromEnv,
+  constructorArgs
+};
@@ -0,0 +1,193 @@
+const { parseArgs } = require("util");
+const registry = require("../lib/registry");
+const { loadStore, saveStore } = require("./store");
+const { DEFAULTS, createRelayer } = require("./relayer");
+const { createServer } = require("./server");
+
+// Gasless relayer for a GenericToken: accepts signed EIP-3009 transfer
+// authorizations, singly or in batches, and EIP-2612 permits over HTTP and
+// submits them from a relayer key, which pays the gas.
+//
+//   node scripts/relayer [options]
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8080;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  network: { type: "string" },
+  token: { type: "string" },
+  host: { type: "string" },
+  port: { type: "string" },
+  relayer: { type: "string" },
+  "min-validity": { type: "string" },
+  "max-batch": { type: "string" },
+  help: { type: "boolean", short: "h" }
+};
+
+const HELP = `Usage: node scripts/relayer [options]
+
+Serves:
+  GET  /health                     Token, chain id and relayer address
+  POST /relays                     Relay a signed request: { "primaryType": "TransferWithAuthorization" | "Permit",
+                                   "message": { ... }, "signature": "0x..." }, uint256 fields as decimal strings
+  GET  /relays?status=&account=    Relays, newest first
+  GET  /relays/<id>                Status of one relay (submitted, confirmed or failed)
+  POST /batches                    Relay signed transfer authorizations as one transferWithAuthorizationBatch:
+                                   { "authorizations": [{ "message": { ... }, "signature": "0x..." }, ...],
+                                   "skipFailed": false }; without skipFailed one bad authorization rejects all
+  GET  /batches/<id>               Status of a batch and of each of its relays
+
+Options:
+  --network <name>       Hardhat network to use (default: hardhat)
+  --token <address|symbol>
+                         Token to relay for (default: latest deployment in the --network registry)
+  --host <host>          Interface to listen on (default: ${DEFAULT_HOST})
+  --port <port>          Port to listen on (default: ${DEFAULT_PORT})
+  --relayer <index>      Signer index that submits and pays (default: 0; RELAYER_PRIVATE_KEY takes precedence)
+  --min-validity <s>     Reject requests valid for less than this many seconds (default: ${DEFAULTS.minValidity})
+  --max-batch <n>        Most authorizations in one batch (default: ${DEFAULTS.maxBatchSize})
+  -h, --help             Show this help
+
+Relays are logged in relays/<network>-<chainId>-<address>.json (RELAY_DIR overrides the directory).`;
+
+function wholeNumber(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid ${label}: ${value}`);
+  }
+  return Number(value);
+}
+
+// Starts a relayer for the token on an HTTP server. Works with any hre,
+// including the in-process network; port 0 picks a free port.
+async function startRelayer(hre, address, {
+  signer,
+  host = DEFAULT_HOST,
+  port = DEFAULT_PORT,
+  minValidity,
+  maxBatchSize,
+  dir,
+  log
+} = {}) {
+  const { ethers } = hre;
+  const { network, chainId } = await registry.currentChain(hre);
+  signer = signer || (await ethers.getSigners())[0];
+
+  const token = await ethers.getContractAt("GenericToken", address, signer);
+  const store = loadStore(network, chainId, ethers.getAddress(address), dir);
+  const relayer = createRelayer({ token, signer, store, save: (s) => saveStore(s, dir), log, minValidity, maxBatchSize });
+  relayer.resume();
+
+  const server = createServer(relayer, { log });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    relayer,
+    server,
+    url: `http://${host}:${server.address().port}`,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await relayer.settled();
+    }
+  };
+}
+
+async function relayerSigner(hre, index) {
+  const { ethers } = hre;
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, ethers.provider);
+  }
+  const signers = await ethers.getSigners();
+  const i = wholeNumber(index, "--relayer") || 0;
+  if (!signers[i]) {
+    throw new UsageError(`No signer #${i}; the network has ${signers.length} account(s)`);
+  }
+  return signers[i];
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(HELP);
+    return EXIT_USAGE;
+  }
+
+  if (values.help) {
+    console.log(HELP);
+    return EXIT_OK;
+  }
+  if (positionals.length) {
+    console.error(`Unexpected argument: ${positionals.join(" ")}`);
+    console.log(HELP);
+    return EXIT_USAGE;
+  }
+
+  // Must be set before hardhat is loaded for the first time
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+
+  let running;
+  try {
+    const hre = require("hardhat");
+    const port = wholeNumber(values.port, "--port");
+    const minValidity = wholeNumber(values["min-validity"], "--min-validity");
+    const maxBatchSize = wholeNumber(values["max-batch"], "--max-batch");
+    if (maxBatchSize === 0) {
+      throw new UsageError("Invalid --max-batch: 0");
+    }
+
+    let address;
+    try {
+      address = await registry.resolveTokenAddress(hre, values.token);
+    } catch (error) {
+      if (error instanceof registry.RegistryError) {
+        throw new UsageError(`${error.message}\nPass --token <address> or deploy the token first.`);
+      }
+      throw error;
+    }
+
+    const signer = await relayerSigner(hre, values.relayer);
+    const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+    running = await startRelayer(hre, address, { signer, host: values.host, port, minValidity, maxBatchSize, log });
+    console.log(`Relaying for ${address} from ${signer.address} on ${running.url}`);
+  } catch (error) {
+    console.error(error.message);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+  }
+
+  // Serve until stopped; let submitted relays settle before exiting
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  console.log("Stopping relayer...");
+  await running.close();
+  return EXIT_OK;
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Relayer failed:", error);
+      process.exit(EXIT_FAILED);
+    });
+}
+
+module.exports = { main, startRelayer, EXIT_OK, EXIT_FAILED, EXIT_USAGE };
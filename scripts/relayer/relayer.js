@@ -0,0 +1,469 @@
+const { concat, isHexString, keccak256 } = require("ethers");
+const signing = require("../lib/signing");
+const { describeError, describeRevert } = require("../lib/reverts");
+const { findRelay } = require("./store");
+const { ValidationError, RELAYABLE, parseMessage, checkChainState } = require("./validate");
+
+// Relays signed EIP-3009 transfer authorizations and EIP-2612 permits from a
+// relayer key. A request is parsed, its signature checked (offline, or
+// through ERC-1271 when the signer is a contract wallet), checked
+// against the token's state and simulated with eth_call before anything is
+// sent; only then is the transaction submitted and recorded, and its receipt
+// tracked until the relay is confirmed or failed.
+//
+// Batches of transfer authorizations go through the same checks item by item
+// and out as one transferWithAuthorizationBatch transaction. Each item is
+// recorded as a relay of its own, tagged with the batch id and its index in
+// the transaction, and confirmed or failed from its BatchAuthorizationResult.
+//
+// Submissions go out one at a time so the relayer key's nonces stay in order.
+
+class RelayError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const DEFAULTS = {
+  // Seconds a request must stay valid for after it is accepted
+  minValidity: 30,
+  // Most authorizations in one batch, about 10M gas
+  maxBatchSize: 200
+};
+
+const BATCH_PRIMARY_TYPE = "TransferWithAuthorization";
+
+function plainMessage(message) {
+  const result = {};
+  for (const [key, value] of Object.entries(message)) {
+    result[key] = typeof value === "bigint" ? value.toString() : value;
+  }
+  return result;
+}
+
+// Revert reason of a failed call or transaction, decoded where the ABI allows
+function revertReason(error) {
+  if (error.revert) {
+    return describeError(error.revert);
+  }
+  return error.reason || error.shortMessage || error.message;
+}
+
+// token: GenericToken contract; signer: the relayer key, which pays for gas;
+// store: relay log from ./store, written through save after every change
+function createRelayer({
+  token,
+  signer,
+  store,
+  save = () => {},
+  log = () => {},
+  minValidity = DEFAULTS.minValidity,
+  maxBatchSize = DEFAULTS.maxBatchSize
+}) {
+  const contract = token.connect(signer);
+  const tracking = new Map();
+  let queue = Promise.resolve();
+  let domain;
+
+  const tokenDomain = async () => {
+    domain = domain || await signing.tokenDomain(contract);
+    return domain;
+  };
+
+  function update(relay, changes) {
+    Object.assign(relay, changes, { updatedAt: new Date().toISOString() });
+    save(store);
+  }
+
+  // BatchAuthorizationResult of each batch item in a receipt, by index
+  function batchResults(receipt) {
+    const results = new Map();
+    for (const entry of receipt.logs) {
+      const parsed = contract.interface.parseLog(entry);
+      if (parsed && parsed.name === "BatchAuthorizationResult") {
+        results.set(Number(parsed.args.index), parsed.args);
+      }
+    }
+    return results;
+  }
+
+  function confirm(relay, receipt, results) {
+    const result = relay.batch ? results.get(relay.batchIndex) : null;
+    if (relay.batch && !(result && result.success)) {
+      const error = result ? describeRevert(contract.interface, result.reason) : "No result in the batch transaction";
+      update(relay, { status: "failed", blockNumber: receipt.blockNumber, error });
+      log(`Failed ${relay.id}: ${error}`);
+      return;
+    }
+    update(relay, { status: "confirmed", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    log(`Confirmed ${relay.id} in block ${receipt.blockNumber}`);
+  }
+
+  // Follows the relays of one submitted transaction until its receipt is in
+  function track(relays, wait) {
+    const hash = relays[0].transactionHash;
+    const promise = wait()
+      .then((receipt) => {
+        if (receipt && receipt.status === 1) {
+          const results = batchResults(receipt);
+          relays.forEach(relay => confirm(relay, receipt, results));
+        } else {
+          relays.forEach((relay) => {
+            update(relay, { status: "failed", blockNumber: receipt ? receipt.blockNumber : null, error: "Transaction reverted" });
+            log(`Failed ${relay.id}: transaction reverted`);
+          });
+        }
+      }, (error) => {
+        relays.forEach((relay) => {
+          update(relay, {
+            status: "failed",
+            blockNumber: error.receipt ? error.receipt.blockNumber : null,
+            error: revertReason(error)
+          });
+          log(`Failed ${relay.id}: ${revertReason(error)}`);
+        });
+      })
+      .finally(() => tracking.delete(hash));
+    tracking.set(hash, promise);
+    return promise;
+  }
+
+  // An ECDSA signature, split, or other hex for a contract wallet to check
+  function parseSignature(signature) {
+    try {
+      return signing.splitSignature(signature);
+    } catch (error) {
+      if (isHexString(signature) && signature.length > 2) {
+        return { serialized: signature.toLowerCase() };
+      }
+      throw error;
+    }
+  }
+
+  function parseRequest(request) {
+    if (!request || typeof request !== "object" || Array.isArray(request)) {
+      throw new RelayError(400, "INVALID_REQUEST", "Expected a JSON object with primaryType, message and signature");
+    }
+    try {
+      const message = parseMessage(request.primaryType, request.message);
+      return { primaryType: request.primaryType, message, signature: parseSignature(request.signature) };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof signing.SigningError) {
+        throw new RelayError(400, "INVALID_REQUEST", error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Parsed request with its id (the EIP-712 digest) and whether its
+  // signature is from the owner or from the message names, or accepted by
+  // that account when it is a contract wallet
+  async function identify(request) {
+    const parsed = parseRequest(request);
+    const signed = await tokenDomain();
+    let verified;
+    try {
+      verified = await signing.verifyAccountSignature(
+        signer, signed, parsed.primaryType, parsed.message, parsed.signature.serialized
+      );
+    } catch (error) {
+      if (error instanceof signing.SigningError) {
+        // Hex that is no ECDSA signature, for an account that is no contract
+        throw new RelayError(400, "INVALID_REQUEST", error.message);
+      }
+      throw error;
+    }
+    return {
+      ...parsed,
+      id: signing.hashTypedData(signed, parsed.primaryType, parsed.message).toLowerCase(),
+      verified
+    };
+  }
+
+  function invalidSignature({ primaryType, message }) {
+    const field = RELAYABLE[primaryType].signerField;
+    return `Signature is not from the ${field} ${message[field]}`;
+  }
+
+  // The relay already made for an id, unless it failed and may be retried
+  function duplicateOf(id) {
+    const existing = findRelay(store, id);
+    return existing && existing.status !== "failed" ? existing : null;
+  }
+
+  function relayRecord(tx, { id, primaryType, message, signature }, batch = {}) {
+    const now = new Date().toISOString();
+    return {
+      id,
+      primaryType,
+      message: plainMessage(message),
+      signature: signature.serialized,
+      relayer: signer.address,
+      ...batch,
+      status: "submitted",
+      transactionHash: tx.hash,
+      blockNumber: null,
+      gasUsed: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Stores the relays of a sent transaction and tracks its receipt
+  function record(tx, records) {
+    const ids = new Set(records.map(r => r.id));
+    store.relays = store.relays.filter(r => !ids.has(r.id)).concat(records);
+    save(store);
+    track(records, () => tx.wait());
+  }
+
+  // Checks, simulates and sends one request; runs inside the queue
+  async function relay(request) {
+    const { id, primaryType, message, signature } = request;
+    const existing = duplicateOf(id);
+    if (existing) {
+      throw new RelayError(409, "DUPLICATE", `Already relayed as ${id} (${existing.status})`, { relay: existing });
+    }
+
+    const problems = await checkChainState(contract, signer.address, primaryType, message, { minValidity });
+    if (problems.length) {
+      throw new RelayError(422, "REJECTED", problems.map(p => p.message).join("; "), { problems });
+    }
+
+    const { method, args } = RELAYABLE[primaryType];
+    const callArgs = [...args(message), signature.serialized];
+    try {
+      await contract[method].staticCall(...callArgs);
+    } catch (error) {
+      throw new RelayError(422, "SIMULATION_FAILED", revertReason(error));
+    }
+
+    let tx;
+    try {
+      tx = await contract[method](...callArgs);
+    } catch (error) {
+      throw new RelayError(502, "SUBMISSION_FAILED", revertReason(error));
+    }
+
+    const submitted = relayRecord(tx, request);
+    record(tx, [submitted]);
+    log(`Submitted ${contract.getFunction(method).fragment.name} ${id} in ${tx.hash}`);
+    return submitted;
+  }
+
+  function parseBatch(request) {
+    if (!request || typeof request !== "object" || Array.isArray(request)) {
+      throw new RelayError(400, "INVALID_REQUEST", "Expected a JSON object with authorizations and skipFailed");
+    }
+    const { authorizations, skipFailed = false } = request;
+    if (typeof skipFailed !== "boolean") {
+      throw new RelayError(400, "INVALID_REQUEST", "skipFailed must be true or false");
+    }
+    if (!Array.isArray(authorizations) || !authorizations.length) {
+      throw new RelayError(400, "INVALID_REQUEST", "Expected a non-empty authorizations array");
+    }
+    if (authorizations.length > maxBatchSize) {
+      throw new RelayError(400, "INVALID_REQUEST", `At most ${maxBatchSize} authorizations per batch, got ${authorizations.length}`);
+    }
+    return { authorizations, skipFailed };
+  }
+
+  // Authorization of a batch request, as a relay request of its own
+  async function identifyItem(item, index) {
+    if (item && item.primaryType !== undefined && item.primaryType !== BATCH_PRIMARY_TYPE) {
+      throw new RelayError(400, "INVALID_REQUEST", `Authorization ${index}: only ${BATCH_PRIMARY_TYPE} can be batched`);
+    }
+    try {
+      return await identify({ primaryType: BATCH_PRIMARY_TYPE, ...item });
+    } catch (error) {
+      if (error instanceof RelayError) {
+        throw new RelayError(error.status, error.code, `Authorization ${index}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  const batchItem = ({ message, signature }) => ({ ...message, signature: signature.serialized });
+
+  // Why an item the batch simulation left out fails
+  async function itemFailure({ message, signature }) {
+    const { method, args } = RELAYABLE[BATCH_PRIMARY_TYPE];
+    try {
+      await contract[method].staticCall(...args(message), signature.serialized);
+      return "Fails after the earlier authorizations of the batch";
+    } catch (error) {
+      return revertReason(error);
+    }
+  }
+
+  // Checks, simulates and sends a batch as one transaction; runs inside the
+  // queue. Items with problems are rejected: all-or-nothing batches are then
+  // not sent at all, skipFailed batches are sent without them.
+  async function relayBatch(items, skipFailed) {
+    const accepted = [];
+    const rejected = [];
+    const seen = new Set();
+    for (const [index, item] of items.entries()) {
+      const problems = [];
+      if (!item.verified) {
+        problems.push({ code: "INVALID_SIGNATURE", message: invalidSignature(item) });
+      }
+      const existing = duplicateOf(item.id);
+      if (existing) {
+        problems.push({ code: "DUPLICATE", message: `Already relayed as ${item.id} (${existing.status})` });
+      } else if (seen.has(item.id)) {
+        problems.push({ code: "DUPLICATE", message: "Repeats an earlier authorization of the batch" });
+      }
+      seen.add(item.id);
+      problems.push(...await checkChainState(contract, signer.address, BATCH_PRIMARY_TYPE, item.message, { minValidity }));
+
+      if (problems.length) {
+        rejected.push({ index, id: item.id, problems });
+      } else {
+        accepted.push({ index, item });
+      }
+    }
+
+    const refuse = (code, message) => new RelayError(422, code, message, { rejected });
+    if (rejected.length && (!skipFailed || !accepted.length)) {
+      throw refuse("REJECTED", `${rejected.length} of ${items.length} authorizations would fail`);
+    }
+
+    let results;
+    try {
+      results = await contract.transferWithAuthorizationBatch.staticCall(accepted.map(a => batchItem(a.item)), skipFailed);
+    } catch (error) {
+      throw refuse("SIMULATION_FAILED", revertReason(error));
+    }
+    for (const [i, { index, item }] of [...accepted.entries()].reverse()) {
+      if (!results[i]) {
+        rejected.push({ index, id: item.id, problems: [{ code: "SIMULATION_FAILED", message: await itemFailure(item) }] });
+        accepted.splice(i, 1);
+      }
+    }
+    rejected.sort((a, b) => a.index - b.index);
+    if (!accepted.length) {
+      throw refuse("REJECTED", `${rejected.length} of ${items.length} authorizations would fail`);
+    }
+
+    let tx;
+    try {
+      tx = await contract.transferWithAuthorizationBatch(accepted.map(a => batchItem(a.item)), skipFailed);
+    } catch (error) {
+      throw new RelayError(502, "SUBMISSION_FAILED", revertReason(error), { rejected });
+    }
+
+    const batch = keccak256(concat(accepted.map(a => a.item.id)));
+    const submitted = accepted.map(({ item }, batchIndex) => relayRecord(tx, item, { batch, batchIndex }));
+    record(tx, submitted);
+    log(`Submitted transferWithAuthorizationBatch ${batch} (${submitted.length} authorizations) in ${tx.hash}`);
+    return { id: batch, skipFailed, transactionHash: tx.hash, relays: submitted, rejected };
+  }
+
+  function batchStatus(relays) {
+    if (relays.some(relay => relay.status === "submitted")) {
+      return "submitted";
+    }
+    const confirmed = relays.filter(relay => relay.status === "confirmed").length;
+    return confirmed === relays.length ? "confirmed" : confirmed ? "partial" : "failed";
+  }
+
+  // Runs a submission after those before it
+  function enqueue(submission) {
+    const result = queue.then(submission);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    // Accepts { primaryType, message, signature } as produced by
+    // scripts/lib/signing (uint256 fields as decimal strings) and returns the
+    // submitted relay; throws RelayError when the request is not relayed
+    submit: async (request) => {
+      const identified = await identify(request);
+      if (!identified.verified) {
+        throw new RelayError(422, "INVALID_SIGNATURE", invalidSignature(identified));
+      }
+      return enqueue(() => relay(identified));
+    },
+
+    // Accepts { authorizations: [{ message, signature }, ...], skipFailed }
+    // with TransferWithAuthorization messages as for submit. Returns the
+    // batch { id, skipFailed, transactionHash, relays, rejected }, the
+    // authorizations left out under skipFailed listed in rejected.
+    submitBatch: async (request) => {
+      const { authorizations, skipFailed } = parseBatch(request);
+      const items = [];
+      for (const [index, item] of authorizations.entries()) {
+        items.push(await identifyItem(item, index));
+      }
+      return enqueue(() => relayBatch(items, skipFailed));
+    },
+
+    get: (id) => findRelay(store, id),
+
+    // The relays of a batch in transaction order, with the overall status:
+    // submitted, confirmed, failed or partial
+    getBatch: (id) => {
+      const relays = store.relays
+        .filter(relay => relay.batch === id.toLowerCase())
+        .sort((a, b) => a.batchIndex - b.batchIndex);
+      if (!relays.length) {
+        return null;
+      }
+      return { id: relays[0].batch, status: batchStatus(relays), transactionHash: relays[0].transactionHash, relays };
+    },
+
+    // Relays, newest first, optionally filtered by status or by an account
+    // taking part in the message
+    list: ({ status, account } = {}) => store.relays
+      .filter(relay => !status || relay.status === status)
+      .filter(relay => !account || Object.values(relay.message)
+        .some(value => typeof value === "string" && value.toLowerCase() === account.toLowerCase()))
+      .slice()
+      .reverse(),
+
+    // Picks up transactions still submitted when the relayer last stopped
+    resume: () => {
+      const pending = new Map();
+      store.relays
+        .filter(relay => relay.status === "submitted" && !tracking.has(relay.transactionHash))
+        .forEach(relay => pending.set(relay.transactionHash, [...(pending.get(relay.transactionHash) || []), relay]));
+      pending.forEach((relays, hash) => track(relays, async () => {
+        const tx = await signer.provider.getTransaction(hash);
+        if (!tx) {
+          throw new Error(`Transaction ${hash} not found`);
+        }
+        return tx.wait();
+      }));
+    },
+
+    // Resolves once every submitted relay is confirmed or failed
+    settled: async () => {
+      await queue;
+      await Promise.all([...tracking.values()]);
+    },
+
+    info: async () => {
+      const { chainId, verifyingContract } = await tokenDomain();
+      return {
+        token: verifyingContract,
+        chainId: chainId.toString(),
+        relayer: signer.address,
+        primaryTypes: Object.keys(RELAYABLE),
+        maxBatchSize,
+        tracking: tracking.size
+      };
+    }
+  };
+}
+
+module.exports = {
+  RelayError,
+  DEFAULTS,
+  createRelayer
+};
@@ -0,0 +1,127 @@
+const http = require("http");
+const { RelayError } = require("./relayer");
+
+// HTTP front of the relayer; JSON in, JSON out
+//
+//   GET  /health                         token, chain id and relayer address
+//   POST /relays                         relay { primaryType, message, signature }; 202 with the relay
+//   GET  /relays?status=&account=        relays, newest first
+//   GET  /relays/<id>                    one relay by id (the EIP-712 digest)
+//   POST /batches                        relay { authorizations, skipFailed } as one
+//                                        transaction; 202 with the batch
+//   GET  /batches/<id>                   one batch and its relays
+//
+// Errors are { "error": { "code": "...", "message": "...", ... } } with a 4xx
+// or 5xx status; a rejected request lists every problem found.
+
+// Room for a full batch of authorizations
+const MAX_BODY = 1024 * 1024;
+
+function toJson(value) {
+  return JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(toJson(body) + "\n");
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    let tooLarge = false;
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      tooLarge = tooLarge || body.length + chunk.length > MAX_BODY;
+      body = tooLarge ? "" : body + chunk;
+    });
+    req.on("end", () => {
+      if (tooLarge) {
+        reject(new RelayError(413, "BODY_TOO_LARGE", `Request body over ${MAX_BODY} bytes`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayError(400, "INVALID_JSON", "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function route(relayer, req, res) {
+  const url = new URL(req.url, "http://relayer");
+  const [collection, id, ...rest] = url.pathname.split("/").filter(Boolean);
+
+  if (collection === "health" && !id) {
+    if (req.method !== "GET") {
+      throw new RelayError(405, "METHOD_NOT_ALLOWED", `${req.method} not allowed on /health`);
+    }
+    return send(res, 200, { status: "ok", ...await relayer.info() });
+  }
+
+  if (collection === "batches" && !rest.length) {
+    return routeBatches(relayer, req, res, id);
+  }
+
+  if (collection !== "relays" || rest.length) {
+    throw new RelayError(404, "NOT_FOUND", `No route ${url.pathname}`);
+  }
+
+  if (id) {
+    if (req.method !== "GET") {
+      throw new RelayError(405, "METHOD_NOT_ALLOWED", `${req.method} not allowed on /relays/<id>`);
+    }
+    const relay = relayer.get(id);
+    if (!relay) {
+      throw new RelayError(404, "NOT_FOUND", `Unknown relay: ${id}`);
+    }
+    return send(res, 200, relay);
+  }
+
+  if (req.method === "GET") {
+    const relays = relayer.list({
+      status: url.searchParams.get("status") || undefined,
+      account: url.searchParams.get("account") || undefined
+    });
+    return send(res, 200, { relays });
+  }
+  if (req.method === "POST") {
+    return send(res, 202, await relayer.submit(await readJson(req)));
+  }
+  throw new RelayError(405, "METHOD_NOT_ALLOWED", `${req.method} not allowed on /relays`);
+}
+
+async function routeBatches(relayer, req, res, id) {
+  if (id) {
+    if (req.method !== "GET") {
+      throw new RelayError(405, "METHOD_NOT_ALLOWED", `${req.method} not allowed on /batches/<id>`);
+    }
+    const batch = relayer.getBatch(id);
+    if (!batch) {
+      throw new RelayError(404, "NOT_FOUND", `Unknown batch: ${id}`);
+    }
+    return send(res, 200, batch);
+  }
+  if (req.method === "POST") {
+    return send(res, 202, await relayer.submitBatch(await readJson(req)));
+  }
+  throw new RelayError(405, "METHOD_NOT_ALLOWED", `${req.method} not allowed on /batches`);
+}
+
+function createServer(relayer, { log = () => {} } = {}) {
+  return http.createServer((req, res) => {
+    route(relayer, req, res).catch((error) => {
+      if (error instanceof RelayError) {
+        log(`${req.method} ${req.url}: ${error.status} ${error.code} ${error.message}`);
+        send(res, error.status, { error: { code: error.code, message: error.message, ...error.details } });
+      } else {
+        log(`${req.method} ${req.url}: ${error.stack || error.message}`);
+        send(res, 500, { error: { code: "INTERNAL_ERROR", message: error.message } });
+      }
+    });
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+
+// Relay log: one JSON file per token under ./relays, so the status of every
+// accepted request survives a relayer restart
+//
+//   relays/local-1337-0x5fbd....json
+//   {
+//     "network": "local",
+//     "chainId": 1337,
+//     "address": "0x5FbD...",
+//     "relays": [
+//       { "id": "0x...", "primaryType": "TransferWithAuthorization", "message": { ... },
+//         "signature": "0x...", "relayer": "0x...", "status": "confirmed",
+//         "transactionHash": "0x...", "blockNumber": 12, "gasUsed": "95731",
+//         "error": null, "createdAt": "...", "updatedAt": "..." }
+//     ]
+//   }
+//
+// A relay is submitted (transaction sent, receipt not seen yet), confirmed,
+// or failed when the transaction reverted or could not be sent. The id is the
+// EIP-712 digest of the signed message.
+
+const DEFAULT_DIR = "./relays";
+
+function relayDir() {
+  return process.env.RELAY_DIR || DEFAULT_DIR;
+}
+
+function relayPath(network, chainId, address, dir = relayDir()) {
+  return path.join(dir, `${network}-${chainId}-${address.toLowerCase()}.json`);
+}
+
+function emptyStore(network, chainId, address) {
+  return {
+    network,
+    chainId: Number(chainId),
+    address,
+    relays: []
+  };
+}
+
+function loadStore(network, chainId, address, dir = relayDir()) {
+  const file = relayPath(network, chainId, address, dir);
+  if (!fs.existsSync(file)) {
+    return emptyStore(network, chainId, address);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Same atomic write as the deployment registry
+function saveStore(store, dir = relayDir()) {
+  const file = relayPath(store.network, store.chainId, store.address, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+function findRelay(store, id) {
+  return store.relays.find(relay => relay.id === id.toLowerCase()) || null;
+}
+
+module.exports = {
+  relayPath,
+  emptyStore,
+  loadStore,
+  saveStore,
+  findRelay
+};
@@ -0,0 +1,193 @@
+const { getAddress, isAddress, isHexString } = require("ethers");
+const { TYPES } = require("../lib/signing");
+
+// Checks a signed request against the token before the relayer spends gas on
+// it. The checks mirror the order the contract applies them in; whatever they
+// miss is caught by the eth_call simulation that follows.
+
+class ValidationError extends Error {}
+
+// The signed messages the relayer submits, the token function for each and
+// its arguments before the signature. The bytes signature overloads take
+// ECDSA and contract wallet (ERC-1271) signatures alike.
+// receiveWithAuthorization is left out: only its recipient may submit it.
+const RELAYABLE = {
+  TransferWithAuthorization: {
+    method: "transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)",
+    signerField: "from",
+    args: (m) => [m.from, m.to, m.value, m.validAfter, m.validBefore, m.nonce]
+  },
+  Permit: {
+    method: "permit(address,address,uint256,uint256,bytes)",
+    signerField: "owner",
+    args: (m) => [m.owner, m.spender, m.value, m.deadline]
+  }
+};
+
+// GenericToken.CircuitBreakerLevel and GenericToken.Operation
+const CIRCUIT_BREAKER_LEVELS = ["Normal", "TransfersPaused", "Frozen", "Recovery"];
+const OPERATIONS = { Permit: 3, Authorization: 4 };
+
+const AUTHORIZATION_STATES = ["Unused", "Used", "Canceled"];
+
+const UINT256_MAX = (1n << 256n) - 1n;
+
+function parseField(name, type, value) {
+  if (type === "address") {
+    if (typeof value !== "string" || !isAddress(value)) {
+      throw new ValidationError(`Invalid ${name}: expected an address`);
+    }
+    return getAddress(value);
+  }
+  if (type === "bytes32") {
+    if (!isHexString(value, 32)) {
+      throw new ValidationError(`Invalid ${name}: expected 32-byte hex`);
+    }
+    return value.toLowerCase();
+  }
+  // uint256, given as a decimal string (or a safe integer)
+  const text = typeof value === "number" && Number.isSafeInteger(value) ? String(value) : value;
+  if (typeof text !== "string" || !/^\d+$/.test(text) || BigInt(text) > UINT256_MAX) {
+    throw new ValidationError(`Invalid ${name}: expected a uint256 decimal string`);
+  }
+  return BigInt(text);
+}
+
+// Message fields of a relay request, typed as the signing library signs them
+function parseMessage(primaryType, message) {
+  if (!RELAYABLE[primaryType]) {
+    throw new ValidationError(
+      `Unsupported primaryType: ${primaryType} (expected ${Object.keys(RELAYABLE).join(" or ")})`
+    );
+  }
+  if (!message || typeof message !== "object") {
+    throw new ValidationError("Missing message");
+  }
+
+  const fields = TYPES[primaryType][primaryType];
+  const unknown = Object.keys(message).filter(key => !fields.some(field => field.name === key));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown message fields: ${unknown.join(", ")}`);
+  }
+
+  const parsed = {};
+  for (const { name, type } of fields) {
+    if (message[name] === undefined) {
+      throw new ValidationError(`Missing message field: ${name}`);
+    }
+    parsed[name] = parseField(name, type, message[name]);
+  }
+  return parsed;
+}
+
+// Circuit breaker level and operation flag; null when the token accepts the operation
+async function checkOperation(token, operation, relayer, debited) {
+  const level = CIRCUIT_BREAKER_LEVELS[Number(await token.circuitBreakerLevel())];
+  if (level === "Recovery") {
+    return { code: "EMERGENCY_MODE", message: "Contract in emergency mode" };
+  }
+  if (level === "Frozen") {
+    return { code: "TOKEN_FROZEN", message: "Token is frozen" };
+  }
+  if (await token.isOperationPaused(OPERATIONS[operation])) {
+    return { code: "OPERATION_PAUSED", message: `${operation} is paused` };
+  }
+  if (level === "TransfersPaused" && debited &&
+      !(await token.isPauseExempt(relayer)) && !(await token.isPauseExempt(debited))) {
+    return { code: "TRANSFERS_PAUSED", message: "Transfers are paused" };
+  }
+  return null;
+}
+
+async function checkBlacklist(token, accounts) {
+  const problems = [];
+  for (const [code, label, account] of accounts) {
+    if (await token.isBlacklisted(account)) {
+      problems.push({ code, message: `${label} ${account} is blacklisted` });
+    }
+  }
+  return problems;
+}
+
+async function checkTransferWithAuthorization(token, relayer, message, now, minValidity) {
+  const problems = [];
+  const operation = await checkOperation(token, "Authorization", relayer, message.from);
+  if (operation) {
+    problems.push(operation);
+  }
+
+  if (!(now > message.validAfter)) {
+    problems.push({ code: "NOT_YET_VALID", message: `Authorization not valid before ${message.validAfter}` });
+  }
+  if (!(now + minValidity < message.validBefore)) {
+    problems.push({
+      code: "EXPIRED",
+      message: minValidity
+        ? `Authorization expires at ${message.validBefore}, less than ${minValidity}s from now`
+        : `Authorization expired at ${message.validBefore}`
+    });
+  }
+
+  const state = AUTHORIZATION_STATES[Number(await token.authorizationState(message.from, message.nonce))];
+  if (state !== "Unused") {
+    problems.push({ code: `AUTHORIZATION_${state.toUpperCase()}`, message: `Authorization ${message.nonce} is ${state.toLowerCase()}` });
+  }
+
+  problems.push(...await checkBlacklist(token, [
+    ["RELAYER_BLACKLISTED", "Relayer", relayer],
+    ["SENDER_BLACKLISTED", "Sender", message.from],
+    ["RECIPIENT_BLACKLISTED", "Recipient", message.to]
+  ]));
+
+  const balance = await token.balanceOf(message.from);
+  if (balance < message.value) {
+    problems.push({ code: "INSUFFICIENT_BALANCE", message: `Balance of ${message.from} is ${balance}, below ${message.value}` });
+  }
+  return problems;
+}
+
+async function checkPermit(token, relayer, message, now, minValidity) {
+  const problems = [];
+  const operation = await checkOperation(token, "Permit", relayer, null);
+  if (operation) {
+    problems.push(operation);
+  }
+
+  if (now + minValidity > message.deadline) {
+    problems.push({
+      code: "EXPIRED",
+      message: minValidity
+        ? `Permit deadline ${message.deadline} is less than ${minValidity}s from now`
+        : `Permit deadline ${message.deadline} has passed`
+    });
+  }
+
+  const nonce = await token.nonces(message.owner);
+  if (nonce !== message.nonce) {
+    problems.push({ code: "INVALID_NONCE", message: `Permit nonce ${message.nonce} does not match the owner's nonce ${nonce}` });
+  }
+
+  problems.push(...await checkBlacklist(token, [
+    ["RELAYER_BLACKLISTED", "Relayer", relayer],
+    ["APPROVER_BLACKLISTED", "Owner", message.owner],
+    ["SPENDER_BLACKLISTED", "Spender", message.spender]
+  ]));
+  return problems;
+}
+
+// Every reason the token would reject the request if the relayer submitted it
+// now, as [{ code, message }]; empty when it should go through. minValidity
+// (seconds) also rejects requests that would expire while being mined.
+async function checkChainState(token, relayer, primaryType, message, { minValidity = 0n } = {}) {
+  const block = await token.runner.provider.getBlock("latest");
+  const now = BigInt(block.timestamp);
+  const check = primaryType === "Permit" ? checkPermit : checkTransferWithAuthorization;
+  return check(token, relayer, message, now, BigInt(minValidity));
+}
+
+module.exports = {
+  ValidationError,
+  RELAYABLE,
+  parseMessage,
+  checkChainState
+};
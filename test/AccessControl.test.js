@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Role-Based Access Control", function () {
+  let token;
+  let owner, pauser, blacklister, minterAdmin, emergency, minter, user1, user2;
+  let roles;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, pauser, blacklister, minterAdmin, emergency, minter, user1, user2] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    roles = {
+      DEFAULT_ADMIN: await token.DEFAULT_ADMIN_ROLE(),
+      PAUSER: await token.PAUSER_ROLE(),
+      BLACKLISTER: await token.BLACKLISTER_ROLE(),
+      MINTER_ADMIN: await token.MINTER_ADMIN_ROLE(),
+      EMERGENCY: await token.EMERGENCY_ROLE(),
+      MINTER: await token.MINTER_ROLE()
+    };
+  });
+
+  // Every role-gated operation: setup runs once as the owner, run from any account
+  const OPERATIONS = {
+    PAUSER: [
+      { name: "pause", run: (t) => t.pause() },
+      { name: "freeze", run: (t) => t.freeze() },
+      { name: "pauseOperation", run: (t) => t.pauseOperation(0) }
+    ],
+    BLACKLISTER: [
+      { name: "blacklist", run: (t) => t.blacklist(user1.address) },
+      { name: "unblacklist", setup: () => token.blacklist(user1.address), run: (t) => t.unblacklist(user1.address) }
+    ],
+    MINTER_ADMIN: [
+      { name: "addMinter", run: (t) => t.addMinter(minter.address) },
+      { name: "removeMinter", setup: () => token.addMinter(minter.address), run: (t) => t.removeMinter(minter.address) }
+    ],
+    EMERGENCY: [
+      { name: "activateEmergencyMode", run: (t) => t.activateEmergencyMode() },
+      { name: "deactivateEmergencyMode", setup: () => token.activateEmergencyMode(), run: (t) => t.deactivateEmergencyMode() },
+      {
+        name: "emergencyTransfer",
+        setup: async () => {
+          await token.transfer(user1.address, AMOUNT);
+          await token.activateEmergencyMode();
+        },
+        run: (t) => t.emergencyTransfer(user1.address, user2.address, AMOUNT)
+      }
+    ]
+  };
+
+  describe("Deployment", function () {
+    it("Should give the deployer every role", async function () {
+      for (const role of Object.values(roles)) {
+        expect(await token.hasRole(role, owner.address)).to.be.true;
+      }
+      expect(await token.getRoleAdmin(roles.MINTER)).to.equal(roles.MINTER_ADMIN);
+      expect(await token.getRoleAdmin(roles.PAUSER)).to.equal(roles.DEFAULT_ADMIN);
+    });
+  });
+
+  describe("Role separation", function () {
+    const holders = () => ({ PAUSER: pauser, BLACKLISTER: blacklister, MINTER_ADMIN: minterAdmin, EMERGENCY: emergency });
+
+    beforeEach(async function () {
+      for (const [role, account] of Object.entries(holders())) {
+        await token.grantRole(roles[role], account.address);
+      }
+    });
+
+    for (const [role, operations] of Object.entries(OPERATIONS)) {
+      for (const { name, setup, run } of operations) {
+        it(`Should allow ${name} only with ${role}_ROLE`, async function () {
+          if (setup) {
+            await setup();
+          }
+          for (const [otherRole, account] of Object.entries(holders())) {
+            if (otherRole === role) {
+              continue;
+            }
+            await expect(run(token.connect(account)), `${name} as ${otherRole}`)
+              .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+              .withArgs(account.address, roles[role]);
+          }
+
+          await expect(run(token.connect(holders()[role]))).to.not.be.reverted;
+        });
+      }
+    }
+
+    it("Should let only the default admin grant and revoke operational roles", async function () {
+      await expect(token.connect(pauser).grantRole(roles.PAUSER, user1.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(pauser.address, roles.DEFAULT_ADMIN);
+
+      await token.revokeRole(roles.PAUSER, pauser.address);
+      await expect(token.connect(pauser).pause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let a pauser pause but leave unpausing to the default admin", async function () {
+      await token.connect(pauser).pause();
+
+      await expect(token.connect(pauser).unpause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(pauser.address, roles.DEFAULT_ADMIN);
+      await token.unpause();
+      expect(await token.paused()).to.be.false;
+    });
+
+    it("Should let a pauser stop the token without being able to move funds", async function () {
+      await token.connect(pauser).pause();
+      expect(await token.paused()).to.be.true;
+
+      await expect(token.connect(pauser).emergencyTransfer(owner.address, pauser.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Minter wrappers", function () {
+    it("Should keep addMinter/removeMinter/isMinter in sync with MINTER_ROLE", async function () {
+      await expect(token.addMinter(minter.address))
+        .to.emit(token, "RoleGranted").withArgs(roles.MINTER, minter.address, owner.address)
+        .and.to.emit(token, "MinterAdded").withArgs(minter.address);
+      expect(await token.hasRole(roles.MINTER, minter.address)).to.be.true;
+
+      await token.revokeRole(roles.MINTER, minter.address);
+      expect(await token.isMinter(minter.address)).to.be.false;
+      expect(await token.getMinters(0, 10)).to.deep.equal([owner.address]);
+
+      await expect(token.grantRole(roles.MINTER, minter.address))
+        .to.emit(token, "MinterAdded").withArgs(minter.address);
+      expect(await token.isMinter(minter.address)).to.be.true;
+      await token.connect(minter).mint(user1.address, AMOUNT);
+
+      await expect(token.removeMinter(minter.address))
+        .to.emit(token, "MinterRemoved").withArgs(minter.address);
+      expect(await token.minterCount()).to.equal(1);
+    });
+
+    it("Should let a minter admin manage minters through the role functions", async function () {
+      await token.grantRole(roles.MINTER_ADMIN, minterAdmin.address);
+
+      await token.connect(minterAdmin).grantRole(roles.MINTER, minter.address);
+      expect(await token.isMinter(minter.address)).to.be.true;
+      await expect(token.connect(minterAdmin).grantRole(roles.PAUSER, minter.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not let the owner lose minter status through revokeRole", async function () {
+      await expect(token.revokeRole(roles.MINTER, owner.address))
+        .to.be.revertedWith("GenericToken: Cannot remove owner as minter");
+      await expect(token.renounceRole(roles.MINTER, owner.address))
+        .to.be.revertedWith("GenericToken: Cannot remove owner as minter");
+    });
+  });
+
+  describe("Ownership and the default admin", function () {
+    it("Should keep DEFAULT_ADMIN_ROLE with the owner only", async function () {
+      await expect(token.grantRole(roles.DEFAULT_ADMIN, user1.address))
+        .to.be.revertedWith("GenericToken: Admin role follows ownership");
+      await expect(token.renounceRole(roles.DEFAULT_ADMIN, owner.address))
+        .to.be.revertedWith("GenericToken: Admin role follows ownership");
+    });
+
+    it("Should keep ownership and roles with the owner until the new owner accepts", async function () {
+      await expect(token.transferOwnership(user1.address))
+        .to.emit(token, "OwnershipTransferStarted").withArgs(owner.address, user1.address);
+
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.pendingOwner()).to.equal(user1.address);
+      expect(await token.hasRole(roles.DEFAULT_ADMIN, user1.address)).to.be.false;
+
+      await expect(token.connect(user2).acceptOwnership())
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount")
+        .withArgs(user2.address);
+    });
+
+    it("Should let a mistyped transfer be replaced before it is accepted", async function () {
+      await token.transferOwnership(user2.address);
+      await token.transferOwnership(user1.address);
+
+      await expect(token.connect(user2).acceptOwnership())
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      await token.connect(user1).acceptOwnership();
+      expect(await token.owner()).to.equal(user1.address);
+    });
+
+    it("Should move the admin and the owner's operational roles on acceptOwnership", async function () {
+      await token.grantRole(roles.PAUSER, pauser.address);
+      await token.transferOwnership(user1.address);
+      await token.connect(user1).acceptOwnership();
+
+      for (const role of ["DEFAULT_ADMIN", "PAUSER", "BLACKLISTER", "MINTER_ADMIN", "EMERGENCY"]) {
+        expect(await token.hasRole(roles[role], owner.address), role).to.be.false;
+        expect(await token.hasRole(roles[role], user1.address), role).to.be.true;
+      }
+      // Roles delegated to other accounts stay where they are
+      expect(await token.hasRole(roles.PAUSER, pauser.address)).to.be.true;
+      expect(await token.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(token.pause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await token.connect(user1).pause();
+    });
+
+    it("Should move the owner's minter status to the new owner", async function () {
+      await token.addMinter(minter.address);
+      await token.transferOwnership(user1.address);
+
+      await expect(token.connect(user1).acceptOwnership())
+        .to.emit(token, "MinterRemoved").withArgs(owner.address)
+        .and.to.emit(token, "MinterAdded").withArgs(user1.address);
+
+      expect([...await token.getMinters(0, 10)]).to.have.members([minter.address, user1.address]);
+      await expect(token.mint(user2.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Caller is not a minter");
+      await token.connect(user1).mint(user2.address, AMOUNT);
+      await expect(token.connect(user1).removeMinter(user1.address))
+        .to.be.revertedWith("GenericToken: Cannot remove owner as minter");
+    });
+
+    it("Should refuse to renounce ownership", async function () {
+      await expect(token.renounceOwnership())
+        .to.be.revertedWith("GenericToken: Renouncing ownership is disabled");
+      await expect(token.connect(user1).renounceOwnership())
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.hasRole(roles.DEFAULT_ADMIN, owner.address)).to.be.true;
+    });
+  });
+});
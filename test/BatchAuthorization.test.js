@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signTransferWithAuthorization } = require("../scripts/lib/signing");
+
+// Batch item for a signed authorization
+function batchItem({ message, serialized }, signature = serialized) {
+  return { ...message, signature };
+}
+
+function errorReason(message) {
+  return ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [message])]);
+}
+
+describe("Batch authorizations (transferWithAuthorizationBatch)", function () {
+  let token;
+  let owner, holder1, holder2, recipient, relayer, others;
+
+  const AMOUNT = ethers.parseUnits("100", 18);
+
+  beforeEach(async function () {
+    [owner, holder1, holder2, recipient, relayer, ...others] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Batch", "BAT", 18, AMOUNT * 1000n, AMOUNT * 10000n, AMOUNT * 1000n);
+    await token.transfer(holder1.address, AMOUNT * 10n);
+    await token.transfer(holder2.address, AMOUNT * 10n);
+  });
+
+  const authorize = (holder, overrides = {}) =>
+    signTransferWithAuthorization(token, holder, { to: recipient.address, value: AMOUNT, ...overrides });
+
+  describe("All-or-nothing", function () {
+    it("Should execute every authorization and report each one", async function () {
+      const signed = [await authorize(holder1), await authorize(holder2), await authorize(holder1)];
+
+      const tx = token.connect(relayer).transferWithAuthorizationBatch(signed.map(s => batchItem(s)), false);
+
+      for (const [i, { message }] of signed.entries()) {
+        await expect(tx).to.emit(token, "BatchAuthorizationResult").withArgs(i, message.from, message.nonce, true, "0x");
+        await expect(tx).to.emit(token, "AuthorizationUsed").withArgs(message.from, message.nonce);
+      }
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 3n);
+      expect(await token.balanceOf(holder1.address)).to.equal(AMOUNT * 8n);
+    });
+
+    it("Should revert the whole batch with the failed item's reason", async function () {
+      const good = await authorize(holder1);
+      const expired = await authorize(holder2, { validBefore: 1 });
+
+      await expect(token.connect(relayer).transferWithAuthorizationBatch([batchItem(good), batchItem(expired)], false))
+        .to.be.revertedWith("GenericToken: Authorization expired");
+
+      expect(await token.authorizationState(holder1.address, good.message.nonce)).to.equal(0);
+      expect(await token.balanceOf(recipient.address)).to.equal(0);
+    });
+
+    it("Should pass on custom errors from the transfer", async function () {
+      const tooMuch = await authorize(holder1, { value: AMOUNT * 11n });
+
+      await expect(token.connect(relayer).transferWithAuthorizationBatch([batchItem(tooMuch)], false))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientBalance");
+    });
+  });
+
+  describe("Skip failed", function () {
+    it("Should execute the valid items and report the failed ones", async function () {
+      const good1 = await authorize(holder1);
+      const wrongSigner = await authorize(holder2);
+      const used = await authorize(holder1);
+      const good2 = await authorize(holder2);
+      await token.connect(relayer).transferWithAuthorizationBatch([batchItem(used)], false);
+
+      const items = [
+        batchItem(good1),
+        batchItem(wrongSigner, (await authorize(holder1, { nonce: wrongSigner.message.nonce })).serialized),
+        batchItem(used),
+        batchItem(good2)
+      ];
+      const batch = token.connect(relayer).transferWithAuthorizationBatch;
+
+      expect(await batch.staticCall(items, true)).to.deep.equal([true, false, false, true]);
+
+      const tx = batch(items, true);
+      await expect(tx).to.emit(token, "BatchAuthorizationResult")
+        .withArgs(1, holder2.address, wrongSigner.message.nonce, false, errorReason("GenericToken: Invalid signature"));
+      await expect(tx).to.emit(token, "BatchAuthorizationResult")
+        .withArgs(2, holder1.address, used.message.nonce, false, errorReason("GenericToken: Authorization used or canceled"));
+      await expect(tx).to.emit(token, "BatchAuthorizationResult")
+        .withArgs(3, holder2.address, good2.message.nonce, true, "0x");
+
+      // The used one from before, and good1 and good2
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 3n);
+      expect(await token.authorizationState(holder2.address, wrongSigner.message.nonce)).to.equal(0);
+    });
+
+    it("Should let later items spend what earlier items moved", async function () {
+      const all = await authorize(holder1, { value: AMOUNT * 10n });
+      const more = await authorize(holder1, { value: AMOUNT });
+
+      const results = await token.connect(relayer).transferWithAuthorizationBatch.staticCall(
+        [batchItem(all), batchItem(more)], true
+      );
+
+      expect(results).to.deep.equal([true, false]);
+    });
+
+    it("Should treat the same nonce twice in a batch as a replay", async function () {
+      const signed = await authorize(holder1);
+
+      await token.connect(relayer).transferWithAuthorizationBatch([batchItem(signed), batchItem(signed)], true);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+    });
+  });
+
+  describe("Caller and circuit breaker", function () {
+    it("Should apply the caller's blacklist and pause exemption to every item", async function () {
+      const signed = await authorize(holder1);
+
+      await token.blacklist(relayer.address);
+      expect(await token.connect(relayer).transferWithAuthorizationBatch.staticCall([batchItem(signed)], true))
+        .to.deep.equal([false]);
+      await token.unblacklist(relayer.address);
+
+      await token.pause();
+      await expect(token.connect(relayer).transferWithAuthorizationBatch([batchItem(signed)], false))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+
+      await token.addPauseExemption(relayer.address);
+      await token.connect(relayer).transferWithAuthorizationBatch([batchItem(signed)], false);
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+    });
+
+    it("Should reject the whole batch while frozen or authorizations are paused", async function () {
+      const items = [batchItem(await authorize(holder1))];
+
+      await token.pauseOperation(4);
+      await expect(token.transferWithAuthorizationBatch(items, true))
+        .to.be.revertedWith("GenericToken: Operation is paused");
+      await token.unpauseOperation(4);
+
+      await token.freeze();
+      await expect(token.transferWithAuthorizationBatch(items, true))
+        .to.be.revertedWith("GenericToken: Token is frozen");
+    });
+
+    it("Should reject an empty batch", async function () {
+      await expect(token.transferWithAuthorizationBatch([], true))
+        .to.be.revertedWith("GenericToken: Empty batch");
+    });
+
+    it("Should accept contract wallet signatures in a batch", async function () {
+      const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+      const wallet = await MockMultisigWallet.deploy([holder1.address], 1);
+      const walletAddress = await wallet.getAddress();
+      await token.transfer(walletAddress, AMOUNT);
+
+      const fromWallet = await authorize(holder1, { from: walletAddress });
+      const fromHolder = await authorize(holder2);
+
+      await token.connect(relayer).transferWithAuthorizationBatch([batchItem(fromWallet), batchItem(fromHolder)], false);
+
+      expect(await token.balanceOf(walletAddress)).to.equal(0);
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 2n);
+    });
+  });
+
+  describe("Gas", function () {
+    const SIZES = [1, 10, 50];
+
+    // Gas of `count` authorizations to distinct recipients, one transaction
+    // each and as one batch; every holder pays a recipient that already has tokens
+    async function measure(count) {
+      const recipients = others.slice(0, count).map(s => s.address);
+      while (recipients.length < count) {
+        recipients.push(ethers.Wallet.createRandom().address);
+      }
+      for (const to of recipients) {
+        await token.transfer(to, 1n);
+      }
+
+      let individual = 0n;
+      for (const to of recipients) {
+        const signed = await authorize(holder1, { to, value: 1n });
+        const tx = await token.connect(relayer)[
+          "transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"
+        ](...Object.values(batchItem(signed)));
+        individual += (await tx.wait()).gasUsed;
+      }
+
+      const items = [];
+      for (const to of recipients) {
+        items.push(batchItem(await authorize(holder2, { to, value: 1n })));
+      }
+      const tx = await token.connect(relayer).transferWithAuthorizationBatch(items, false);
+      const batched = (await tx.wait()).gasUsed;
+
+      return { individual, batched };
+    }
+
+    for (const count of SIZES) {
+      it(`Should cost less per item in a batch of ${count}`, async function () {
+        const { individual, batched } = await measure(count);
+
+        if (count === 1) {
+          // One item pays for the batch loop and the delegatecall, but stays close
+          expect(batched).to.be.lessThan(individual + 15000n);
+        } else {
+          // At least most of the 21000 base cost of every transaction but one is saved
+          expect(batched).to.be.lessThan(individual - BigInt(count - 1) * 15000n);
+        }
+      });
+    }
+  });
+});
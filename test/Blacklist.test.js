@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization
+} = require("../scripts/lib/signing");
+
+describe("Blacklist Enforcement", function () {
+  let token;
+  let owner, holder, caller, recipient;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, holder, caller, recipient] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    await token.transfer(holder.address, AMOUNT * 10n);
+    await token.connect(holder).approve(caller.address, AMOUNT * 10n);
+    await token.addMinter(caller.address);
+  });
+
+  const signAuthorization = async (primaryType) => {
+    const sign = primaryType === "ReceiveWithAuthorization" ? signReceiveWithAuthorization : signTransferWithAuthorization;
+    const { message, v, r, s } = await sign(token, holder, { to: recipient.address, value: AMOUNT });
+    return [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s];
+  };
+
+  // Each path lists its parties in the order the token checks them, so when
+  // several are blacklisted the first one listed determines the error
+  const PATHS = {
+    transfer: {
+      parties: { holder: "Caller" },
+      alsoRecipient: true,
+      run: () => token.connect(holder).transfer(recipient.address, AMOUNT)
+    },
+    transferFrom: {
+      parties: { caller: "Caller", holder: "Sender" },
+      alsoRecipient: true,
+      run: () => token.connect(caller).transferFrom(holder.address, recipient.address, AMOUNT)
+    },
+    burn: {
+      parties: { holder: "Caller" },
+      run: () => token.connect(holder).burn(AMOUNT)
+    },
+    burnFrom: {
+      parties: { caller: "Caller", holder: "Sender" },
+      run: () => token.connect(caller).burnFrom(holder.address, AMOUNT)
+    },
+    mint: {
+      parties: { caller: "Caller" },
+      alsoRecipient: true,
+      run: () => token.connect(caller).mint(recipient.address, AMOUNT)
+    },
+    transferWithAuthorization: {
+      parties: { caller: "Caller", holder: "Sender" },
+      alsoRecipient: true,
+      run: async () => token.connect(caller).transferWithAuthorization(...await signAuthorization("TransferWithAuthorization"))
+    },
+    receiveWithAuthorization: {
+      parties: { recipient: "Caller", holder: "Sender" },
+      run: async () => token.connect(recipient).receiveWithAuthorization(...await signAuthorization("ReceiveWithAuthorization"))
+    },
+    approve: {
+      parties: { holder: "Caller", caller: "Spender" },
+      run: () => token.connect(holder).approve(caller.address, AMOUNT)
+    },
+    permit: {
+      parties: { recipient: "Caller", holder: "Approver", caller: "Spender" },
+      run: async () => {
+        const { message, v, r, s } = await signPermit(token, holder, { spender: caller.address, value: AMOUNT });
+        // Relayed by the recipient account
+        return token.connect(recipient).permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+      }
+    }
+  };
+
+  const accounts = () => ({ holder, caller, recipient });
+
+  // Every non-empty subset of the given party names
+  const subsets = (names) => {
+    const result = [];
+    for (let mask = 1; mask < 1 << names.length; mask++) {
+      result.push(names.filter((_, i) => mask & (1 << i)));
+    }
+    return result;
+  };
+
+  for (const [name, path] of Object.entries(PATHS)) {
+    describe(name, function () {
+      const checks = Object.entries(path.parties).concat(path.alsoRecipient ? [["recipient", "Recipient"]] : []);
+
+      it("Should succeed when nobody involved is blacklisted", async function () {
+        await expect(path.run()).to.not.be.reverted;
+      });
+
+      for (const blacklisted of subsets(checks.map(([party]) => party))) {
+        const [, expected] = checks.find(([party]) => blacklisted.includes(party));
+
+        it(`Should revert with "${expected} is blacklisted" when ${blacklisted.join(" and ")} ${blacklisted.length > 1 ? "are" : "is"} blacklisted`, async function () {
+          for (const party of blacklisted) {
+            await token.blacklist(accounts()[party].address);
+          }
+          await expect(path.run()).to.be.revertedWith(`GenericToken: ${expected} is blacklisted`);
+        });
+      }
+
+      it("Should succeed again once unblacklisted", async function () {
+        for (const [party] of checks) {
+          await token.blacklist(accounts()[party].address);
+          await token.unblacklist(accounts()[party].address);
+        }
+        await expect(path.run()).to.not.be.reverted;
+      });
+    });
+  }
+
+  describe("Emergency transfer", function () {
+    it("Should still move funds out of a blacklisted account", async function () {
+      await token.blacklist(holder.address);
+      await token.activateEmergencyMode();
+
+      await expect(token.emergencyTransfer(holder.address, owner.address, AMOUNT))
+        .to.emit(token, "EmergencyTransfer").withArgs(holder.address, owner.address, AMOUNT);
+      expect(await token.balanceOf(holder.address)).to.equal(AMOUNT * 9n);
+    });
+
+    it("Should reject the zero address as source", async function () {
+      await token.activateEmergencyMode();
+
+      await expect(token.emergencyTransfer(ethers.ZeroAddress, owner.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "ERC20InvalidSender");
+    });
+  });
+});
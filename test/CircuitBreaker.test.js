@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization,
+  signCancelAuthorization
+} = require("../scripts/lib/signing");
+
+describe("Circuit Breaker", function () {
+  let token;
+  let owner, pauser, emergency, holder, caller, recipient, recovery, flagged;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  const LEVELS = ["Normal", "TransfersPaused", "Frozen", "Recovery"];
+
+  // Expected outcome of an operation at a level
+  const OK = "ok";
+  const PAUSED = "EnforcedPause";
+  const FROZEN = "GenericToken: Token is frozen";
+  const EMERGENCY = "GenericToken: Contract in emergency mode";
+  const NOT_EMERGENCY = "GenericToken: Not in emergency mode";
+
+  beforeEach(async function () {
+    [owner, pauser, emergency, holder, caller, recipient, recovery, flagged] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    await token.grantRole(await token.PAUSER_ROLE(), pauser.address);
+    await token.grantRole(await token.EMERGENCY_ROLE(), emergency.address);
+    await token.transfer(holder.address, AMOUNT * 10n);
+    await token.connect(holder).approve(caller.address, AMOUNT * 10n);
+    await token.addMinter(caller.address);
+    await token.setRecoveryAddress(recovery.address);
+    await token.transfer(flagged.address, AMOUNT);
+    await token.blacklist(flagged.address);
+  });
+
+  const signAuthorization = async (primaryType) => {
+    const sign = primaryType === "ReceiveWithAuthorization" ? signReceiveWithAuthorization : signTransferWithAuthorization;
+    const { message, v, r, s } = await sign(token, holder, { to: recipient.address, value: AMOUNT });
+    return [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s];
+  };
+
+  const enter = {
+    Normal: async () => {},
+    TransfersPaused: () => token.connect(pauser).pause(),
+    Frozen: () => token.connect(pauser).freeze(),
+    Recovery: () => token.connect(emergency).activateEmergencyMode()
+  };
+
+  const expectOutcome = (promise, expected) => {
+    if (expected === OK) {
+      return expect(promise).to.not.be.reverted;
+    }
+    if (expected === PAUSED) {
+      return expect(promise).to.be.revertedWithCustomError(token, "EnforcedPause");
+    }
+    return expect(promise).to.be.revertedWith(expected);
+  };
+
+  // Outcome of every operation at Normal, TransfersPaused, Frozen and Recovery
+  const MATRIX = {
+    transfer: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: () => token.connect(holder).transfer(recipient.address, AMOUNT)
+    },
+    transferFrom: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: () => token.connect(caller).transferFrom(holder.address, recipient.address, AMOUNT)
+    },
+    mint: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: () => token.connect(caller).mint(recipient.address, AMOUNT)
+    },
+    burn: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: () => token.connect(holder).burn(AMOUNT)
+    },
+    burnFrom: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: () => token.connect(caller).burnFrom(holder.address, AMOUNT)
+    },
+    transferWithAuthorization: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: async () => token.connect(caller).transferWithAuthorization(...await signAuthorization("TransferWithAuthorization"))
+    },
+    receiveWithAuthorization: {
+      outcomes: [OK, PAUSED, FROZEN, EMERGENCY],
+      run: async () => token.connect(recipient).receiveWithAuthorization(...await signAuthorization("ReceiveWithAuthorization"))
+    },
+    approve: {
+      outcomes: [OK, OK, FROZEN, EMERGENCY],
+      run: () => token.connect(holder).approve(recipient.address, AMOUNT)
+    },
+    permit: {
+      outcomes: [OK, OK, FROZEN, EMERGENCY],
+      run: async () => {
+        const { message, v, r, s } = await signPermit(token, holder, { spender: recipient.address, value: AMOUNT });
+        return token.connect(caller).permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+      }
+    },
+    cancelAuthorization: {
+      outcomes: [OK, OK, FROZEN, EMERGENCY],
+      run: async () => {
+        const nonce = ethers.hexlify(ethers.randomBytes(32));
+        const { v, r, s } = await signCancelAuthorization(token, holder, { nonce });
+        return token.connect(caller).cancelAuthorization(holder.address, nonce, v, r, s);
+      }
+    },
+    seizeBlacklistedFunds: {
+      outcomes: [OK, OK, FROZEN, OK],
+      run: () => token.connect(emergency).seizeBlacklistedFunds(flagged.address)
+    },
+    wipeBlacklistedFunds: {
+      outcomes: [OK, OK, FROZEN, OK],
+      run: () => token.connect(emergency).wipeBlacklistedFunds(flagged.address)
+    },
+    emergencyTransfer: {
+      outcomes: [NOT_EMERGENCY, NOT_EMERGENCY, NOT_EMERGENCY, OK],
+      run: () => token.connect(emergency).emergencyTransfer(holder.address, recovery.address, AMOUNT)
+    },
+    blacklist: {
+      outcomes: [OK, OK, OK, OK],
+      run: () => token.blacklist(recipient.address)
+    },
+    configureMinter: {
+      outcomes: [OK, OK, OK, OK],
+      run: () => token.configureMinter(recipient.address, AMOUNT, AMOUNT)
+    },
+    setMintRateLimit: {
+      outcomes: [OK, OK, OK, OK],
+      run: () => token.setMintRateLimit(AMOUNT, 3600)
+    },
+    setRecoveryAddress: {
+      outcomes: [OK, OK, OK, OK],
+      run: () => token.setRecoveryAddress(owner.address)
+    },
+    grantRole: {
+      outcomes: [OK, OK, OK, OK],
+      run: async () => token.grantRole(await token.BLACKLISTER_ROLE(), recipient.address)
+    },
+    transferOwnership: {
+      outcomes: [OK, OK, OK, OK],
+      run: () => token.transferOwnership(recipient.address)
+    }
+  };
+
+  LEVELS.forEach((level, index) => {
+    describe(`At ${level}`, function () {
+      beforeEach(async function () {
+        await enter[level]();
+      });
+
+      it(`Should report level ${index}`, async function () {
+        expect(await token.circuitBreakerLevel()).to.equal(index);
+        expect(await token.paused()).to.equal(level !== "Normal");
+        expect(await token.emergencyMode()).to.equal(level === "Recovery");
+      });
+
+      for (const [name, { outcomes, run }] of Object.entries(MATRIX)) {
+        const expected = outcomes[index];
+
+        it(`Should ${expected === OK ? "allow" : `block (${expected})`} ${name}`, async function () {
+          await expectOutcome(run(), expected);
+        });
+      }
+    });
+  });
+
+  describe("Transitions", function () {
+    it("Should pause only from Normal", async function () {
+      await expect(token.connect(pauser).pause())
+        .to.emit(token, "CircuitBreakerLevelChanged").withArgs(pauser.address, 0, 1)
+        .and.to.emit(token, "Paused").withArgs(pauser.address)
+        .and.to.emit(token, "ContractPaused").withArgs(pauser.address);
+
+      await expect(token.connect(pauser).pause())
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+      await token.connect(pauser).freeze();
+      await expect(token.connect(pauser).pause())
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should let a pauser freeze from Normal or TransfersPaused", async function () {
+      await expect(token.connect(pauser).freeze())
+        .to.emit(token, "CircuitBreakerLevelChanged").withArgs(pauser.address, 0, 2)
+        .and.to.emit(token, "Paused");
+
+      await token.unpause();
+      await token.connect(pauser).pause();
+      await expect(token.connect(pauser).freeze())
+        .to.emit(token, "CircuitBreakerLevelChanged").withArgs(pauser.address, 1, 2)
+        .and.not.to.emit(token, "Paused");
+    });
+
+    it("Should not freeze when already frozen or in recovery", async function () {
+      await token.connect(pauser).freeze();
+      await expect(token.connect(pauser).freeze())
+        .to.be.revertedWith("GenericToken: Token is already frozen");
+
+      await token.connect(emergency).activateEmergencyMode();
+      await expect(token.connect(pauser).freeze())
+        .to.be.revertedWith("GenericToken: Token is already frozen");
+    });
+
+    it("Should require PAUSER_ROLE to freeze", async function () {
+      await expect(token.connect(emergency).freeze())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(emergency.address, await token.PAUSER_ROLE());
+    });
+
+    it("Should unpause to Normal from TransfersPaused and Frozen", async function () {
+      for (const level of ["TransfersPaused", "Frozen"]) {
+        await enter[level]();
+        await expect(token.unpause())
+          .to.emit(token, "CircuitBreakerLevelChanged").withArgs(owner.address, LEVELS.indexOf(level), 0)
+          .and.to.emit(token, "Unpaused").withArgs(owner.address)
+          .and.to.emit(token, "ContractUnpaused").withArgs(owner.address);
+        expect(await token.circuitBreakerLevel()).to.equal(0);
+      }
+    });
+
+    it("Should not unpause from Normal or Recovery", async function () {
+      await expect(token.unpause())
+        .to.be.revertedWithCustomError(token, "ExpectedPause");
+
+      await token.connect(emergency).activateEmergencyMode();
+      await expect(token.unpause())
+        .to.be.revertedWith("GenericToken: Contract in emergency mode");
+    });
+
+    it("Should enter recovery from any other level", async function () {
+      for (const level of ["Normal", "TransfersPaused", "Frozen"]) {
+        await enter[level]();
+        await expect(token.connect(emergency).activateEmergencyMode())
+          .to.emit(token, "CircuitBreakerLevelChanged").withArgs(emergency.address, LEVELS.indexOf(level), 3)
+          .and.to.emit(token, "EmergencyModeActivated").withArgs(emergency.address);
+        await token.connect(emergency).deactivateEmergencyMode();
+        await token.unpause();
+      }
+
+      await token.connect(emergency).activateEmergencyMode();
+      await expect(token.connect(emergency).activateEmergencyMode())
+        .to.be.revertedWith("GenericToken: Already in emergency mode");
+    });
+
+    it("Should leave recovery frozen until the owner unpauses", async function () {
+      await token.connect(emergency).activateEmergencyMode();
+
+      await expect(token.connect(emergency).deactivateEmergencyMode())
+        .to.emit(token, "CircuitBreakerLevelChanged").withArgs(emergency.address, 3, 2)
+        .and.to.emit(token, "EmergencyModeDeactivated").withArgs(emergency.address)
+        .and.not.to.emit(token, "Unpaused");
+      expect(await token.circuitBreakerLevel()).to.equal(2);
+      expect(await token.emergencyMode()).to.be.false;
+
+      await token.unpause();
+      await expect(MATRIX.transfer.run()).to.not.be.reverted;
+    });
+
+    it("Should only leave recovery when in recovery", async function () {
+      await token.connect(pauser).freeze();
+
+      await expect(token.connect(emergency).deactivateEmergencyMode())
+        .to.be.revertedWith("GenericToken: Not in emergency mode");
+    });
+  });
+});
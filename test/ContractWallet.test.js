@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization,
+  signCancelAuthorization
+} = require("../scripts/lib/signing");
+
+const TRANSFER_BYTES = "transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)";
+const RECEIVE_BYTES = "receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)";
+const CANCEL_BYTES = "cancelAuthorization(address,bytes32,bytes)";
+const PERMIT_BYTES = "permit(address,address,uint256,uint256,bytes)";
+
+// Arguments of the bytes overloads for a signed authorization
+function authorizationArgs({ message }, signature) {
+  return [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, signature];
+}
+
+// Arguments of the bytes permit for a signed permit
+function permitArgs({ message }, signature) {
+  return [message.owner, message.spender, message.value, message.deadline, signature];
+}
+
+// Wallet signature as MockMultisigWallet expects it: owner signatures
+// concatenated in ascending signer order
+function walletSignature(signedByOwners) {
+  const sorted = signedByOwners
+    .slice()
+    .sort((a, b) => (BigInt(a.owner) < BigInt(b.owner) ? -1 : 1));
+  return ethers.concat(sorted.map(s => s.serialized));
+}
+
+describe("Contract wallet signatures (ERC-1271)", function () {
+  let token, wallet, walletAddress;
+  let owner, signer1, signer2, signer3, recipient, relayer, spender;
+
+  const AMOUNT = ethers.parseUnits("100", 18);
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, recipient, relayer, spender] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Wallet", "WLT", 18, AMOUNT * 100n, AMOUNT * 1000n, AMOUNT * 100n);
+
+    const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+    wallet = await MockMultisigWallet.deploy([signer1.address, signer2.address, signer3.address], 2);
+    walletAddress = await wallet.getAddress();
+    await token.transfer(walletAddress, AMOUNT * 10n);
+  });
+
+  // Signs for the wallet with each owner given; returns the message and the
+  // combined wallet signature. The owners must sign the same nonce.
+  async function signForWallet(sign, owners, fields) {
+    const nonce = ethers.hexlify(ethers.randomBytes(32));
+    const signed = await Promise.all(owners.map(async (signer) => ({
+      owner: signer.address,
+      ...await sign(token, signer, { from: walletAddress, nonce, ...fields })
+    })));
+    return { message: signed[0].message, signature: walletSignature(signed) };
+  }
+
+  describe("EOA signatures through the bytes overloads", function () {
+    it("Should accept a 65-byte signature for transferWithAuthorization", async function () {
+      const signed = await signTransferWithAuthorization(token, owner, { to: recipient.address, value: AMOUNT });
+
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(signed, signed.serialized)))
+        .to.emit(token, "AuthorizationUsed").withArgs(owner.address, signed.message.nonce);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+    });
+
+    it("Should reject signatures of the wrong length", async function () {
+      const signed = await signTransferWithAuthorization(token, owner, { to: recipient.address, value: AMOUNT });
+
+      const compact = ethers.Signature.from(signed.serialized).compactSerialized;
+
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(signed, compact)))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(signed, "0x")))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+    });
+
+    it("Should treat the v, r, s and bytes forms as one authorization", async function () {
+      const signed = await signTransferWithAuthorization(token, owner, { to: recipient.address, value: AMOUNT });
+      const { message, v, r, s } = signed;
+      await token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(signed, signed.serialized));
+
+      await expect(token.connect(relayer).transferWithAuthorization(
+        message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s
+      )).to.be.revertedWith("GenericToken: Authorization used or canceled");
+    });
+  });
+
+  describe("Multisig wallet", function () {
+    it("Should transfer with a wallet signature submitted by anyone", async function () {
+      const { message, signature } = await signForWallet(
+        signTransferWithAuthorization, [signer1, signer3], { to: recipient.address, value: AMOUNT }
+      );
+
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs({ message }, signature)))
+        .to.emit(token, "AuthorizationUsed").withArgs(walletAddress, message.nonce)
+        .and.to.emit(token, "Transfer").withArgs(walletAddress, recipient.address, AMOUNT);
+
+      expect(await token.authorizationState(walletAddress, message.nonce)).to.equal(1);
+    });
+
+    it("Should let the recipient receive with a wallet signature", async function () {
+      const { message, signature } = await signForWallet(
+        signReceiveWithAuthorization, [signer2, signer1], { to: recipient.address, value: AMOUNT }
+      );
+
+      await expect(token.connect(relayer)[RECEIVE_BYTES](...authorizationArgs({ message }, signature)))
+        .to.be.revertedWith("GenericToken: Caller must be recipient");
+
+      await token.connect(recipient)[RECEIVE_BYTES](...authorizationArgs({ message }, signature));
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+    });
+
+    it("Should cancel with a wallet signature", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const cancel = await Promise.all([signer1, signer2].map(async (signer) => ({
+        owner: signer.address,
+        ...await signCancelAuthorization(token, signer, { authorizer: walletAddress, nonce })
+      })));
+
+      await expect(token.connect(relayer)[CANCEL_BYTES](walletAddress, nonce, walletSignature(cancel)))
+        .to.emit(token, "AuthorizationCanceled").withArgs(walletAddress, nonce);
+
+      const { message, signature } = await signForWallet(
+        signTransferWithAuthorization, [signer1, signer2], { to: recipient.address, value: AMOUNT, nonce }
+      );
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs({ message }, signature)))
+        .to.be.revertedWith("GenericToken: Authorization used or canceled");
+    });
+
+    it("Should reject signatures the wallet does not accept", async function () {
+      const fields = { to: recipient.address, value: AMOUNT };
+
+      // One owner short of the threshold
+      const single = await signForWallet(signTransferWithAuthorization, [signer1], fields);
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(single, single.signature)))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+
+      // A non-owner in place of an owner
+      const outsider = await signForWallet(signTransferWithAuthorization, [signer1, relayer], fields);
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(outsider, outsider.signature)))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+
+      // Owner signatures over a different message
+      const signed = await signForWallet(signTransferWithAuthorization, [signer1, signer2], fields);
+      const tampered = { message: { ...signed.message, value: AMOUNT * 2n } };
+      await expect(token.connect(relayer)[TRANSFER_BYTES](...authorizationArgs(tampered, signed.signature)))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+
+      expect(await token.balanceOf(recipient.address)).to.equal(0);
+    });
+
+    it("Should check a single-owner wallet through the v, r, s overload", async function () {
+      const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+      const single = await MockMultisigWallet.deploy([signer1.address], 1);
+      const singleAddress = await single.getAddress();
+      await token.transfer(singleAddress, AMOUNT);
+
+      const { message, v, r, s } = await signTransferWithAuthorization(
+        token, signer1, { from: singleAddress, to: recipient.address, value: AMOUNT }
+      );
+      await token.connect(relayer).transferWithAuthorization(
+        message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s
+      );
+
+      expect(await token.balanceOf(singleAddress)).to.equal(0);
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+    });
+  });
+
+  describe("Permit", function () {
+    // Permit for the wallet signed by each owner given; they sign the same
+    // (current) nonce and default deadline
+    async function signPermitForWallet(owners, fields) {
+      const signed = await Promise.all(owners.map(async (signer) => ({
+        owner: signer.address,
+        ...await signPermit(token, signer, { owner: walletAddress, ...fields })
+      })));
+      return { message: signed[0].message, signature: walletSignature(signed) };
+    }
+
+    it("Should accept a 65-byte EOA signature through the bytes overload", async function () {
+      const signed = await signPermit(token, owner, { spender: spender.address, value: AMOUNT });
+
+      await expect(token.connect(relayer)[PERMIT_BYTES](...permitArgs(signed, signed.serialized)))
+        .to.emit(token, "Approval").withArgs(owner.address, spender.address, AMOUNT);
+
+      expect(await token.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should report the recovered signer for a wrong EOA signature", async function () {
+      const signed = await signPermit(token, signer1, { owner: owner.address, spender: spender.address, value: AMOUNT });
+
+      await expect(token[PERMIT_BYTES](...permitArgs(signed, signed.serialized)))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner")
+        .withArgs(signer1.address, owner.address);
+    });
+
+    it("Should approve with a wallet signature and let the spender pull the tokens", async function () {
+      const signed = await signPermitForWallet([signer3, signer2], { spender: spender.address, value: AMOUNT });
+
+      await expect(token.connect(relayer)[PERMIT_BYTES](...permitArgs(signed, signed.signature)))
+        .to.emit(token, "Approval").withArgs(walletAddress, spender.address, AMOUNT);
+      expect(await token.nonces(walletAddress)).to.equal(1);
+
+      await token.connect(spender).transferFrom(walletAddress, recipient.address, AMOUNT);
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+
+      // The nonce is spent
+      await expect(token.connect(relayer)[PERMIT_BYTES](...permitArgs(signed, signed.signature)))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner")
+        .withArgs(ethers.ZeroAddress, walletAddress);
+    });
+
+    it("Should reject signatures the wallet does not accept", async function () {
+      const single = await signPermitForWallet([signer1], { spender: spender.address, value: AMOUNT });
+      await expect(token[PERMIT_BYTES](...permitArgs(single, single.signature)))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner")
+        .withArgs(ethers.ZeroAddress, walletAddress);
+
+      const signed = await signPermitForWallet([signer1, signer2], { spender: spender.address, value: AMOUNT });
+      const tampered = { message: { ...signed.message, spender: relayer.address } };
+      await expect(token[PERMIT_BYTES](...permitArgs(tampered, signed.signature)))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+
+      expect(await token.allowance(walletAddress, spender.address)).to.equal(0);
+    });
+
+    it("Should still check the deadline and operation pause for wallets", async function () {
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+      const expired = await signPermitForWallet([signer1, signer2], {
+        spender: spender.address, value: AMOUNT, deadline: latest - 1
+      });
+      await expect(token[PERMIT_BYTES](...permitArgs(expired, expired.signature)))
+        .to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature")
+        .withArgs(latest - 1);
+
+      const signed = await signPermitForWallet([signer1, signer2], { spender: spender.address, value: AMOUNT });
+      await token.pauseOperation(3);
+      await expect(token[PERMIT_BYTES](...permitArgs(signed, signed.signature)))
+        .to.be.revertedWith("GenericToken: Operation is paused");
+    });
+
+    it("Should check a single-owner wallet through the v, r, s overload", async function () {
+      const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+      const single = await MockMultisigWallet.deploy([signer1.address], 1);
+      const singleAddress = await single.getAddress();
+
+      const { message, v, r, s } = await signPermit(
+        token, signer1, { owner: singleAddress, spender: spender.address, value: AMOUNT }
+      );
+      await token.connect(relayer).permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+
+      expect(await token.allowance(singleAddress, spender.address)).to.equal(AMOUNT);
+    });
+  });
+});
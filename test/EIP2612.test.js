@@ -1,11 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { tokenDomain, signPermit } = require("../scripts/lib/signing");
 
 describe("EIP-2612 Comprehensive Testing", function () {
   let token;
   let owner, spender, recipient, attacker;
-  let domain, types;
 
   const TOKEN_DECIMALS = 18;
   const PERMIT_AMOUNT = ethers.parseUnits("1000", TOKEN_DECIMALS);
@@ -25,26 +25,14 @@ describe("EIP-2612 Comprehensive Testing", function () {
       MAX_SUPPLY,
       DAILY_MINT_LIMIT
     );
-
-    // Setup EIP-712 domain
-    domain = {
-      name: await token.name(),
-      version: "1",
-      chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-      verifyingContract: token.address
-    };
-
-    types = {
-      Permit: [
-        { name: "owner", type: "address" },
-        { name: "spender", type: "address" },
-        { name: "value", type: "uint256" },
-        { name: "nonce", type: "uint256" },
-        { name: "deadline", type: "uint256" }
-      ]
-    };
   });
 
+  // Submits a signed permit exactly as signed
+  const submit = (signed, caller = owner) => {
+    const { message, v, r, s } = signed;
+    return token.connect(caller).permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+  };
+
   describe("EIP-712 Domain Setup", function () {
     it("Should have correct domain separator", async function () {
       const domainSeparator = await token.DOMAIN_SEPARATOR();
@@ -53,8 +41,14 @@ describe("EIP-2612 Comprehensive Testing", function () {
       expect(domainSeparator).to.not.equal(ethers.ZeroHash);
 
       // Verify domain separator matches calculated one
-      const calculatedDomainSeparator = ethers.TypedDataEncoder.hashDomain(domain);
-      expect(domainSeparator).to.equal(calculatedDomainSeparator);
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress()
+      };
+      expect(domainSeparator).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(ethers.TypedDataEncoder.hashDomain(await tokenDomain(token))).to.equal(domainSeparator);
     });
 
     it("Should have correct version", async function () {
@@ -64,24 +58,10 @@ describe("EIP-2612 Comprehensive Testing", function () {
 
   describe("Basic Permit Functionality", function () {
     it("Should create valid permit signature", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
       // Should execute without error
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.not.be.reverted;
+      await expect(submit(signed)).to.not.be.reverted;
 
       // Check allowance was set correctly
       expect(await token.allowance(owner.address, spender.address)).to.equal(PERMIT_AMOUNT);
@@ -90,43 +70,17 @@ describe("EIP-2612 Comprehensive Testing", function () {
     it("Should increment nonce after permit", async function () {
       const initialNonce = await token.nonces(owner.address);
 
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
+      expect(signed.message.nonce).to.equal(initialNonce);
+      await submit(signed);
 
       const finalNonce = await token.nonces(owner.address);
       expect(finalNonce).to.equal(initialNonce + 1n);
     });
 
     it("Should work with transferFrom after permit", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
       // Execute permit
-      await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+      await submit(await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT }));
 
       // Check initial balances
       const ownerInitialBalance = await token.balanceOf(owner.address);
@@ -144,159 +98,80 @@ describe("EIP-2612 Comprehensive Testing", function () {
 
   describe("Permit Security Tests", function () {
     it("Should fail with invalid signature", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-
-      // Create a valid signature, then modify it
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: await token.nonces(owner.address),
-        deadline: deadline
-      };
+      // Create a valid signature, then modify one parameter to make it invalid
+      const { message, v, r, s } = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      // Modify one parameter to make it invalid
       await expect(
         token.permit(
           owner.address,
           attacker.address, // Different spender
           PERMIT_AMOUNT,
-          deadline,
+          message.deadline,
           v, r, s
         )
-      ).to.be.reverted;
+      ).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
     });
 
     it("Should fail with wrong owner signature", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: await token.nonces(owner.address),
-        deadline: deadline
-      };
-
       // Sign with attacker instead of owner
-      const signature = await attacker._signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const { message, v, r, s } = await signPermit(token, attacker, { spender: spender.address, value: PERMIT_AMOUNT });
 
       await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.be.reverted;
+        token.permit(owner.address, spender.address, PERMIT_AMOUNT, message.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
     });
 
     it("Should fail with expired deadline", async function () {
-      const expiredDeadline = Math.floor(Date.now() / 1000) - 3600; // 1 hour ago
+      const expiredDeadline = (await time.latest()) - 3600; // 1 hour ago
 
-      const value = {
-        owner: owner.address,
+      const signed = await signPermit(token, owner, {
         spender: spender.address,
         value: PERMIT_AMOUNT,
-        nonce: await token.nonces(owner.address),
         deadline: expiredDeadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      });
 
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, expiredDeadline, v, r, s)
-      ).to.be.revertedWith("ERC20Permit: expired deadline");
+      await expect(submit(signed))
+        .to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature")
+        .withArgs(expiredDeadline);
     });
 
     it("Should fail with invalid nonce", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
       const currentNonce = await token.nonces(owner.address);
-      const futureNonce = currentNonce + 1n; // Use future nonce
 
-      const value = {
-        owner: owner.address,
+      const signed = await signPermit(token, owner, {
         spender: spender.address,
         value: PERMIT_AMOUNT,
-        nonce: futureNonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+        nonce: currentNonce + 1n // Use future nonce
+      });
 
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.be.reverted;
+      await expect(submit(signed)).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
     });
 
     it("Should prevent replay attacks", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
       // First execution should succeed
-      await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+      await submit(signed);
 
       // Second execution with same signature should fail
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.be.reverted;
+      await expect(submit(signed)).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
     });
   });
 
   describe("Permit with Different Values", function () {
     it("Should work with zero amount", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: 0 });
 
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: 0,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      await expect(
-        token.permit(owner.address, spender.address, 0, deadline, v, r, s)
-      ).to.not.be.reverted;
+      await expect(submit(signed)).to.not.be.reverted;
 
       expect(await token.allowance(owner.address, spender.address)).to.equal(0);
     });
 
     it("Should work with maximum uint256 value", async function () {
       const maxAmount = ethers.MaxUint256;
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: maxAmount });
 
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: maxAmount,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      await expect(
-        token.permit(owner.address, spender.address, maxAmount, deadline, v, r, s)
-      ).to.not.be.reverted;
+      await expect(submit(signed)).to.not.be.reverted;
 
       expect(await token.allowance(owner.address, spender.address)).to.equal(maxAmount);
     });
@@ -307,101 +182,43 @@ describe("EIP-2612 Comprehensive Testing", function () {
       // Pause the contract
       await token.pause();
 
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
       // Permit should still work when paused (it's not a transfer)
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.not.be.reverted;
+      await expect(submit(signed)).to.not.be.reverted;
 
       // But transferFrom should fail
       await expect(
         token.connect(spender).transferFrom(owner.address, recipient.address, PERMIT_AMOUNT)
-      ).to.be.revertedWith("ERC20Pausable: token transfer while paused");
+      ).to.be.revertedWithCustomError(token, "EnforcedPause");
     });
 
     it("Should fail with emergency mode", async function () {
       // Activate emergency mode
       await token.activateEmergencyMode();
 
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.be.revertedWith("ProductionToken: Contract in emergency mode");
+      await expect(submit(signed)).to.be.revertedWith("GenericToken: Contract in emergency mode");
     });
 
-    it("Should work with blacklisted owner", async function () {
-      // Blacklist the owner
-      await token.blacklist(owner.address);
-
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
+    it("Should reject a permit from a blacklisted owner", async function () {
+      // The token owner cannot be blacklisted, so use another holder
+      await token.transfer(recipient.address, PERMIT_AMOUNT);
+      await token.blacklist(recipient.address);
 
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const signed = await signPermit(token, recipient, { spender: spender.address, value: PERMIT_AMOUNT });
 
-      // Permit should work (owner is blacklisted but not executing)
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.not.be.reverted;
-
-      // But transferFrom should fail
-      await expect(
-        token.connect(spender).transferFrom(owner.address, recipient.address, PERMIT_AMOUNT)
-      ).to.be.revertedWith("ProductionToken: Caller is blacklisted");
+      // A blacklisted owner cannot grant allowances, even through a relayer
+      await expect(submit(signed, spender)).to.be.revertedWith("GenericToken: Approver is blacklisted");
     });
   });
 
   describe("Gas Optimization", function () {
     it("Should have reasonable gas cost for permit", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT });
 
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      const tx = await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+      const tx = await submit(signed);
       const receipt = await tx.wait();
 
       console.log("Permit gas used:", receipt.gasUsed.toString());
@@ -410,21 +227,7 @@ describe("EIP-2612 Comprehensive Testing", function () {
 
     it("Should have reasonable gas cost for transferFrom after permit", async function () {
       // First execute permit
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
-
-      await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+      await submit(await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT }));
 
       // Then measure transferFrom gas
       const tx = await token.connect(spender).transferFrom(owner.address, recipient.address, PERMIT_AMOUNT);
@@ -437,60 +240,37 @@ describe("EIP-2612 Comprehensive Testing", function () {
 
   describe("Edge Cases", function () {
     it("Should work with deadline exactly at current time", async function () {
-      const deadline = Math.floor(Date.now() / 1000); // Current time
-      const nonce = await token.nonces(owner.address);
-
-      const value = {
-        owner: owner.address,
-        spender: spender.address,
-        value: PERMIT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const deadline = (await time.latest()) + 10;
+      const signed = await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT, deadline });
 
-      // Should work if timestamp hasn't advanced
-      await expect(
-        token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s)
-      ).to.not.be.reverted;
+      // Mine the permit in the block whose timestamp is the deadline
+      await time.setNextBlockTimestamp(deadline);
+      await expect(submit(signed)).to.not.be.reverted;
     });
 
     it("Should handle multiple permits sequentially", async function () {
       for (let i = 0; i < 5; i++) {
-        const deadline = Math.floor(Date.now() / 1000) + 3600;
-        const nonce = await token.nonces(owner.address);
-
-        const value = {
-          owner: owner.address,
-          spender: spender.address,
-          value: PERMIT_AMOUNT,
-          nonce: nonce,
-          deadline: deadline
-        };
-
-        const signature = await owner.signTypedData(domain, types, value);
-        const { v, r, s } = ethers.Signature.from(signature);
-
-        await token.permit(owner.address, spender.address, PERMIT_AMOUNT, deadline, v, r, s);
+        await submit(await signPermit(token, owner, { spender: spender.address, value: PERMIT_AMOUNT }));
 
         // Transfer to test the permit
         await token.connect(spender).transferFrom(owner.address, recipient.address, PERMIT_AMOUNT);
       }
 
       // Check that all transfers worked
-      expect(await token.balanceOf(recipient.address)).to.equal(PERMIT_AMOUNT.mul(5));
+      expect(await token.balanceOf(recipient.address)).to.equal(PERMIT_AMOUNT * 5n);
     });
 
     it("Should work with different chain IDs", async function () {
       // This test verifies that the domain separator includes the correct chain ID
-      const currentChainId = await ethers.provider.getNetwork().then(n => n.chainId);
-      const domainSeparator = await token.DOMAIN_SEPARATOR();
+      const currentChainId = (await ethers.provider.getNetwork()).chainId;
+      const domain = await tokenDomain(token);
+      expect(domain.chainId).to.equal(currentChainId);
 
       // The domain separator should be different on different chains
       // (We can't test different chains in this environment, but we can verify the current one)
-      expect(domainSeparator).to.not.equal(ethers.ZeroHash);
+      expect(await token.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(ethers.TypedDataEncoder.hashDomain({ ...domain, chainId: currentChainId + 1n }))
+        .to.not.equal(await token.DOMAIN_SEPARATOR());
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Enumerable Minters and Blacklist", function () {
+  let token;
+  let owner, minter1, minter2, minter3, user1, user2;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const LARGE_SET = 200;
+
+  // Distinct, deterministic addresses for large sets
+  const addressAt = (i) => ethers.getAddress("0x" + (i + 1).toString(16).padStart(40, "0"));
+
+  beforeEach(async function () {
+    [owner, minter1, minter2, minter3, user1, user2] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+  });
+
+  describe("Minters", function () {
+    it("Should start with the deployer as the only minter", async function () {
+      expect(await token.minterCount()).to.equal(1);
+      expect(await token.minterAt(0)).to.equal(owner.address);
+      expect(await token.getMinters(0, 10)).to.deep.equal([owner.address]);
+    });
+
+    it("Should list minters in insertion order and move the last one into a removed slot", async function () {
+      await token.addMinter(minter1.address);
+      await token.addMinter(minter2.address);
+      await token.addMinter(minter3.address);
+      expect(await token.getMinters(0, 10)).to.deep.equal([
+        owner.address, minter1.address, minter2.address, minter3.address
+      ]);
+
+      await token.removeMinter(minter1.address);
+      expect(await token.minterCount()).to.equal(3);
+      expect(await token.getMinters(0, 10)).to.deep.equal([owner.address, minter3.address, minter2.address]);
+      expect(await token.isMinter(minter1.address)).to.be.false;
+
+      await token.addMinter(minter1.address);
+      expect(await token.minterAt(3)).to.equal(minter1.address);
+    });
+
+    it("Should paginate and return an empty page past the end", async function () {
+      await token.addMinter(minter1.address);
+      await token.addMinter(minter2.address);
+
+      expect(await token.getMinters(0, 2)).to.deep.equal([owner.address, minter1.address]);
+      expect(await token.getMinters(2, 2)).to.deep.equal([minter2.address]);
+      expect(await token.getMinters(3, 2)).to.deep.equal([]);
+      expect(await token.getMinters(1, 0)).to.deep.equal([]);
+      expect(await token.getMinters(1, ethers.MaxUint256)).to.deep.equal([minter1.address, minter2.address]);
+    });
+
+    it("Should revert on an index out of bounds", async function () {
+      await expect(token.minterAt(1)).to.be.revertedWith("GenericToken: Index out of bounds");
+    });
+  });
+
+  describe("Blacklist", function () {
+    it("Should enumerate blacklisted addresses", async function () {
+      expect(await token.blacklistedCount()).to.equal(0);
+
+      await token.blacklist(user1.address);
+      await token.blacklist(user2.address);
+      expect(await token.blacklistedCount()).to.equal(2);
+      expect(await token.blacklistedAt(1)).to.equal(user2.address);
+      expect(await token.getBlacklisted(0, 10)).to.deep.equal([user1.address, user2.address]);
+
+      await token.unblacklist(user1.address);
+      expect(await token.getBlacklisted(0, 10)).to.deep.equal([user2.address]);
+      await expect(token.blacklistedAt(1)).to.be.revertedWith("GenericToken: Index out of bounds");
+    });
+
+    it("Should not list an address twice when blacklisted again", async function () {
+      await token.blacklist(user1.address);
+      await expect(token.blacklist(user1.address))
+        .to.be.revertedWith("GenericToken: Address is already blacklisted");
+
+      expect(await token.blacklistedCount()).to.equal(1);
+    });
+
+    it("Should reject unblacklisting an address that is not blacklisted", async function () {
+      await expect(token.unblacklist(user1.address))
+        .to.be.revertedWith("GenericToken: Address is not blacklisted");
+
+      expect(await token.blacklistedCount()).to.equal(0);
+    });
+  });
+
+  describe("Large sets", function () {
+    beforeEach(async function () {
+      for (let i = 0; i < LARGE_SET; i++) {
+        await token.addMinter(addressAt(i));
+        await token.blacklist(addressAt(LARGE_SET + i));
+      }
+    });
+
+    it("Should page through every entry", async function () {
+      expect(await token.minterCount()).to.equal(LARGE_SET + 1);
+      expect(await token.blacklistedCount()).to.equal(LARGE_SET);
+
+      const minters = [];
+      for (let offset = 0; offset < LARGE_SET + 1; offset += 50) {
+        minters.push(...await token.getMinters(offset, 50));
+      }
+      expect(minters).to.have.lengthOf(LARGE_SET + 1);
+      expect(new Set(minters).size).to.equal(LARGE_SET + 1);
+      expect(await token.getBlacklisted(LARGE_SET - 1, 50)).to.deep.equal([addressAt(2 * LARGE_SET - 1)]);
+    });
+
+    it("Should keep add and remove costs independent of the set size", async function () {
+      const GenericToken = await ethers.getContractFactory("GenericToken");
+      const small = await GenericToken.deploy("Small", "SML", TOKEN_DECIMALS, 0, MAX_SUPPLY, DAILY_MINT_LIMIT);
+
+      const gas = async (tx) => (await (await tx).wait()).gasUsed;
+      const addLarge = await gas(token.addMinter(minter1.address));
+      const addSmall = await gas(small.addMinter(minter1.address));
+      const removeLarge = await gas(token.removeMinter(addressAt(0)));
+      const removeSmall = await gas(small.removeMinter(minter1.address));
+
+      expect(addLarge).to.equal(addSmall);
+      // Removing a middle entry also moves the last one; both are constant time
+      expect(removeLarge - removeSmall).to.be.lessThan(10000n);
+    });
+
+    it("Should keep page reads within a practical gas budget", async function () {
+      const page = await token.getMinters.estimateGas(0, 100);
+      const all = await token.getMinters.estimateGas(0, LARGE_SET + 1);
+
+      expect(page).to.be.lessThan(400000n);
+      expect(all).to.be.lessThan(800000n);
+    });
+  });
+});
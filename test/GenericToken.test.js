@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/lib/signing");
 
 describe("GenericToken", function () {
   let token;
@@ -105,89 +106,37 @@ describe("GenericToken", function () {
 
   describe("EIP-2612 Permit Functionality", function () {
     it("Should support permit", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const domain = {
-        name: await token.name(),
-        version: "1",
-        chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-        verifyingContract: token.address
-      };
-
-      const types = {
-        Permit: [
-          { name: "owner", type: "address" },
-          { name: "spender", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "deadline", type: "uint256" }
-        ]
-      };
-
-      const value = {
-        owner: owner.address,
-        spender: user1.address,
-        value: MINT_AMOUNT,
-        nonce: nonce,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const { message, v, r, s } = await signPermit(token, owner, { spender: user1.address, value: MINT_AMOUNT });
 
       await expect(
-        token.permit(owner.address, user1.address, MINT_AMOUNT, deadline, v, r, s)
+        token.permit(owner.address, user1.address, MINT_AMOUNT, message.deadline, v, r, s)
       ).to.not.be.reverted;
 
       expect(await token.allowance(owner.address, user1.address)).to.equal(MINT_AMOUNT);
     });
 
     it("Should fail permit with invalid signature", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const invalidSig = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef12345678";
-      const { v, r, s } = ethers.Signature.from(invalidSig);
+      const deadline = (await time.latest()) + 3600;
+      const r = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+      const s = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
 
       await expect(
-        token.permit(owner.address, user1.address, MINT_AMOUNT, deadline, v, r, s)
+        token.permit(owner.address, user1.address, MINT_AMOUNT, deadline, 27, r, s)
       ).to.be.reverted;
     });
 
     it("Should fail permit with expired deadline", async function () {
-      const expiredDeadline = Math.floor(Date.now() / 1000) - 3600;
-      const nonce = await token.nonces(owner.address);
-
-      const domain = {
-        name: await token.name(),
-        version: "1",
-        chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-        verifyingContract: token.address
-      };
-
-      const types = {
-        Permit: [
-          { name: "owner", type: "address" },
-          { name: "spender", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "deadline", type: "uint256" }
-        ]
-      };
-
-      const value = {
-        owner: owner.address,
+      const expiredDeadline = (await time.latest()) - 3600;
+
+      const { v, r, s } = await signPermit(token, owner, {
         spender: user1.address,
         value: MINT_AMOUNT,
-        nonce: nonce,
         deadline: expiredDeadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      });
 
       await expect(
         token.permit(owner.address, user1.address, MINT_AMOUNT, expiredDeadline, v, r, s)
-      ).to.be.revertedWith("ERC20Permit: expired deadline");
+      ).to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature");
     });
   });
 
@@ -219,6 +168,10 @@ describe("GenericToken", function () {
     it("Should respect max supply limit", async function () {
       const exceedingAmount = MAX_SUPPLY - INITIAL_SUPPLY + 1n;
 
+      // Lift the daily limits so only the max supply is in the way
+      await token.configureMinter(minter.address, ethers.MaxUint256, MAX_SUPPLY);
+      await token.setMintRateLimit(MAX_SUPPLY, 24 * 60 * 60);
+
       await expect(
         token.connect(minter).mint(user1.address, exceedingAmount)
       ).to.be.revertedWith("GenericToken: Max supply exceeded");
@@ -228,9 +181,9 @@ describe("GenericToken", function () {
       // Mint up to daily limit
       await token.connect(minter).mint(user1.address, DAILY_MINT_LIMIT);
 
-      // Try to mint more
+      // Try to mint more; only a few seconds' worth of capacity has returned
       await expect(
-        token.connect(minter).mint(user2.address, 1)
+        token.connect(minter).mint(user2.address, MINT_AMOUNT)
       ).to.be.revertedWith("GenericToken: Daily mint limit exceeded");
     });
 
@@ -282,9 +235,10 @@ describe("GenericToken", function () {
       expect(await token.paused()).to.be.false;
     });
 
-    it("Should fail if non-owner tries to pause", async function () {
+    it("Should fail if an account without PAUSER_ROLE tries to pause", async function () {
       await expect(token.connect(user1).pause())
-        .to.be.revertedWith("Ownable: caller is not the owner");
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await token.PAUSER_ROLE());
     });
 
     it("Should prevent transfers when paused", async function () {
@@ -292,11 +246,12 @@ describe("GenericToken", function () {
 
       await expect(
         token.transfer(user1.address, MINT_AMOUNT)
-      ).to.be.revertedWith("ERC20Pausable: token transfer while paused");
+      ).to.be.revertedWithCustomError(token, "EnforcedPause");
 
+      // Approvals keep working while only transfers are paused
       await expect(
         token.approve(user1.address, MINT_AMOUNT)
-      ).to.be.revertedWith("ERC20Pausable: token transfer while paused");
+      ).to.not.be.reverted;
     });
   });
 
@@ -338,9 +293,32 @@ describe("GenericToken", function () {
       expect(await token.isBlacklisted(user1.address)).to.be.true;
     });
 
-    it("Should prevent blacklisted addresses from transferring", async function () {
+    it("Should emit the affected account when blacklisting and unblacklisting", async function () {
+      await expect(token.blacklist(user1.address))
+        .to.emit(token, "Blacklisted").withArgs(user1.address)
+        .and.to.emit(token, "EmergencyAction").withArgs(owner.address, "BLACKLIST");
+
+      await expect(token.unblacklist(user1.address))
+        .to.emit(token, "Unblacklisted").withArgs(user1.address)
+        .and.to.emit(token, "EmergencyAction").withArgs(owner.address, "UNBLACKLIST");
+    });
+
+    it("Should reject blacklist changes that change nothing, without events", async function () {
+      await expect(token.unblacklist(user1.address))
+        .to.be.revertedWith("GenericToken: Address is not blacklisted");
+
       await token.blacklist(user1.address);
+      await expect(token.blacklist(user1.address))
+        .to.be.revertedWith("GenericToken: Address is already blacklisted");
+
+      await token.unblacklist(user1.address);
+      await expect(token.unblacklist(user1.address))
+        .to.be.revertedWith("GenericToken: Address is not blacklisted");
+    });
+
+    it("Should prevent blacklisted addresses from transferring", async function () {
       await token.transfer(user1.address, MINT_AMOUNT);
+      await token.blacklist(user1.address);
 
       await expect(
         token.connect(user1).transfer(user2.address, MINT_AMOUNT / 2n)
@@ -378,6 +356,16 @@ describe("GenericToken", function () {
       expect(await token.emergencyMode()).to.be.false;
     });
 
+    it("Should emit events when emergency mode changes", async function () {
+      await expect(token.activateEmergencyMode())
+        .to.emit(token, "EmergencyModeActivated").withArgs(owner.address)
+        .and.to.emit(token, "EmergencyAction").withArgs(owner.address, "EMERGENCY_MODE_ACTIVATED");
+
+      await expect(token.deactivateEmergencyMode())
+        .to.emit(token, "EmergencyModeDeactivated").withArgs(owner.address)
+        .and.to.emit(token, "EmergencyAction").withArgs(owner.address, "EMERGENCY_MODE_DEACTIVATED");
+    });
+
     it("Should prevent normal operations in emergency mode", async function () {
       await token.activateEmergencyMode();
 
@@ -394,7 +382,7 @@ describe("GenericToken", function () {
           owner.address,
           user1.address,
           MINT_AMOUNT,
-          Math.floor(Date.now() / 1000) + 3600,
+          (await time.latest()) + 3600,
           27,
           "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
           "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef"
@@ -408,7 +396,8 @@ describe("GenericToken", function () {
 
       const transferAmount = MINT_AMOUNT / 2n;
       await expect(token.emergencyTransfer(user1.address, user2.address, transferAmount))
-        .to.not.be.reverted;
+        .to.emit(token, "EmergencyTransfer").withArgs(user1.address, user2.address, transferAmount)
+        .and.to.emit(token, "EmergencyAction").withArgs(owner.address, "EMERGENCY_TRANSFER");
 
       expect(await token.balanceOf(user1.address)).to.equal(transferAmount);
       expect(await token.balanceOf(user2.address)).to.equal(transferAmount);
@@ -434,36 +423,10 @@ describe("GenericToken", function () {
       expect(await token.nonces(owner.address)).to.equal(0);
 
       // After a permit transaction, nonce should increase
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const domain = {
-        name: await token.name(),
-        version: "1",
-        chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-        verifyingContract: token.address
-      };
-
-      const types = {
-        Permit: [
-          { name: "owner", type: "address" },
-          { name: "spender", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "deadline", type: "uint256" }
-        ]
-      };
-
-      const value = {
-        owner: owner.address,
-        spender: user1.address,
-        value: 1,
-        nonce: 0,
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const { message, v, r, s } = await signPermit(token, owner, { spender: user1.address, value: 1 });
+      expect(message.nonce).to.equal(0);
 
-      await token.permit(owner.address, user1.address, 1, deadline, v, r, s);
+      await token.permit(owner.address, user1.address, 1, message.deadline, v, r, s);
 
       expect(await token.nonces(owner.address)).to.equal(1);
     });
@@ -475,11 +438,13 @@ describe("GenericToken", function () {
       expect(await token.dailyMinted()).to.equal(MINT_AMOUNT);
     });
 
-    it("Should return correct remaining daily limit", async function () {
+    it("Should return correct remaining minter capacity", async function () {
       await token.addMinter(minter.address);
       await token.connect(minter).mint(user1.address, MINT_AMOUNT);
 
-      expect(await token.remainingDailyLimit()).to.equal(DAILY_MINT_LIMIT - MINT_AMOUNT);
+      expect(await token.remainingMinterCapacity(minter.address)).to.equal(DAILY_MINT_LIMIT - MINT_AMOUNT);
+      // The owner's own cap is untouched, but the rate limit is shared
+      expect(await token.remainingMinterCapacity(owner.address)).to.equal(DAILY_MINT_LIMIT - MINT_AMOUNT);
     });
   });
 
@@ -496,36 +461,9 @@ describe("GenericToken", function () {
       console.log("Approve gas used:", approveReceipt.gasUsed.toString());
 
       // Permit
-      const deadline = Math.floor(Date.now() / 1000) + 3600;
-      const domain = {
-        name: await token.name(),
-        version: "1",
-        chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-        verifyingContract: token.address
-      };
-
-      const types = {
-        Permit: [
-          { name: "owner", type: "address" },
-          { name: "spender", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "deadline", type: "uint256" }
-        ]
-      };
-
-      const value = {
-        owner: owner.address,
-        spender: user1.address,
-        value: MINT_AMOUNT,
-        nonce: await token.nonces(owner.address),
-        deadline: deadline
-      };
-
-      const signature = await owner.signTypedData(domain, types, value);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const { message, v, r, s } = await signPermit(token, owner, { spender: user1.address, value: MINT_AMOUNT });
 
-      const permitTx = await token.permit(owner.address, user1.address, MINT_AMOUNT, deadline, v, r, s);
+      const permitTx = await token.permit(owner.address, user1.address, MINT_AMOUNT, message.deadline, v, r, s);
       const permitReceipt = await permitTx.wait();
       console.log("Permit gas used:", permitReceipt.gasUsed.toString());
 
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Rolling Mint Rate Limit", function () {
+  let token;
+  let owner, minter1, minter2, user1;
+
+  const TOKEN_DECIMALS = 18;
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("864000", TOKEN_DECIMALS); // 10 tokens per second
+  const PER_SECOND = DAILY_MINT_LIMIT / 86400n;
+  const DAY = 24 * 60 * 60;
+  const HOUR = 60 * 60;
+
+  beforeEach(async function () {
+    [owner, minter1, minter2, user1] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("GenericTestToken", "TEST", TOKEN_DECIMALS, 0, MAX_SUPPLY, DAILY_MINT_LIMIT);
+
+    // Minters whose own caps are above the shared limit
+    await token.configureMinter(minter1.address, ethers.MaxUint256, DAILY_MINT_LIMIT * 2n);
+    await token.configureMinter(minter2.address, ethers.MaxUint256, DAILY_MINT_LIMIT * 2n);
+  });
+
+  const mintAt = async (timestamp, signer, amount) => {
+    await time.setNextBlockTimestamp(timestamp);
+    return token.connect(signer).mint(user1.address, amount);
+  };
+
+  it("Should start with the constructor limit over a 24 hour window", async function () {
+    expect(await token.mintRateLimit()).to.equal(DAILY_MINT_LIMIT);
+    expect(await token.mintRateWindow()).to.equal(DAY);
+    expect(await token.DAILY_MINT_LIMIT()).to.equal(DAILY_MINT_LIMIT);
+    expect(await token.dailyMinted()).to.equal(0);
+    expect(await token.remainingDailyLimit()).to.equal(DAILY_MINT_LIMIT);
+  });
+
+  describe("Midnight boundary", function () {
+    let midnight;
+
+    beforeEach(async function () {
+      midnight = (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+    });
+
+    it("Should not let the full limit through again right after UTC midnight", async function () {
+      await mintAt(midnight - 60, minter1, DAILY_MINT_LIMIT);
+
+      await expect(mintAt(midnight + 60, minter2, DAILY_MINT_LIMIT))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+
+      // Nothing comes back at midnight
+      expect(await token.remainingDailyLimit()).to.equal(0);
+      expect(await token.dailyMinted()).to.equal(DAILY_MINT_LIMIT);
+    });
+
+    it("Should apply the same rolling window to a minter's own cap", async function () {
+      await mintAt(midnight - 60, owner, DAILY_MINT_LIMIT);
+
+      await expect(mintAt(midnight + 60, owner, DAILY_MINT_LIMIT / 2n))
+        .to.be.revertedWith("GenericToken: Daily mint limit exceeded");
+    });
+  });
+
+  describe("Recovery", function () {
+    let start;
+
+    beforeEach(async function () {
+      // Start of an hourly bucket of the 24 hour window
+      start = (Math.floor((await time.latest()) / HOUR) + 1) * HOUR;
+      await mintAt(start, minter1, DAILY_MINT_LIMIT);
+    });
+
+    it("Should not return capacity before the window has passed", async function () {
+      await time.increaseTo(start + 12 * HOUR);
+      expect(await token.remainingDailyLimit()).to.equal(0);
+      await expect(mintAt(start + 12 * HOUR + 1, minter2, DAILY_MINT_LIMIT / 2n))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+
+      await expect(mintAt(start + DAY - 1, minter2, 1n))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+    });
+
+    it("Should not let twice the limit through within one window", async function () {
+      await mintAt(start + DAY + HOUR, minter1, DAILY_MINT_LIMIT / 2n);
+      await mintAt(start + DAY + 13 * HOUR, minter2, DAILY_MINT_LIMIT / 2n);
+
+      // The first half stops counting a window after its bucket, the second
+      // half still counts until then
+      await expect(mintAt(start + 2 * DAY + 2 * HOUR - 1, minter1, 1n))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+      await mintAt(start + 2 * DAY + 2 * HOUR, minter1, DAILY_MINT_LIMIT / 2n);
+      await expect(mintAt(start + 2 * DAY + 2 * HOUR + 1, minter2, 1n))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+      expect(await token.dailyMinted()).to.equal(DAILY_MINT_LIMIT);
+    });
+
+    it("Should return the full limit one window after the bucket it was used in", async function () {
+      await time.increaseTo(start + DAY + HOUR);
+
+      expect(await token.dailyMinted()).to.equal(0);
+      await mintAt(start + DAY + HOUR + 1, minter2, DAILY_MINT_LIMIT);
+    });
+
+    it("Should report the shared limit in each minter's capacity", async function () {
+      expect(await token.remainingMinterCapacity(minter2.address)).to.equal(0);
+      expect(await token.minterDailyMinted(minter2.address)).to.equal(0);
+      expect(await token.minterDailyMinted(minter1.address)).to.equal(DAILY_MINT_LIMIT);
+    });
+  });
+
+  describe("setMintRateLimit", function () {
+    it("Should let the default admin change the limit and window with an event", async function () {
+      await expect(token.setMintRateLimit(DAILY_MINT_LIMIT / 2n, HOUR))
+        .to.emit(token, "MintRateLimitChanged")
+        .withArgs(DAILY_MINT_LIMIT, DAILY_MINT_LIMIT / 2n, DAY, HOUR);
+
+      expect(await token.mintRateLimit()).to.equal(DAILY_MINT_LIMIT / 2n);
+      expect(await token.mintRateWindow()).to.equal(HOUR);
+    });
+
+    it("Should reject callers without DEFAULT_ADMIN_ROLE", async function () {
+      await token.grantRole(await token.MINTER_ADMIN_ROLE(), minter1.address);
+
+      await expect(token.connect(minter1).setMintRateLimit(1, DAY))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(minter1.address, await token.DEFAULT_ADMIN_ROLE());
+    });
+
+    it("Should reject a zero limit or window", async function () {
+      await expect(token.setMintRateLimit(0, DAY))
+        .to.be.revertedWith("GenericToken: Mint rate limit must be greater than 0");
+      await expect(token.setMintRateLimit(1, 0))
+        .to.be.revertedWith("GenericToken: Mint rate window must be greater than 0");
+    });
+
+    it("Should accept a window of up to 365 days", async function () {
+      await token.setMintRateLimit(DAILY_MINT_LIMIT, 365 * DAY);
+      expect(await token.mintRateWindow()).to.equal(365 * DAY);
+      await token.connect(minter1).mint(user1.address, DAILY_MINT_LIMIT);
+      expect(await token.dailyMinted()).to.equal(DAILY_MINT_LIMIT);
+
+      await expect(token.setMintRateLimit(DAILY_MINT_LIMIT, 365 * DAY + 1))
+        .to.be.revertedWith("GenericToken: Mint rate window cannot exceed 365 days");
+    });
+
+    it("Should keep minter caps on a rolling day when the window changes", async function () {
+      await token.configureMinter(minter1.address, ethers.MaxUint256, DAILY_MINT_LIMIT);
+      await token.setMintRateLimit(DAILY_MINT_LIMIT, HOUR);
+      const start = (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+      await mintAt(start, minter1, DAILY_MINT_LIMIT);
+
+      // The shared limit is back after an hour, minter1's daily cap is not
+      await time.increaseTo(start + HOUR + 150);
+      expect(await token.remainingDailyLimit()).to.equal(DAILY_MINT_LIMIT);
+      expect(await token.minterDailyMinted(minter1.address)).to.equal(DAILY_MINT_LIMIT);
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(0);
+      await expect(mintAt(start + HOUR + 151, minter1, 1n))
+        .to.be.revertedWith("GenericToken: Daily mint limit exceeded");
+      await mintAt(start + HOUR + 152, minter2, DAILY_MINT_LIMIT);
+
+      await time.increaseTo(start + DAY + HOUR);
+      expect(await token.minterDailyMinted(minter1.address)).to.equal(0);
+      await mintAt(start + DAY + HOUR + 1, minter1, DAILY_MINT_LIMIT);
+    });
+
+    it("Should keep earlier mints counting against a lowered limit", async function () {
+      await token.connect(minter1).mint(user1.address, DAILY_MINT_LIMIT / 2n);
+      await token.setMintRateLimit(DAILY_MINT_LIMIT / 4n, DAY);
+
+      expect(await token.remainingDailyLimit()).to.equal(0);
+      await expect(token.connect(minter1).mint(user1.address, PER_SECOND * 60n))
+        .to.be.revertedWith("GenericToken: Mint rate limit exceeded");
+    });
+
+    it("Should use a shorter window once configured", async function () {
+      await token.setMintRateLimit(DAILY_MINT_LIMIT, HOUR);
+      const start = (Math.floor((await time.latest()) / HOUR) + 1) * HOUR;
+      await mintAt(start, minter1, DAILY_MINT_LIMIT);
+
+      await time.increaseTo(start + HOUR / 2);
+      expect(await token.remainingDailyLimit()).to.equal(0);
+      // An hour is split into 150 second buckets
+      await mintAt(start + HOUR + 150, minter2, DAILY_MINT_LIMIT);
+    });
+  });
+});
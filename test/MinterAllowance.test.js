@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Per-Minter Allowances", function () {
+  let token;
+  let owner, minter1, minter2, user1;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("1000", TOKEN_DECIMALS);
+  const DAY = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, minter1, minter2, user1] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+  });
+
+  describe("Defaults", function () {
+    it("Should give unconfigured minters an unlimited allowance and the DAILY_MINT_LIMIT cap", async function () {
+      await token.addMinter(minter1.address);
+
+      expect(await token.minterAllowance(minter1.address)).to.equal(ethers.MaxUint256);
+      expect(await token.minterDailyCap(minter1.address)).to.equal(DAILY_MINT_LIMIT);
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(DAILY_MINT_LIMIT);
+
+      await token.connect(minter1).mint(user1.address, AMOUNT);
+      expect(await token.minterAllowance(minter1.address)).to.equal(ethers.MaxUint256);
+      expect(await token.minterDailyMinted(minter1.address)).to.equal(AMOUNT);
+    });
+
+    it("Should report no capacity for non-minters", async function () {
+      expect(await token.remainingMinterCapacity(user1.address)).to.equal(0);
+    });
+  });
+
+  describe("configureMinter", function () {
+    it("Should add and configure a minter in one call", async function () {
+      await expect(token.configureMinter(minter1.address, AMOUNT * 5n, AMOUNT * 2n))
+        .to.emit(token, "MinterAdded").withArgs(minter1.address)
+        .and.to.emit(token, "MinterConfigured").withArgs(minter1.address, AMOUNT * 5n, AMOUNT * 2n);
+
+      expect(await token.isMinter(minter1.address)).to.be.true;
+      expect(await token.minterAllowance(minter1.address)).to.equal(AMOUNT * 5n);
+      expect(await token.minterDailyCap(minter1.address)).to.equal(AMOUNT * 2n);
+    });
+
+    it("Should reconfigure an existing minter without re-adding it", async function () {
+      await token.addMinter(minter1.address);
+
+      await expect(token.configureMinter(minter1.address, AMOUNT, AMOUNT))
+        .to.emit(token, "MinterConfigured")
+        .and.not.to.emit(token, "MinterAdded");
+    });
+
+    it("Should require MINTER_ADMIN_ROLE", async function () {
+      await expect(token.connect(minter1).configureMinter(minter1.address, AMOUNT, AMOUNT))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(minter1.address, await token.MINTER_ADMIN_ROLE());
+    });
+
+    it("Should reject the zero address", async function () {
+      await expect(token.configureMinter(ethers.ZeroAddress, AMOUNT, AMOUNT))
+        .to.be.revertedWith("GenericToken: Cannot add zero address as minter");
+    });
+
+    it("Should forget the configuration when the minter is removed", async function () {
+      await token.configureMinter(minter1.address, AMOUNT, AMOUNT);
+      await token.removeMinter(minter1.address);
+
+      expect(await token.minterAllowance(minter1.address)).to.equal(ethers.MaxUint256);
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(0);
+    });
+  });
+
+  describe("Minting", function () {
+    beforeEach(async function () {
+      await token.configureMinter(minter1.address, AMOUNT * 3n, AMOUNT * 2n);
+      await token.addMinter(minter2.address);
+    });
+
+    it("Should decrement the allowance on mint", async function () {
+      await token.connect(minter1).mint(user1.address, AMOUNT);
+
+      expect(await token.minterAllowance(minter1.address)).to.equal(AMOUNT * 2n);
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(AMOUNT);
+    });
+
+    it("Should enforce each minter's daily cap separately", async function () {
+      await token.connect(minter1).mint(user1.address, AMOUNT * 2n);
+      await expect(token.connect(minter1).mint(user1.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Daily mint limit exceeded");
+
+      // An exhausted minter does not use up anyone else's cap
+      await token.connect(minter2).mint(user1.address, AMOUNT);
+      expect(await token.minterDailyMinted(minter2.address)).to.equal(AMOUNT);
+    });
+
+    it("Should enforce the allowance across days", async function () {
+      await token.connect(minter1).mint(user1.address, AMOUNT * 2n);
+      // A window after the hourly bucket of the mint
+      await time.increase(DAY + 60 * 60);
+
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(AMOUNT);
+      await token.connect(minter1).mint(user1.address, AMOUNT);
+      await expect(token.connect(minter1).mint(user1.address, 1))
+        .to.be.revertedWith("GenericToken: Minter allowance exceeded");
+      expect(await token.remainingMinterCapacity(minter1.address)).to.equal(0);
+    });
+
+    it("Should stop a minter with a zero daily cap without removing it", async function () {
+      await token.configureMinter(minter1.address, AMOUNT, 0);
+
+      expect(await token.isMinter(minter1.address)).to.be.true;
+      await expect(token.connect(minter1).mint(user1.address, 1))
+        .to.be.revertedWith("GenericToken: Daily mint limit exceeded");
+    });
+
+    it("Should keep today's usage when a minter is removed and added again", async function () {
+      await token.connect(minter1).mint(user1.address, AMOUNT * 2n);
+      await token.removeMinter(minter1.address);
+      await token.configureMinter(minter1.address, AMOUNT * 3n, AMOUNT * 2n);
+
+      await expect(token.connect(minter1).mint(user1.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Daily mint limit exceeded");
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization
+} = require("../scripts/lib/signing");
+
+describe("Operation Pause Flags", function () {
+  let token;
+  let owner, pauser, holder, caller, recipient, flagged;
+  let roles;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, pauser, holder, caller, recipient, flagged] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    roles = {
+      DEFAULT_ADMIN: await token.DEFAULT_ADMIN_ROLE(),
+      PAUSER: await token.PAUSER_ROLE()
+    };
+
+    await token.grantRole(roles.PAUSER, pauser.address);
+    await token.transfer(holder.address, AMOUNT * 10n);
+    await token.connect(holder).approve(caller.address, AMOUNT * 10n);
+    await token.addMinter(caller.address);
+  });
+
+  const signAuthorization = async (primaryType) => {
+    const sign = primaryType === "ReceiveWithAuthorization" ? signReceiveWithAuthorization : signTransferWithAuthorization;
+    const { message, v, r, s } = await sign(token, holder, { to: recipient.address, value: AMOUNT });
+    return [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s];
+  };
+
+  // GenericToken.Operation and the functions each flag stops
+  const OPERATIONS = {
+    Mint: {
+      id: 0,
+      paths: {
+        mint: () => token.connect(caller).mint(recipient.address, AMOUNT)
+      }
+    },
+    Burn: {
+      id: 1,
+      paths: {
+        burn: () => token.connect(holder).burn(AMOUNT),
+        burnFrom: () => token.connect(caller).burnFrom(holder.address, AMOUNT)
+      }
+    },
+    Transfer: {
+      id: 2,
+      paths: {
+        transfer: () => token.connect(holder).transfer(recipient.address, AMOUNT),
+        transferFrom: () => token.connect(caller).transferFrom(holder.address, recipient.address, AMOUNT)
+      }
+    },
+    Permit: {
+      id: 3,
+      paths: {
+        permit: async () => {
+          const { message, v, r, s } = await signPermit(token, holder, { spender: recipient.address, value: AMOUNT });
+          return token.connect(caller).permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+        }
+      }
+    },
+    Authorization: {
+      id: 4,
+      paths: {
+        transferWithAuthorization: async () =>
+          token.connect(caller).transferWithAuthorization(...await signAuthorization("TransferWithAuthorization")),
+        receiveWithAuthorization: async () =>
+          token.connect(recipient).receiveWithAuthorization(...await signAuthorization("ReceiveWithAuthorization"))
+      }
+    }
+  };
+
+  it("Should start with no operation paused", async function () {
+    for (const { id } of Object.values(OPERATIONS)) {
+      expect(await token.isOperationPaused(id)).to.be.false;
+    }
+  });
+
+  for (const [name, { id, paths }] of Object.entries(OPERATIONS)) {
+    describe(`${name} flag`, function () {
+      it("Should be paused by a pauser with an event", async function () {
+        await expect(token.connect(pauser).pauseOperation(id))
+          .to.emit(token, "OperationPaused").withArgs(pauser.address, id);
+
+        expect(await token.isOperationPaused(id)).to.be.true;
+        expect(await token.paused()).to.be.false;
+        expect(await token.circuitBreakerLevel()).to.equal(0);
+      });
+
+      it(`Should stop ${Object.keys(paths).join(" and ")} only`, async function () {
+        await token.connect(pauser).pauseOperation(id);
+
+        for (const [pathName, run] of Object.entries(paths)) {
+          await expect(run(), pathName).to.be.revertedWith("GenericToken: Operation is paused");
+        }
+        for (const [other, operation] of Object.entries(OPERATIONS)) {
+          if (other === name) {
+            continue;
+          }
+          for (const [pathName, run] of Object.entries(operation.paths)) {
+            await expect(run(), pathName).to.not.be.reverted;
+          }
+        }
+      });
+
+      it("Should be unpaused by the owner with an event", async function () {
+        await token.connect(pauser).pauseOperation(id);
+
+        await expect(token.unpauseOperation(id))
+          .to.emit(token, "OperationUnpaused").withArgs(owner.address, id);
+        expect(await token.isOperationPaused(id)).to.be.false;
+        for (const run of Object.values(paths)) {
+          await expect(run()).to.not.be.reverted;
+        }
+      });
+    });
+  }
+
+  describe("Access and state checks", function () {
+    it("Should require PAUSER_ROLE to pause and DEFAULT_ADMIN_ROLE to unpause", async function () {
+      await expect(token.connect(caller).pauseOperation(OPERATIONS.Mint.id))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(caller.address, roles.PAUSER);
+
+      await token.connect(pauser).pauseOperation(OPERATIONS.Mint.id);
+      await expect(token.connect(pauser).unpauseOperation(OPERATIONS.Mint.id))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(pauser.address, roles.DEFAULT_ADMIN);
+    });
+
+    it("Should reject pausing twice and unpausing an operation that is not paused", async function () {
+      await token.connect(pauser).pauseOperation(OPERATIONS.Transfer.id);
+      await expect(token.connect(pauser).pauseOperation(OPERATIONS.Transfer.id))
+        .to.be.revertedWith("GenericToken: Operation is already paused");
+
+      await expect(token.unpauseOperation(OPERATIONS.Burn.id))
+        .to.be.revertedWith("GenericToken: Operation is not paused");
+    });
+
+    it("Should reject an unknown operation", async function () {
+      await expect(token.connect(pauser).pauseOperation(5)).to.be.reverted;
+    });
+
+    it("Should report the circuit breaker before the operation flag", async function () {
+      await token.connect(pauser).pauseOperation(OPERATIONS.Transfer.id);
+      await token.connect(pauser).freeze();
+
+      await expect(OPERATIONS.Transfer.paths.transfer())
+        .to.be.revertedWith("GenericToken: Token is frozen");
+    });
+
+    it("Should not stop the privileged recovery functions", async function () {
+      await token.transfer(flagged.address, AMOUNT * 2n);
+      await token.blacklist(flagged.address);
+      await token.setRecoveryAddress(recipient.address);
+      for (const { id } of Object.values(OPERATIONS)) {
+        await token.connect(pauser).pauseOperation(id);
+      }
+
+      await expect(token.seizeBlacklistedFunds(flagged.address))
+        .to.emit(token, "BlacklistedFundsSeized").withArgs(flagged.address, recipient.address, AMOUNT * 2n);
+      await token.activateEmergencyMode();
+      await expect(token.emergencyTransfer(holder.address, recipient.address, AMOUNT))
+        .to.emit(token, "EmergencyTransfer");
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signTransferWithAuthorization } = require("../scripts/lib/signing");
+
+describe("Pause Exemptions", function () {
+  let token;
+  let owner, pauser, redemption, treasury, holder, user1;
+  let roles;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, pauser, redemption, treasury, holder, user1] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    roles = {
+      DEFAULT_ADMIN: await token.DEFAULT_ADMIN_ROLE(),
+      PAUSER: await token.PAUSER_ROLE()
+    };
+
+    await token.grantRole(roles.PAUSER, pauser.address);
+    await token.transfer(redemption.address, AMOUNT * 10n);
+    await token.transfer(holder.address, AMOUNT * 10n);
+  });
+
+  describe("Management", function () {
+    it("Should let the owner add and remove exemptions with events", async function () {
+      await expect(token.addPauseExemption(redemption.address))
+        .to.emit(token, "PauseExemptionAdded").withArgs(redemption.address);
+      expect(await token.isPauseExempt(redemption.address)).to.be.true;
+
+      await expect(token.removePauseExemption(redemption.address))
+        .to.emit(token, "PauseExemptionRemoved").withArgs(redemption.address);
+      expect(await token.isPauseExempt(redemption.address)).to.be.false;
+    });
+
+    it("Should require DEFAULT_ADMIN_ROLE", async function () {
+      await expect(token.connect(pauser).addPauseExemption(redemption.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(pauser.address, roles.DEFAULT_ADMIN);
+
+      await token.addPauseExemption(redemption.address);
+      await expect(token.connect(pauser).removePauseExemption(redemption.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(pauser.address, roles.DEFAULT_ADMIN);
+    });
+
+    it("Should reject the zero address, duplicates and unknown addresses", async function () {
+      await expect(token.addPauseExemption(ethers.ZeroAddress))
+        .to.be.revertedWith("GenericToken: Cannot exempt zero address");
+
+      await token.addPauseExemption(redemption.address);
+      await expect(token.addPauseExemption(redemption.address))
+        .to.be.revertedWith("GenericToken: Address is already pause exempt");
+      await expect(token.removePauseExemption(treasury.address))
+        .to.be.revertedWith("GenericToken: Address is not pause exempt");
+    });
+
+    it("Should enumerate exempt addresses", async function () {
+      await token.addPauseExemption(redemption.address);
+      await token.addPauseExemption(treasury.address);
+      await token.addPauseExemption(user1.address);
+      await token.removePauseExemption(treasury.address);
+
+      expect(await token.pauseExemptCount()).to.equal(2);
+      expect([...await token.getPauseExempt(0, 10)]).to.have.members([redemption.address, user1.address]);
+      expect(await token.getPauseExempt(1, 10)).to.have.lengthOf(1);
+      expect(await token.getPauseExempt(5, 10)).to.deep.equal([]);
+      expect([await token.pauseExemptAt(0), await token.pauseExemptAt(1)])
+        .to.have.members([redemption.address, user1.address]);
+      await expect(token.pauseExemptAt(2))
+        .to.be.revertedWith("GenericToken: Index out of bounds");
+    });
+  });
+
+  describe("While transfers are paused", function () {
+    beforeEach(async function () {
+      await token.addPauseExemption(redemption.address);
+      await token.connect(pauser).pause();
+    });
+
+    it("Should let an exempt address transfer while everyone else reverts with EnforcedPause", async function () {
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT))
+        .to.emit(token, "Transfer").withArgs(redemption.address, treasury.address, AMOUNT);
+      expect(await token.balanceOf(treasury.address)).to.equal(AMOUNT);
+
+      await expect(token.connect(holder).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+      await expect(token.connect(treasury).transfer(holder.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should let an exempt spender move approved tokens", async function () {
+      await token.connect(holder).approve(redemption.address, AMOUNT);
+
+      await expect(token.connect(redemption).transferFrom(holder.address, treasury.address, AMOUNT))
+        .to.emit(token, "Transfer").withArgs(holder.address, treasury.address, AMOUNT);
+    });
+
+    it("Should let others spend an exempt address's allowance", async function () {
+      await token.connect(redemption).approve(user1.address, AMOUNT);
+      await token.connect(holder).approve(user1.address, AMOUNT);
+
+      await expect(token.connect(user1).transferFrom(redemption.address, treasury.address, AMOUNT))
+        .to.not.be.reverted;
+      await expect(token.connect(user1).transferFrom(holder.address, treasury.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should not exempt transfers to an exempt address", async function () {
+      await token.addPauseExemption(treasury.address);
+
+      await expect(token.connect(holder).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should let an exempt address burn and relay its own authorizations", async function () {
+      await expect(token.connect(redemption).burn(AMOUNT)).to.not.be.reverted;
+
+      const { message, v, r, s } = await signTransferWithAuthorization(token, redemption, {
+        to: treasury.address,
+        value: AMOUNT
+      });
+      await expect(token.connect(user1).transferWithAuthorization(
+        message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s
+      )).to.not.be.reverted;
+    });
+
+    it("Should stop an address again once its exemption is removed", async function () {
+      await token.removePauseExemption(redemption.address);
+
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should still apply the blacklist and the operation pause flags", async function () {
+      await token.blacklist(treasury.address);
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Recipient is blacklisted");
+
+      await token.connect(pauser).pauseOperation(2);
+      await expect(token.connect(redemption).transfer(user1.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Operation is paused");
+    });
+  });
+
+  describe("Beyond TransfersPaused", function () {
+    beforeEach(async function () {
+      await token.addPauseExemption(redemption.address);
+    });
+
+    it("Should not exempt anyone while the token is frozen", async function () {
+      await token.connect(pauser).freeze();
+
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Token is frozen");
+    });
+
+    it("Should not exempt anyone in recovery", async function () {
+      await token.activateEmergencyMode();
+
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT))
+        .to.be.revertedWith("GenericToken: Contract in emergency mode");
+    });
+
+    it("Should keep exemptions across pauses", async function () {
+      await token.connect(pauser).pause();
+      await token.unpause();
+      await token.connect(pauser).pause();
+
+      await expect(token.connect(redemption).transfer(treasury.address, AMOUNT)).to.not.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Seizing Blacklisted Funds", function () {
+  let token;
+  let owner, emergency, recovery, holder, user1;
+  let roles;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, emergency, recovery, holder, user1] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+
+    roles = {
+      DEFAULT_ADMIN: await token.DEFAULT_ADMIN_ROLE(),
+      EMERGENCY: await token.EMERGENCY_ROLE()
+    };
+
+    await token.grantRole(roles.EMERGENCY, emergency.address);
+    await token.transfer(holder.address, AMOUNT);
+    await token.blacklist(holder.address);
+  });
+
+  describe("setRecoveryAddress", function () {
+    it("Should let the owner set the recovery address with an event", async function () {
+      expect(await token.recoveryAddress()).to.equal(ethers.ZeroAddress);
+
+      await expect(token.setRecoveryAddress(recovery.address))
+        .to.emit(token, "RecoveryAddressChanged").withArgs(ethers.ZeroAddress, recovery.address);
+      expect(await token.recoveryAddress()).to.equal(recovery.address);
+    });
+
+    it("Should require DEFAULT_ADMIN_ROLE", async function () {
+      await expect(token.connect(emergency).setRecoveryAddress(recovery.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(emergency.address, roles.DEFAULT_ADMIN);
+    });
+
+    it("Should reject the zero address and blacklisted addresses", async function () {
+      await expect(token.setRecoveryAddress(ethers.ZeroAddress))
+        .to.be.revertedWith("GenericToken: Recovery address cannot be zero address");
+      await expect(token.setRecoveryAddress(holder.address))
+        .to.be.revertedWith("GenericToken: Recovery address is blacklisted");
+    });
+  });
+
+  describe("seizeBlacklistedFunds", function () {
+    beforeEach(async function () {
+      await token.setRecoveryAddress(recovery.address);
+    });
+
+    it("Should move the whole balance to the recovery address without emergency mode", async function () {
+      await expect(token.connect(emergency).seizeBlacklistedFunds(holder.address))
+        .to.emit(token, "BlacklistedFundsSeized").withArgs(holder.address, recovery.address, AMOUNT)
+        .and.to.emit(token, "Transfer").withArgs(holder.address, recovery.address, AMOUNT)
+        .and.to.emit(token, "EmergencyAction").withArgs(emergency.address, "SEIZE");
+
+      expect(await token.balanceOf(holder.address)).to.equal(0);
+      expect(await token.balanceOf(recovery.address)).to.equal(AMOUNT);
+      expect(await token.emergencyMode()).to.be.false;
+      expect(await token.isBlacklisted(holder.address)).to.be.true;
+
+      // Everyone else keeps transacting
+      await token.transfer(user1.address, AMOUNT);
+    });
+
+    it("Should only work on blacklisted accounts", async function () {
+      await token.transfer(user1.address, AMOUNT);
+
+      await expect(token.connect(emergency).seizeBlacklistedFunds(user1.address))
+        .to.be.revertedWith("GenericToken: Account is not blacklisted");
+    });
+
+    it("Should require EMERGENCY_ROLE", async function () {
+      await expect(token.connect(user1).seizeBlacklistedFunds(holder.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, roles.EMERGENCY);
+    });
+
+    it("Should need a recovery address that is not blacklisted", async function () {
+      await token.blacklist(recovery.address);
+
+      await expect(token.connect(emergency).seizeBlacklistedFunds(holder.address))
+        .to.be.revertedWith("GenericToken: Recovery address is blacklisted");
+    });
+
+    it("Should succeed with nothing to seize", async function () {
+      await token.connect(emergency).seizeBlacklistedFunds(holder.address);
+
+      await expect(token.connect(emergency).seizeBlacklistedFunds(holder.address))
+        .to.emit(token, "BlacklistedFundsSeized").withArgs(holder.address, recovery.address, 0);
+    });
+  });
+
+  it("Should refuse to seize before a recovery address is set", async function () {
+    await expect(token.connect(emergency).seizeBlacklistedFunds(holder.address))
+      .to.be.revertedWith("GenericToken: Recovery address not set");
+  });
+
+  describe("wipeBlacklistedFunds", function () {
+    it("Should burn the whole balance and reduce the total supply", async function () {
+      await expect(token.connect(emergency).wipeBlacklistedFunds(holder.address))
+        .to.emit(token, "BlacklistedFundsSeized").withArgs(holder.address, ethers.ZeroAddress, AMOUNT)
+        .and.to.emit(token, "Transfer").withArgs(holder.address, ethers.ZeroAddress, AMOUNT)
+        .and.to.emit(token, "EmergencyAction").withArgs(emergency.address, "WIPE");
+
+      expect(await token.balanceOf(holder.address)).to.equal(0);
+      expect(await token.totalSupply()).to.equal(INITIAL_SUPPLY - AMOUNT);
+    });
+
+    it("Should not need a recovery address", async function () {
+      await expect(token.connect(emergency).wipeBlacklistedFunds(holder.address)).to.not.be.reverted;
+    });
+
+    it("Should only work on blacklisted accounts with EMERGENCY_ROLE", async function () {
+      await expect(token.connect(emergency).wipeBlacklistedFunds(user1.address))
+        .to.be.revertedWith("GenericToken: Account is not blacklisted");
+      await expect(token.connect(user1).wipeBlacklistedFunds(holder.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Timelock Ownership", function () {
+  let token, timelock;
+  let deployer, proposer, guardian, minter, user1;
+  let roles;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const DELAY = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [deployer, proposer, guardian, minter, user1] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+    const GenericTokenTimelock = await ethers.getContractFactory("GenericTokenTimelock");
+    timelock = await GenericTokenTimelock.deploy(DELAY, [proposer.address], [proposer.address], ethers.ZeroAddress);
+
+    roles = {
+      DEFAULT_ADMIN: await token.DEFAULT_ADMIN_ROLE(),
+      PAUSER: await token.PAUSER_ROLE()
+    };
+
+    await token.addMinter(minter.address);
+    await token.grantRole(roles.PAUSER, guardian.address);
+    await token.transferOwnership(await timelock.getAddress());
+
+    // The timelock accepts ownership through its own delay
+    const { op } = await schedule("acceptOwnership", [], ethers.id("accept"));
+    await time.increase(DELAY);
+    await timelock.connect(proposer).execute(...op);
+  });
+
+  // Schedules a token call on the timelock and returns what execute needs
+  const schedule = async (fn, args, salt = ethers.ZeroHash) => {
+    const data = token.interface.encodeFunctionData(fn, args);
+    const op = [await token.getAddress(), 0, data, ethers.ZeroHash, salt];
+    await timelock.connect(proposer).schedule(...op, DELAY);
+    return { op, id: await timelock.hashOperation(...op) };
+  };
+
+  describe("Ownership", function () {
+    it("Should hand the admin role to the timelock", async function () {
+      expect(await token.owner()).to.equal(await timelock.getAddress());
+      expect(await token.hasRole(roles.DEFAULT_ADMIN, await timelock.getAddress())).to.be.true;
+      expect(await token.hasRole(roles.DEFAULT_ADMIN, deployer.address)).to.be.false;
+      expect(await token.isMinter(await timelock.getAddress())).to.be.true;
+    });
+
+    it("Should stop the previous owner from acting directly", async function () {
+      await expect(token.removeMinter(minter.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(token.activateEmergencyMode())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Delayed operations", function () {
+    it("Should execute a scheduled call only after the delay", async function () {
+      const { op, id } = await schedule("removeMinter", [minter.address]);
+
+      await expect(timelock.connect(proposer).execute(...op))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(DELAY);
+      await expect(timelock.connect(proposer).execute(...op))
+        .to.emit(token, "MinterRemoved").withArgs(minter.address);
+      expect(await timelock.isOperationDone(id)).to.be.true;
+    });
+
+    it("Should let a proposer cancel a pending call", async function () {
+      const { op, id } = await schedule("activateEmergencyMode", []);
+
+      await timelock.connect(proposer).cancel(id);
+      await time.increase(DELAY);
+
+      await expect(timelock.connect(proposer).execute(...op))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      expect(await token.emergencyMode()).to.be.false;
+    });
+
+    it("Should reject a delay below the minimum", async function () {
+      const data = token.interface.encodeFunctionData("unpause");
+
+      await expect(timelock.connect(proposer).schedule(await token.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY - 1))
+        .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+    });
+
+    it("Should only let proposers schedule", async function () {
+      const data = token.interface.encodeFunctionData("unpause");
+
+      await expect(timelock.connect(user1).schedule(await token.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Pause guardian", function () {
+    it("Should pause immediately but need the timelock to unpause", async function () {
+      await token.connect(guardian).pause();
+      expect(await token.paused()).to.be.true;
+
+      await expect(token.connect(guardian).unpause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(guardian.address, roles.DEFAULT_ADMIN);
+
+      const { op } = await schedule("unpause", []);
+      await time.increase(DELAY);
+      await timelock.connect(proposer).execute(...op);
+      expect(await token.paused()).to.be.false;
+    });
+
+    it("Should let the timelock remove the guardian", async function () {
+      const { op } = await schedule("revokeRole", [roles.PAUSER, guardian.address]);
+      await time.increase(DELAY);
+      await timelock.connect(proposer).execute(...op);
+
+      await expect(token.connect(guardian).pause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { AmountError, parseAmount, formatAmount, loadAmounts } = require("../scripts/lib/amounts");
+
+describe("Amount handling (scripts/lib/amounts)", function () {
+  describe("parseAmount", function () {
+    it("Should convert whole and fractional amounts to smallest units", function () {
+      expect(parseAmount("1000", 18)).to.equal(ethers.parseUnits("1000", 18));
+      expect(parseAmount("1.5", 6)).to.equal(1500000n);
+      expect(parseAmount("0.000001", 6)).to.equal(1n);
+      expect(parseAmount("42", 0)).to.equal(42n);
+    });
+
+    it("Should keep precision for large values", function () {
+      expect(parseAmount("123456789.123456789", 18)).to.equal(123456789123456789000000000n);
+      expect(parseAmount("1000000000000000000000", 6)).to.equal(10n ** 27n);
+    });
+
+    it("Should reject more fractional digits than the token supports", function () {
+      expect(() => parseAmount("1.1234567", 6)).to.throw(AmountError, "at most 6 fractional digits");
+      expect(() => parseAmount("0.5", 0)).to.throw(AmountError, "at most 0 fractional digits");
+    });
+
+    it("Should reject malformed amounts", function () {
+      for (const value of ["", "-1", "1e21", "1,000", ".5", "1.", "0x10", "abc"]) {
+        expect(() => parseAmount(value, 18), value).to.throw(AmountError, "Invalid amount");
+      }
+    });
+  });
+
+  describe("formatAmount", function () {
+    it("Should format smallest units with the given decimals", function () {
+      expect(formatAmount(1500000n, 6)).to.equal("1.5");
+      expect(formatAmount(ethers.parseUnits("1000", 18), 18)).to.equal("1000.0");
+    });
+  });
+
+  describe("loadAmounts", function () {
+    it("Should use the decimals of the deployed token", async function () {
+      const GenericToken = await ethers.getContractFactory("GenericToken");
+      const token = await GenericToken.deploy("USD Test", "USDT", 6, 5000000n * 10n ** 6n, 10n ** 15n, 10n ** 12n);
+
+      const amounts = await loadAmounts(token);
+
+      expect(amounts.decimals).to.equal(6);
+      expect(amounts.parse("2.5")).to.equal(2500000n);
+      expect(amounts.format(await token.totalSupply())).to.equal("5000000.0");
+      expect(() => amounts.parse("0.0000001")).to.throw(AmountError);
+    });
+  });
+});
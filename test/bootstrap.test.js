@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { BootstrapError, planSteps, runBootstrap } = require("../scripts/lib/bootstrap");
+
+describe("Post-deploy bootstrap (scripts/lib/bootstrap)", function () {
+  let token;
+  let owner;
+  let minter;
+  let badActor;
+  let multisig;
+
+  beforeEach(async function () {
+    [owner, minter, badActor, multisig] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Bootstrap", "BOOT", 18, 0n, 10n ** 24n, 10n ** 21n);
+  });
+
+  function spec(overrides = {}) {
+    return {
+      minters: [minter.address],
+      blacklist: [badActor.address],
+      pause: true,
+      owner: multisig.address,
+      ...overrides
+    };
+  }
+
+  // Persists the record the way the registry does, so resumed runs only see JSON
+  function storage() {
+    const saved = { record: undefined };
+    saved.save = (record) => {
+      saved.record = JSON.parse(JSON.stringify(record));
+    };
+    return saved;
+  }
+
+  it("Should plan minters, blacklist and pause before the ownership transfer", function () {
+    expect(planSteps(spec()).map(s => s.id)).to.deep.equal([
+      `addMinter:${minter.address}`,
+      `blacklist:${badActor.address}`,
+      "pause",
+      `transferOwnership:${multisig.address}`
+    ]);
+    expect(planSteps({ minters: [], blacklist: [] })).to.deep.equal([]);
+  });
+
+  it("Should keep a pause guardian through the ownership transfer", async function () {
+    const steps = planSteps({ guardian: minter.address, owner: multisig.address });
+    expect(steps.map(s => s.id)).to.deep.equal([
+      `grantRole:PAUSER_ROLE:${minter.address}`,
+      `transferOwnership:${multisig.address}`
+    ]);
+
+    await runBootstrap(token, {}, steps, { save: () => {} });
+    await token.connect(multisig).acceptOwnership();
+
+    expect(await token.hasRole(await token.PAUSER_ROLE(), minter.address)).to.be.true;
+    expect(await token.hasRole(await token.PAUSER_ROLE(), owner.address)).to.be.false;
+    await token.connect(minter).pause();
+  });
+
+  it("Should apply every step and record its transaction", async function () {
+    const store = storage();
+    const record = { address: await token.getAddress() };
+
+    await runBootstrap(token, record, planSteps(spec()), { save: () => store.save(record) });
+
+    expect(await token.isMinter(minter.address)).to.be.true;
+    expect(await token.isBlacklisted(badActor.address)).to.be.true;
+    expect(await token.paused()).to.be.true;
+    expect(await token.pendingOwner()).to.equal(multisig.address);
+
+    expect(store.record.bootstrap.completed).to.be.true;
+    for (const step of store.record.bootstrap.steps) {
+      expect(step.status).to.equal("done");
+      expect(step.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(step.blockNumber).to.be.a("number");
+    }
+  });
+
+  it("Should resume an interrupted run without repeating finished steps", async function () {
+    const store = storage();
+    const record = { address: await token.getAddress() };
+
+    // Simulate the script dying right after the first step was confirmed
+    const save = () => {
+      store.save(record);
+      if (record.bootstrap.steps[0].status === "done") {
+        throw new Error("killed");
+      }
+    };
+    await expect(runBootstrap(token, record, planSteps(spec()), { save }))
+      .to.be.rejectedWith("killed");
+    expect(store.record.bootstrap.completed).to.be.false;
+    const firstHash = store.record.bootstrap.steps[0].transactionHash;
+
+    const resumed = store.record;
+    await runBootstrap(token, resumed, planSteps(spec()), { save: () => store.save(resumed) });
+
+    const steps = store.record.bootstrap.steps;
+    expect(store.record.bootstrap.completed).to.be.true;
+    expect(steps[0].transactionHash).to.equal(firstHash);
+    expect(steps.map(s => s.status)).to.deep.equal(["done", "done", "done", "done"]);
+    expect(await token.pendingOwner()).to.equal(multisig.address);
+  });
+
+  it("Should treat an accepted ownership transfer as done", async function () {
+    await token.transferOwnership(multisig.address);
+    await token.connect(multisig).acceptOwnership();
+    const record = {};
+
+    await runBootstrap(token, record, [{ id: `transferOwnership:${multisig.address}`, action: "transferOwnership", args: [multisig.address] }], {
+      save: () => {}
+    });
+
+    expect(record.bootstrap.steps[0].status).to.equal("skipped");
+  });
+
+  it("Should settle a step whose transaction was sent before the crash", async function () {
+    const store = storage();
+    const tx = await token.addMinter(minter.address);
+    await tx.wait();
+
+    const record = {
+      address: await token.getAddress(),
+      bootstrap: {
+        completed: false,
+        steps: [{ id: `addMinter:${minter.address}`, action: "addMinter", args: [minter.address], status: "sent", transactionHash: tx.hash }]
+      }
+    };
+    await runBootstrap(token, record, planSteps(spec({ blacklist: [], pause: false, owner: undefined })), {
+      save: () => store.save(record)
+    });
+
+    expect(store.record.bootstrap.steps).to.have.lengthOf(1);
+    expect(store.record.bootstrap.steps[0]).to.include({ status: "done", transactionHash: tx.hash });
+  });
+
+  it("Should skip steps already in place on-chain", async function () {
+    await token.addMinter(minter.address);
+    const store = storage();
+    const record = {};
+
+    await runBootstrap(token, record, planSteps(spec({ blacklist: [], pause: false, owner: undefined })), {
+      save: () => store.save(record)
+    });
+
+    expect(store.record.bootstrap.steps[0].status).to.equal("skipped");
+    expect(store.record.bootstrap.steps[0].transactionHash).to.be.undefined;
+  });
+
+  it("Should stop when the deployer lost the role a step needs", async function () {
+    await token.revokeRole(await token.BLACKLISTER_ROLE(), owner.address);
+    const record = {};
+
+    await expect(runBootstrap(token, record, planSteps(spec({ minters: [], pause: false, owner: undefined })), { save: () => {} }))
+      .to.be.rejectedWith(BootstrapError, "lacks BLACKLISTER_ROLE");
+  });
+
+  it("Should stop when the deployer no longer owns the token", async function () {
+    await token.transferOwnership(multisig.address);
+    await token.connect(multisig).acceptOwnership();
+    const record = {};
+
+    await expect(runBootstrap(token, record, planSteps(spec({ minters: [], blacklist: [], pause: false, owner: minter.address })), { save: () => {} }))
+      .to.be.rejectedWith(BootstrapError, `owned by ${multisig.address}`);
+    expect(record.bootstrap.completed).to.be.false;
+    expect(record.bootstrap.steps[0].status).to.equal("pending");
+  });
+});
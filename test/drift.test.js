@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const registry = require("../scripts/lib/registry");
+const { parseManifest } = require("../scripts/lib/manifest");
+const { stripMetadata, maskImmutables, checkDrift } = require("../scripts/lib/drift");
+
+describe("Deployment drift checks (scripts/lib/drift)", function () {
+  let token;
+  let record;
+  let owner;
+  let minter;
+  let other;
+
+  beforeEach(async function () {
+    [owner, minter, other] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Drift USD", "DUSD", 6, 10n ** 12n, 10n ** 15n, 10n ** 12n);
+    await token.addMinter(minter.address);
+
+    record = await registry.deploymentRecord(hre, {
+      address: await token.getAddress(),
+      deployer: owner.address,
+      receipt: await token.deploymentTransaction().wait(),
+      constructorArgs: { name: "Drift USD", symbol: "DUSD", decimals: 6, initialSupply: 10n ** 12n, maxSupply: 10n ** 15n, dailyMintLimit: 10n ** 12n },
+      extra: {
+        owner: owner.address,
+        bootstrap: {
+          completed: true,
+          steps: [{ id: `addMinter:${minter.address}`, action: "addMinter", args: [minter.address], status: "done" }]
+        }
+      }
+    });
+  });
+
+  function drifted(results) {
+    return results.filter(r => r.status === "drift").map(r => r.check);
+  }
+
+  it("Should strip the metadata hash and mask immutables", function () {
+    // Three bytes of metadata followed by their length as two bytes
+    expect(stripMetadata("0x6001a165000003")).to.equal("6001");
+    expect(maskImmutables("0x60aabbccdd", { 1: [{ start: 1, length: 2 }] })).to.equal("600000ccdd");
+  });
+
+  it("Should report no drift for a deployment that matches its record", async function () {
+    const results = await checkDrift(hre, record);
+
+    expect(drifted(results)).to.deep.equal([]);
+    expect(results.map(r => r.check)).to.include.members([
+      "bytecode", "name", "symbol", "decimals", "MAX_SUPPLY", "mintRateLimit", "owner",
+      `minter ${minter.address}`, "DOMAIN_SEPARATOR"
+    ]);
+  });
+
+  it("Should flag owner and minter changes made outside the deployment", async function () {
+    await token.removeMinter(minter.address);
+    await token.transferOwnership(other.address);
+    await token.connect(other).acceptOwnership();
+
+    expect(drifted(await checkDrift(hre, record))).to.deep.equal(["owner", `minter ${minter.address}`]);
+  });
+
+  it("Should expect the owner the bootstrap handed the token to once it accepts", async function () {
+    record.bootstrap.steps.push({ id: `transferOwnership:${other.address}`, action: "transferOwnership", args: [other.address], status: "done" });
+    await token.transferOwnership(other.address);
+
+    expect(drifted(await checkDrift(hre, record))).to.deep.equal(["owner"]);
+    await token.connect(other).acceptOwnership();
+    expect(drifted(await checkDrift(hre, record))).to.deep.equal([]);
+  });
+
+  it("Should flag parameters and minters that differ from the manifest", async function () {
+    const [spec] = parseManifest({
+      tokens: [{ name: "Drift USD", symbol: "DUSD", decimals: 6, initialSupply: "1000000", maxSupply: "2000000000", dailyMintLimit: "1000000", minters: [other.address] }]
+    });
+
+    expect(drifted(await checkDrift(hre, record, spec))).to.deep.equal(["MAX_SUPPLY", `minter ${other.address}`]);
+  });
+
+  it("Should flag a name change through the recomputed domain separator", async function () {
+    const renamed = { ...record, constructorArgs: { ...record.constructorArgs, name: "Other" } };
+
+    expect(drifted(await checkDrift(hre, renamed))).to.deep.equal(["name", "DOMAIN_SEPARATOR"]);
+  });
+
+  it("Should flag an address without the expected bytecode", async function () {
+    const results = await checkDrift(hre, { ...record, address: other.address });
+
+    expect(results).to.deep.equal([
+      { check: "bytecode", expected: "local GenericToken artifact", actual: "no code", status: "drift" }
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { indexToken } = require("../scripts/indexer");
+
+describe("Event indexer (scripts/indexer)", function () {
+  let token;
+  let owner;
+  let minter;
+  let user1;
+  let user2;
+  let dir;
+  let fromBlock;
+
+  beforeEach(async function () {
+    [owner, minter, user1, user2] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Indexed", "IDX", 18, 1000n, 10n ** 24n, 10n ** 21n);
+    fromBlock = (await token.deploymentTransaction().wait()).blockNumber;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexes-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const index = async () => indexToken(hre, await token.getAddress(), { fromBlock, dir });
+
+  it("Should derive holders, minters, blacklist and pause history from logs", async function () {
+    await token.addMinter(minter.address);
+    await token.connect(minter).mint(user1.address, 500n);
+    await token.transfer(user2.address, 300n);
+    await token.connect(user1).burn(100n);
+    await token.blacklist(user2.address);
+    await token.blacklist(user1.address);
+    await token.unblacklist(user1.address);
+    await token.pause();
+    await token.unpause();
+
+    const { state } = await index();
+
+    expect(state.owner).to.equal(owner.address);
+    expect(state.totalSupply).to.equal(1400n);
+    expect(state.holders).to.deep.equal([
+      { address: owner.address, balance: 700n },
+      { address: user1.address, balance: 400n },
+      { address: user2.address, balance: 300n }
+    ]);
+    expect(state.minters).to.have.members([owner.address, minter.address]);
+    expect(state.blacklist).to.deep.equal([user2.address]);
+    expect(state.unresolvedBlacklistActions).to.deep.equal([]);
+    expect(state.paused).to.be.false;
+    expect(state.pauseHistory.map(p => p.paused)).to.deep.equal([true, false]);
+  });
+
+  it("Should follow the circuit breaker level", async function () {
+    await token.pause();
+    await token.freeze();
+    await token.activateEmergencyMode();
+    await token.deactivateEmergencyMode();
+
+    const { state } = await index();
+
+    expect(state.circuitBreakerLevel).to.equal("Frozen");
+    expect(state.paused).to.be.true;
+    expect(state.emergencyMode).to.be.false;
+    expect(state.pauseHistory.map(p => p.paused)).to.deep.equal([true]);
+  });
+
+  it("Should track the operation pause flags", async function () {
+    await token.pauseOperation(0);
+    await token.pauseOperation(4);
+    await token.pauseOperation(2);
+    await token.unpauseOperation(0);
+
+    const { state } = await index();
+
+    expect(state.pausedOperations).to.deep.equal(["Transfer", "Authorization"]);
+    expect(state.paused).to.be.false;
+  });
+
+  it("Should track the pause-exempt accounts", async function () {
+    await token.addPauseExemption(user1.address);
+    await token.addPauseExemption(user2.address);
+    await token.addPauseExemption(minter.address);
+    await token.removePauseExemption(user1.address);
+
+    const { state } = await index();
+
+    expect(state.pauseExempt).to.have.members([user2.address, minter.address]);
+    expect(state.pauseExempt).to.have.lengthOf(2);
+  });
+
+  it("Should record seized and wiped blacklisted balances", async function () {
+    await token.transfer(user1.address, 300n);
+    await token.transfer(user2.address, 200n);
+    await token.blacklist(user1.address);
+    await token.blacklist(user2.address);
+    await token.setRecoveryAddress(minter.address);
+    await token.seizeBlacklistedFunds(user1.address);
+    await token.wipeBlacklistedFunds(user2.address);
+
+    const { state } = await index();
+
+    expect(state.seizures.map(({ account, recipient, amount }) => ({ account, recipient, amount }))).to.deep.equal([
+      { account: user1.address, recipient: minter.address, amount: 300n },
+      { account: user2.address, recipient: null, amount: 200n }
+    ]);
+    expect(state.totalSupply).to.equal(800n);
+    expect(state.holders.map(h => h.address)).to.deep.equal([owner.address, minter.address]);
+  });
+
+  it("Should resume from its checkpoint and only index new blocks", async function () {
+    const first = await index();
+    const checkpoint = first.store.checkpoint.blockNumber;
+
+    await token.addMinter(minter.address);
+    await token.transferOwnership(user1.address);
+    const second = await index();
+
+    expect(second.sync.added).to.equal(2);
+    expect(second.store.checkpoint.blockNumber).to.be.greaterThan(checkpoint);
+    expect(second.state.owner).to.equal(owner.address);
+    expect(second.state.pendingOwner).to.equal(user1.address);
+
+    await token.connect(user1).acceptOwnership();
+    const third = await index();
+
+    expect(third.state.owner).to.equal(user1.address);
+    expect(third.state.pendingOwner).to.be.null;
+    expect(third.state.minters).to.have.members([user1.address, minter.address]);
+    expect(fs.readdirSync(dir)).to.have.lengthOf(1);
+  });
+
+  it("Should roll back events from blocks dropped by a reorg", async function () {
+    await index();
+    const snapshot = await hre.network.provider.send("evm_snapshot");
+
+    await token.addMinter(minter.address);
+    await token.blacklist(user1.address);
+    const before = await index();
+    expect(before.state.minters).to.include(minter.address);
+    expect(before.state.blacklist).to.deep.equal([user1.address]);
+
+    // Replace those blocks with a different history of the same length
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    await token.blacklist(user2.address);
+    await hre.network.provider.send("evm_mine");
+
+    const after = await index();
+    expect(after.sync.reorgedTo).to.be.a("number");
+    expect(after.state.minters).to.deep.equal([owner.address]);
+    expect(after.state.blacklist).to.deep.equal([user2.address]);
+  });
+
+  it("Should honour the confirmation depth", async function () {
+    await token.addMinter(minter.address);
+    const head = await ethers.provider.getBlockNumber();
+
+    const { store, state } = await indexToken(hre, await token.getAddress(), { fromBlock, dir, confirmations: 1 });
+
+    expect(store.checkpoint.blockNumber).to.equal(head - 1);
+    expect(state.minters).to.deep.equal([owner.address]);
+  });
+});
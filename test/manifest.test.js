@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ConfigError } = require("../scripts/lib/token-config");
+const { loadManifest, parseManifest, envTokenSpec, matchesConfig } = require("../scripts/lib/manifest");
+
+describe("Deployment manifest (scripts/lib/manifest)", function () {
+  const MINTER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const BAD_ACTOR = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  it("Should load a YAML manifest and apply defaults", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    const file = path.join(dir, "tokens.yaml");
+    fs.writeFileSync(file, [
+      "defaults:",
+      "  decimals: 6",
+      "  dailyMintLimit: \"1000\"",
+      "tokens:",
+      "  - { name: One, symbol: ONE, initialSupply: \"10\", maxSupply: \"100\" }",
+      "  - name: Two",
+      "    symbol: TWO",
+      "    decimals: 18",
+      "    initialSupply: \"0\"",
+      "    maxSupply: \"1000000000000000000000\"",
+      `    minters: ["${MINTER.toLowerCase()}"]`,
+      `    blacklist: ["${BAD_ACTOR}"]`
+    ].join("\n"));
+
+    const tokens = loadManifest(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(tokens).to.have.lengthOf(2);
+    expect(tokens[0].config.decimals).to.equal(6);
+    expect(tokens[0].config.dailyMintLimit).to.equal(1000n * 10n ** 6n);
+    expect(tokens[1].config.maxSupply).to.equal(10n ** 39n);
+    expect(tokens[1].minters).to.deep.equal([MINTER]);
+    expect(tokens[1].blacklist).to.deep.equal([BAD_ACTOR]);
+  });
+
+  it("Should report every invalid entry with its position", function () {
+    try {
+      parseManifest({
+        tokens: [
+          { name: "A", symbol: "A", decimals: 19 },
+          { name: "B", symbol: "B", minters: ["nope"], colour: "red" },
+          { name: "C", symbol: "B" }
+        ]
+      });
+      expect.fail("expected a ConfigError");
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError);
+      expect(error.message).to.contain("tokens[0] (A): decimals 19 cannot exceed 18");
+      expect(error.message).to.contain("tokens[1] (B).minters[0] \"nope\" is not an address");
+      expect(error.message).to.contain("tokens[1] (B): unknown field \"colour\"");
+      expect(error.message).to.contain("symbol B is listed more than once");
+    }
+  });
+
+  it("Should reject unquoted amounts that YAML parsed as numbers", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    const file = path.join(dir, "tokens.yaml");
+    fs.writeFileSync(file, [
+      "tokens:",
+      "  - { name: One, symbol: ONE, maxSupply: 123456789.123456789 }",
+      "  - { name: Two, symbol: TWO, dailyMintLimit: 9007199254740993 }"
+    ].join("\n"));
+
+    try {
+      loadManifest(file);
+      expect.fail("expected a ConfigError");
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError);
+      expect(error.message).to.contain("tokens[0] (ONE): max supply 123456789.12345679 must be quoted");
+      expect(error.message).to.contain("tokens[1] (TWO): daily mint limit 9007199254740992 must be quoted");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject conflicting role assignments", function () {
+    expect(() => parseManifest({ tokens: [{ name: "A", symbol: "A", minters: [MINTER], blacklist: [MINTER] }] }))
+      .to.throw(ConfigError, "is both a minter and blacklisted");
+  });
+
+  it("Should read the bootstrap of a single token from BOOTSTRAP_* variables", function () {
+    const spec = envTokenSpec({
+      TOKEN_SYMBOL: "ENV",
+      BOOTSTRAP_MINTERS: ` ${MINTER.toLowerCase()}, `,
+      BOOTSTRAP_PAUSE: "true",
+      BOOTSTRAP_OWNER: BAD_ACTOR
+    });
+
+    expect(spec.minters).to.deep.equal([MINTER]);
+    expect(spec.blacklist).to.deep.equal([]);
+    expect(spec.pause).to.be.true;
+    expect(spec.owner).to.equal(BAD_ACTOR);
+    expect(() => envTokenSpec({ BOOTSTRAP_PAUSE: "yes" })).to.throw(ConfigError, "BOOTSTRAP.pause must be true or false");
+  });
+
+  it("Should read a timelock owner from the manifest or TIMELOCK_* variables", function () {
+    const [spec] = parseManifest({
+      tokens: [{ name: "A", symbol: "A", timelock: { delay: 3600, guardian: MINTER.toLowerCase() } }]
+    });
+    expect(spec.timelock).to.deep.equal({ delay: 3600, proposers: [], executors: [], guardian: MINTER });
+
+    const env = envTokenSpec({ TIMELOCK_DELAY: "60", TIMELOCK_PROPOSERS: `${MINTER},${BAD_ACTOR}` });
+    expect(env.timelock.delay).to.equal(60);
+    expect(env.timelock.proposers).to.deep.equal([MINTER, BAD_ACTOR]);
+    expect(envTokenSpec({}).timelock).to.be.undefined;
+  });
+
+  it("Should reject an invalid timelock or one combined with an owner", function () {
+    expect(() => parseManifest({ tokens: [{ name: "A", symbol: "A", owner: MINTER, timelock: { delay: 1 } }] }))
+      .to.throw(ConfigError, "set either owner or timelock, not both");
+    expect(() => parseManifest({ tokens: [{ name: "A", symbol: "A", timelock: { delay: "1 day", admin: MINTER } }] }))
+      .to.throw(ConfigError)
+      .with.property("problems").that.deep.equals([
+        'tokens[0] (A).timelock: unknown field "admin"',
+        'tokens[0] (A).timelock.delay "1 day" must be a whole number of seconds'
+      ]);
+  });
+
+  it("Should match registry entries on constructor arguments only", function () {
+    const [{ config }] = parseManifest({ tokens: [{ name: "A", symbol: "A", decimals: 6 }] });
+    const deployment = {
+      contract: "GenericToken",
+      constructorArgs: {
+        name: "A",
+        symbol: "A",
+        decimals: 6,
+        initialSupply: config.initialSupply.toString(),
+        maxSupply: config.maxSupply.toString(),
+        dailyMintLimit: config.dailyMintLimit.toString()
+      }
+    };
+
+    expect(matchesConfig(deployment, config)).to.be.true;
+    expect(matchesConfig({ ...deployment, constructorArgs: { ...deployment.constructorArgs, maxSupply: "1" } }, config)).to.be.false;
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const registry = require("../scripts/lib/registry");
+
+describe("Deployment registry (scripts/lib/registry)", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should keep a separate history per network and chain id", function () {
+    const local = registry.loadRegistry("local", 1337, dir);
+    registry.addDeployment(local, { contract: "GenericToken", address: "0x0000000000000000000000000000000000000001" });
+    registry.addDeployment(local, { contract: "GenericToken", address: "0x0000000000000000000000000000000000000002" });
+    registry.saveRegistry(local, dir);
+
+    const bsctest = registry.loadRegistry("bsctest", 97, dir);
+    registry.addDeployment(bsctest, { contract: "GenericToken", address: "0x0000000000000000000000000000000000000003" });
+    registry.saveRegistry(bsctest, dir);
+
+    const reloaded = registry.loadRegistry("local", 1337, dir);
+    expect(reloaded.deployments).to.have.lengthOf(2);
+    expect(registry.findDeployment(reloaded).address).to.equal("0x0000000000000000000000000000000000000002");
+    expect(registry.findDeployment(registry.loadRegistry("bsctest", 97, dir)).address)
+      .to.equal("0x0000000000000000000000000000000000000003");
+    expect(registry.listRegistries(dir)).to.have.lengthOf(2);
+  });
+
+  it("Should refuse a registry file recorded for another chain", function () {
+    registry.saveRegistry({ network: "local", chainId: 1337, deployments: [] }, dir);
+    fs.renameSync(registry.registryPath("local", 1337, dir), registry.registryPath("local", 985, dir));
+
+    expect(() => registry.loadRegistry("local", 985, dir)).to.throw(registry.RegistryError, "belongs to chain 1337");
+  });
+
+  it("Should record compiler settings and ABI hash of a deployment", async function () {
+    const GenericToken = await hre.ethers.getContractFactory("GenericToken");
+    const token = await GenericToken.deploy("Token", "TKN", 18, 1n, 10n, 10n);
+    const receipt = await token.deploymentTransaction().wait();
+    const [deployer] = await hre.ethers.getSigners();
+
+    const record = await registry.deploymentRecord(hre, {
+      address: await token.getAddress(),
+      deployer: deployer.address,
+      receipt,
+      constructorArgs: { name: "Token", symbol: "TKN", decimals: 18, initialSupply: 1n, maxSupply: 10n, dailyMintLimit: 10n }
+    });
+
+    expect(record.blockNumber).to.equal(receipt.blockNumber);
+    expect(record.transactionHash).to.equal(receipt.hash);
+    expect(record.constructorArgs.maxSupply).to.equal("10");
+    expect(record.compiler.version).to.match(/^0\.8\.28/);
+    expect(record.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const deployments = await registry.loadCurrentRegistry(hre, dir);
+    registry.addDeployment(deployments, record);
+    registry.saveRegistry(deployments, dir);
+    expect(await registry.resolveTokenAddress(hre, undefined, dir)).to.equal(record.address);
+  });
+
+  it("Should import a legacy deployment-info.json once", function () {
+    const file = path.join(dir, "deployment-info.json");
+    fs.writeFileSync(file, JSON.stringify({
+      network: "private",
+      tokenAddress: "0x0000000000000000000000000000000000000004",
+      deployerAddress: "0x0000000000000000000000000000000000000005",
+      tokenName: "Legacy",
+      tokenSymbol: "LGC",
+      decimals: "18",
+      deploymentBlock: 7,
+      deploymentTransaction: "0x01"
+    }));
+
+    const deployments = registry.loadRegistry("local", 1337, dir);
+    expect(registry.importLegacyFile(deployments, file).imported).to.be.true;
+    expect(registry.importLegacyFile(deployments, file).imported).to.be.false;
+    expect(deployments.deployments).to.have.lengthOf(1);
+    expect(deployments.deployments[0].blockNumber).to.equal(7);
+    expect(registry.findLegacyFiles(dir)).to.deep.equal(["deployment-info.json"]);
+  });
+});
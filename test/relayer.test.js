@@ -0,0 +1,464 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { startRelayer } = require("../scripts/relayer");
+const { relayPath } = require("../scripts/relayer/store");
+const {
+  signPermit,
+  signTransferWithAuthorization,
+  signCancelAuthorization,
+  hashTypedData
+} = require("../scripts/lib/signing");
+
+describe("Gasless relayer (scripts/relayer)", function () {
+  let token;
+  let owner, holder, recipient, spender, relayerKey;
+  let dir;
+  let running;
+
+  const AMOUNT = ethers.parseUnits("100", 18);
+
+  beforeEach(async function () {
+    [owner, holder, recipient, spender, relayerKey] = await ethers.getSigners();
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy("Relayed", "RLY", 18, AMOUNT * 100n, AMOUNT * 1000n, AMOUNT * 100n);
+    await token.transfer(holder.address, AMOUNT * 10n);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relays-"));
+    running = await startRelayer(hre, await token.getAddress(), { signer: relayerKey, port: 0, dir });
+  });
+
+  afterEach(async function () {
+    await running.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Request body as a client sends it: uint256 fields as decimal strings
+  const requestBody = ({ primaryType, message, serialized }) => ({
+    primaryType,
+    message: Object.fromEntries(Object.entries(message).map(([k, v]) => [k, typeof v === "bigint" ? v.toString() : v])),
+    signature: serialized
+  });
+
+  const request = async (method, route, body) => {
+    const response = await fetch(`${running.url}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const relay = (signed) => request("POST", "/relays", requestBody(signed));
+
+  const authorization = (overrides = {}) =>
+    signTransferWithAuthorization(token, holder, { to: recipient.address, value: AMOUNT, ...overrides });
+
+  it("Should report the token, chain and relayer", async function () {
+    const { status, body } = await request("GET", "/health");
+
+    expect(status).to.equal(200);
+    expect(body).to.deep.include({
+      status: "ok",
+      token: await token.getAddress(),
+      chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+      relayer: relayerKey.address,
+      primaryTypes: ["TransferWithAuthorization", "Permit"]
+    });
+  });
+
+  describe("Relaying", function () {
+    it("Should submit a transfer authorization from the relayer key and track it to confirmation", async function () {
+      const signed = await authorization();
+      const holderEth = await ethers.provider.getBalance(holder.address);
+
+      const { status, body } = await relay(signed);
+
+      expect(status).to.equal(202);
+      expect(body.id).to.equal(hashTypedData(signed.domain, signed.primaryType, signed.message));
+      expect(body.status).to.equal("submitted");
+      expect(body.relayer).to.equal(relayerKey.address);
+      expect((await ethers.provider.getTransaction(body.transactionHash)).from).to.equal(relayerKey.address);
+
+      await running.relayer.settled();
+      const { body: tracked } = await request("GET", `/relays/${body.id}`);
+      expect(tracked.status).to.equal("confirmed");
+      expect(tracked.blockNumber).to.be.a("number");
+      expect(Number(tracked.gasUsed)).to.be.greaterThan(0);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+      expect(await token.authorizationState(holder.address, signed.message.nonce)).to.equal(1);
+      expect(await ethers.provider.getBalance(holder.address)).to.equal(holderEth);
+    });
+
+    it("Should submit a permit", async function () {
+      const signed = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+
+      const { status, body } = await relay(signed);
+      await running.relayer.settled();
+
+      expect(status).to.equal(202);
+      expect(running.relayer.get(body.id).status).to.equal("confirmed");
+      expect(await token.allowance(holder.address, spender.address)).to.equal(AMOUNT);
+    });
+
+    it("Should relay concurrent requests in order from one key", async function () {
+      const signedMessages = [await authorization(), await authorization(), await authorization()];
+
+      const responses = await Promise.all(signedMessages.map(relay));
+      await running.relayer.settled();
+
+      expect(responses.map(r => r.status)).to.deep.equal([202, 202, 202]);
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 3n);
+    });
+
+    it("Should refuse to relay the same request twice", async function () {
+      const signed = await authorization();
+      const { body: first } = await relay(signed);
+
+      const { status, body } = await relay(signed);
+
+      expect(status).to.equal(409);
+      expect(body.error.code).to.equal("DUPLICATE");
+      expect(body.error.relay.id).to.equal(first.id);
+    });
+  });
+
+  describe("Pre-validation", function () {
+    const problemCodes = (body) => body.error.problems.map(p => p.code);
+
+    it("Should reject used and canceled authorizations", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const cancel = await signCancelAuthorization(token, holder, { nonce });
+      await token.cancelAuthorization(holder.address, nonce, cancel.v, cancel.r, cancel.s);
+
+      const { status, body } = await relay(await authorization({ nonce }));
+
+      expect(status).to.equal(422);
+      expect(body.error.code).to.equal("REJECTED");
+      expect(problemCodes(body)).to.deep.equal(["AUTHORIZATION_CANCELED"]);
+    });
+
+    it("Should reject authorizations outside their validity window", async function () {
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+
+      const early = await relay(await authorization({ validAfter: latest + 600 }));
+      expect(problemCodes(early.body)).to.deep.equal(["NOT_YET_VALID"]);
+
+      // Within the relayer's minimum validity (30 seconds by default)
+      const late = await relay(await authorization({ validBefore: latest + 10 }));
+      expect(problemCodes(late.body)).to.deep.equal(["EXPIRED"]);
+    });
+
+    it("Should list every problem: blacklist and balance", async function () {
+      await token.blacklist(recipient.address);
+
+      const { status, body } = await relay(await authorization({ value: AMOUNT * 11n }));
+
+      expect(status).to.equal(422);
+      expect(problemCodes(body)).to.deep.equal(["RECIPIENT_BLACKLISTED", "INSUFFICIENT_BALANCE"]);
+    });
+
+    it("Should reject while the token is in emergency mode or the operation is paused", async function () {
+      const signed = await authorization();
+
+      await token.pauseOperation(4);
+      expect(problemCodes((await relay(signed)).body)).to.deep.equal(["OPERATION_PAUSED"]);
+
+      await token.activateEmergencyMode();
+      expect(problemCodes((await relay(signed)).body)).to.deep.equal(["EMERGENCY_MODE"]);
+    });
+
+    it("Should reject paused transfers unless the relayer is pause exempt", async function () {
+      const signed = await authorization();
+      await token.pause();
+
+      expect(problemCodes((await relay(signed)).body)).to.deep.equal(["TRANSFERS_PAUSED"]);
+
+      await token.addPauseExemption(relayerKey.address);
+      expect((await relay(signed)).status).to.equal(202);
+    });
+
+    it("Should reject permits with a stale nonce", async function () {
+      const stale = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+      await token.connect(holder).permit(
+        holder.address, spender.address, AMOUNT, stale.message.deadline, stale.v, stale.r, stale.s
+      );
+
+      const { body } = await relay(stale);
+
+      expect(problemCodes(body)).to.deep.equal(["INVALID_NONCE"]);
+    });
+
+    it("Should reject signatures that do not match the message", async function () {
+      const signed = await authorization();
+      const body = requestBody(signed);
+      body.message.value = (AMOUNT * 2n).toString();
+
+      const response = await request("POST", "/relays", body);
+
+      expect(response.status).to.equal(422);
+      expect(response.body.error.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("Should catch with eth_call what the checks do not", async function () {
+      const signed = await authorization({ to: ethers.ZeroAddress });
+
+      const { status, body } = await relay(signed);
+
+      expect(status).to.equal(422);
+      expect(body.error.code).to.equal("SIMULATION_FAILED");
+      expect(body.error.message).to.contain("ERC20InvalidReceiver");
+      expect(running.relayer.list()).to.deep.equal([]);
+    });
+
+    it("Should reject malformed requests", async function () {
+      const signed = await authorization();
+      const cases = [
+        "{ not json",
+        [],
+        { ...requestBody(signed), primaryType: "ReceiveWithAuthorization" },
+        { ...requestBody(signed), message: { ...requestBody(signed).message, value: "-1" } },
+        { ...requestBody(signed), message: { ...requestBody(signed).message, extra: "1" } },
+        { ...requestBody(signed), signature: "0x1234" }
+      ];
+
+      for (const body of cases) {
+        const response = await request("POST", "/relays", body);
+        expect(response.status, JSON.stringify(body)).to.equal(400);
+      }
+      expect((await request("GET", "/nothing")).status).to.equal(404);
+      expect((await request("DELETE", "/relays")).status).to.equal(405);
+    });
+  });
+
+  describe("Contract wallets", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+      const contract = await MockMultisigWallet.deploy([holder.address, spender.address], 2);
+      wallet = await contract.getAddress();
+      await token.transfer(wallet, AMOUNT * 10n);
+    });
+
+    // Message signed by each owner for the wallet, with the signatures
+    // concatenated in ascending signer order as the wallet expects
+    async function walletSigned(sign, owners, fields) {
+      const signed = await Promise.all(owners.map(owner => sign(token, owner, fields)));
+      const sorted = signed
+        .map(({ serialized }, i) => ({ owner: owners[i].address, serialized }))
+        .sort((a, b) => (BigInt(a.owner) < BigInt(b.owner) ? -1 : 1));
+      return { ...signed[0], serialized: ethers.concat(sorted.map(s => s.serialized)) };
+    }
+
+    const walletAuthorization = (owners, overrides = {}) => walletSigned(signTransferWithAuthorization, owners, {
+      from: wallet,
+      to: recipient.address,
+      value: AMOUNT,
+      nonce: ethers.hexlify(ethers.randomBytes(32)),
+      ...overrides
+    });
+
+    it("Should relay a transfer authorization from a wallet through the bytes overload", async function () {
+      const signed = await walletAuthorization([holder, spender]);
+
+      const { status, body } = await relay(signed);
+      await running.relayer.settled();
+
+      expect(status).to.equal(202);
+      expect(body.signature).to.equal(signed.serialized);
+      expect(running.relayer.get(body.id).status).to.equal("confirmed");
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT);
+      expect(await token.authorizationState(wallet, signed.message.nonce)).to.equal(1);
+    });
+
+    it("Should reject signatures the wallet does not accept", async function () {
+      const single = await walletAuthorization([holder]);
+      const garbage = { ...requestBody(await walletAuthorization([holder, spender])), signature: "0x1234" };
+
+      for (const body of [requestBody(single), garbage]) {
+        const response = await request("POST", "/relays", body);
+        expect(response.status).to.equal(422);
+        expect(response.body.error.code).to.equal("INVALID_SIGNATURE");
+      }
+      expect(running.relayer.list()).to.deep.equal([]);
+    });
+
+    it("Should relay a wallet permit through the bytes overload", async function () {
+      const fields = { owner: wallet, spender: recipient.address, value: AMOUNT };
+      const single = await walletSigned(signPermit, [holder], fields);
+      const signed = await walletSigned(signPermit, [holder, spender], fields);
+
+      expect((await relay(single)).body.error.code).to.equal("INVALID_SIGNATURE");
+      const { status, body } = await relay(signed);
+      await running.relayer.settled();
+
+      expect(status).to.equal(202);
+      expect(running.relayer.get(body.id).status).to.equal("confirmed");
+      expect(await token.allowance(wallet, recipient.address)).to.equal(AMOUNT);
+      expect(await token.nonces(wallet)).to.equal(1);
+    });
+
+    it("Should batch wallet authorizations with ECDSA ones", async function () {
+      const fromWallet = await walletAuthorization([holder, spender]);
+      const notAccepted = await walletAuthorization([spender]);
+      const fromHolder = await authorization();
+
+      const rejected = await request("POST", "/batches", { authorizations: [fromWallet, notAccepted].map(requestBody) });
+      expect(rejected.status).to.equal(422);
+      expect(rejected.body.error.rejected.map(r => [r.index, r.problems.map(p => p.code)]))
+        .to.deep.equal([[1, ["INVALID_SIGNATURE"]]]);
+
+      const { status, body } = await request("POST", "/batches", { authorizations: [fromWallet, fromHolder].map(requestBody) });
+      await running.relayer.settled();
+
+      expect(status).to.equal(202);
+      expect((await request("GET", `/batches/${body.id}`)).body.status).to.equal("confirmed");
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 2n);
+      expect(await token.authorizationState(wallet, fromWallet.message.nonce)).to.equal(1);
+    });
+  });
+
+  describe("Batches", function () {
+    const batchBody = (signedMessages, skipFailed) => ({
+      authorizations: signedMessages.map(requestBody),
+      ...(skipFailed === undefined ? {} : { skipFailed })
+    });
+    const relayBatch = (signedMessages, skipFailed) =>
+      request("POST", "/batches", batchBody(signedMessages, skipFailed));
+
+    it("Should submit authorizations as one transaction and track each of them", async function () {
+      const signedMessages = [await authorization(), await authorization({ to: spender.address }), await authorization()];
+
+      const { status, body } = await relayBatch(signedMessages);
+
+      expect(status).to.equal(202);
+      expect(body.skipFailed).to.equal(false);
+      expect(body.rejected).to.deep.equal([]);
+      expect(body.relays.map(r => r.id)).to.deep.equal(
+        signedMessages.map(s => hashTypedData(s.domain, s.primaryType, s.message))
+      );
+      expect(body.relays.map(r => r.batchIndex)).to.deep.equal([0, 1, 2]);
+      expect(new Set(body.relays.map(r => r.transactionHash))).to.deep.equal(new Set([body.transactionHash]));
+
+      await running.relayer.settled();
+      const { body: batch } = await request("GET", `/batches/${body.id}`);
+      expect(batch.status).to.equal("confirmed");
+      expect(batch.relays.map(r => r.status)).to.deep.equal(["confirmed", "confirmed", "confirmed"]);
+      expect((await request("GET", `/relays/${body.relays[1].id}`)).body.batch).to.equal(body.id);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 2n);
+      expect(await token.balanceOf(spender.address)).to.equal(AMOUNT);
+    });
+
+    it("Should send nothing when an all-or-nothing batch has a bad authorization", async function () {
+      const good = await authorization();
+      const early = await authorization({ validAfter: (await ethers.provider.getBlock("latest")).timestamp + 600 });
+
+      const { status, body } = await relayBatch([good, early]);
+
+      expect(status).to.equal(422);
+      expect(body.error.code).to.equal("REJECTED");
+      expect(body.error.rejected.map(r => [r.index, r.problems.map(p => p.code)])).to.deep.equal([[1, ["NOT_YET_VALID"]]]);
+      expect(running.relayer.list()).to.deep.equal([]);
+    });
+
+    it("Should leave out failing authorizations of a skipFailed batch", async function () {
+      const good = await authorization();
+      const relayed = await authorization();
+      await relay(relayed);
+      const forged = requestBody(await authorization());
+      forged.message.to = spender.address;
+      // Within the holder's balance (9 x AMOUNT after the relay above) alone,
+      // but not after the first authorization
+      const rest = await authorization({ value: AMOUNT * 8n + 1n });
+
+      const { status, body } = await request("POST", "/batches", {
+        authorizations: [requestBody(good), requestBody(relayed), forged, requestBody(rest)],
+        skipFailed: true
+      });
+
+      expect(status).to.equal(202);
+      expect(body.relays.map(r => r.id)).to.deep.equal([hashTypedData(good.domain, good.primaryType, good.message)]);
+      expect(body.rejected.map(r => [r.index, r.problems.map(p => p.code)])).to.deep.equal([
+        [1, ["DUPLICATE", "AUTHORIZATION_USED"]],
+        [2, ["INVALID_SIGNATURE"]],
+        [3, ["SIMULATION_FAILED"]]
+      ]);
+      expect(body.rejected[2].problems[0].message).to.equal("Fails after the earlier authorizations of the batch");
+
+      await running.relayer.settled();
+      expect(running.relayer.getBatch(body.id).status).to.equal("confirmed");
+      expect(await token.balanceOf(recipient.address)).to.equal(AMOUNT * 2n);
+    });
+
+    it("Should reject a skipFailed batch in which nothing would go through", async function () {
+      const early = await authorization({ validAfter: (await ethers.provider.getBlock("latest")).timestamp + 600 });
+
+      const { status, body } = await relayBatch([early], true);
+
+      expect(status).to.equal(422);
+      expect(body.error.code).to.equal("REJECTED");
+    });
+
+    it("Should reject malformed batches", async function () {
+      const signed = await authorization();
+      const permit = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+      const cases = [
+        [],
+        { authorizations: [] },
+        { authorizations: requestBody(signed) },
+        { ...batchBody([signed]), skipFailed: "yes" },
+        batchBody([signed, permit]),
+        { authorizations: [{ ...requestBody(signed), signature: "0x1234" }] },
+        { authorizations: Array(201).fill(requestBody(signed)) }
+      ];
+
+      for (const body of cases) {
+        const response = await request("POST", "/batches", body);
+        expect(response.status, JSON.stringify(body).slice(0, 200)).to.equal(400);
+      }
+      expect((await request("GET", `/batches/${ethers.ZeroHash}`)).status).to.equal(404);
+      expect((await request("GET", "/batches")).status).to.equal(405);
+    });
+  });
+
+  describe("Status", function () {
+    it("Should query relays by id, status and account", async function () {
+      const transfer = (await relay(await authorization())).body;
+      const permit = (await relay(await signPermit(token, holder, { spender: spender.address, value: AMOUNT }))).body;
+      await running.relayer.settled();
+
+      const all = (await request("GET", "/relays")).body.relays;
+      expect(all.map(r => r.id)).to.deep.equal([permit.id, transfer.id]);
+
+      const bySpender = (await request("GET", `/relays?account=${spender.address.toLowerCase()}`)).body.relays;
+      expect(bySpender.map(r => r.id)).to.deep.equal([permit.id]);
+
+      expect((await request("GET", "/relays?status=submitted")).body.relays).to.deep.equal([]);
+      expect((await request("GET", `/relays/${ethers.ZeroHash}`)).status).to.equal(404);
+    });
+
+    it("Should keep the relay log and resume tracking after a restart", async function () {
+      const { body } = await relay(await authorization());
+      await running.close();
+
+      // As if the relayer stopped before the receipt came in
+      const file = relayPath("hardhat", (await ethers.provider.getNetwork()).chainId, await token.getAddress(), dir);
+      const log = JSON.parse(fs.readFileSync(file, "utf8"));
+      Object.assign(log.relays[0], { status: "submitted", blockNumber: null, gasUsed: null });
+      fs.writeFileSync(file, JSON.stringify(log));
+
+      running = await startRelayer(hre, await token.getAddress(), { signer: relayerKey, port: 0, dir });
+      await running.relayer.settled();
+
+      const { body: tracked } = await request("GET", `/relays/${body.id}`);
+      expect(tracked.status).to.equal("confirmed");
+      expect(tracked.transactionHash).to.equal(body.transactionHash);
+    });
+  });
+});
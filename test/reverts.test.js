@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { describeRevert } = require("../scripts/lib/reverts");
+
+describe("Revert reasons (scripts/lib/reverts)", function () {
+  let iface;
+
+  before(async function () {
+    iface = (await ethers.getContractFactory("GenericToken")).interface;
+  });
+
+  it("Should decode reason strings and custom errors", function () {
+    const reason = iface.encodeErrorResult("Error", ["GenericToken: Authorization expired"]);
+    const custom = iface.encodeErrorResult("ERC20InsufficientBalance", [ethers.ZeroAddress, 1n, 2n]);
+
+    expect(describeRevert(iface, reason)).to.equal("GenericToken: Authorization expired");
+    expect(describeRevert(iface, custom)).to.equal(`ERC20InsufficientBalance(${ethers.ZeroAddress}, 1, 2)`);
+  });
+
+  it("Should fall back to the raw data instead of throwing", function () {
+    const truncated = ethers.dataSlice(iface.encodeErrorResult("Error", ["GenericToken: Invalid signature"]), 0, 36);
+
+    expect(describeRevert(iface, "0x")).to.equal("Reverted without a reason");
+    expect(describeRevert(iface, "0x1234")).to.equal("Reverted with 0x1234");
+    expect(describeRevert(iface, "0xdeadbeef")).to.equal("Reverted with 0xdeadbeef");
+    expect(describeRevert(iface, truncated)).to.equal(`Reverted with ${truncated}`);
+  });
+});
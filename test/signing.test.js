@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  SigningError,
+  TYPES,
+  DEFAULT_VALIDITY,
+  splitSignature,
+  tokenDomain,
+  signPermit,
+  signTransferWithAuthorization,
+  signReceiveWithAuthorization,
+  signCancelAuthorization,
+  hashTypedData,
+  recoverSigner,
+  verifySignature,
+  verifyAccountSignature
+} = require("../scripts/lib/signing");
+
+describe("EIP-712 signing (scripts/lib/signing)", function () {
+  let token;
+  let owner, holder, spender, relayer;
+
+  const TOKEN_DECIMALS = 18;
+  const INITIAL_SUPPLY = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const MAX_SUPPLY = ethers.parseUnits("18000000", TOKEN_DECIMALS);
+  const DAILY_MINT_LIMIT = ethers.parseUnits("1000000", TOKEN_DECIMALS);
+  const AMOUNT = ethers.parseUnits("100", TOKEN_DECIMALS);
+
+  beforeEach(async function () {
+    [owner, holder, spender, relayer] = await ethers.getSigners();
+
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    token = await GenericToken.deploy(
+      "GenericTestToken",
+      "TEST",
+      TOKEN_DECIMALS,
+      INITIAL_SUPPLY,
+      MAX_SUPPLY,
+      DAILY_MINT_LIMIT
+    );
+    await token.transfer(holder.address, AMOUNT * 10n);
+  });
+
+  describe("tokenDomain", function () {
+    it("Should read the domain the token signs under", async function () {
+      const domain = await tokenDomain(token);
+
+      expect(domain).to.deep.equal({
+        name: "GenericTestToken",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress()
+      });
+      expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await token.DOMAIN_SEPARATOR());
+    });
+  });
+
+  describe("splitSignature", function () {
+    it("Should return v, r, s with the 65-byte form, also for compact input", async function () {
+      const signature = await holder.signMessage("hello");
+      const split = splitSignature(signature);
+
+      expect(split.serialized).to.equal(signature);
+      expect(ethers.Signature.from(split.serialized).serialized).to.equal(signature);
+      expect(splitSignature(ethers.Signature.from(signature).compactSerialized)).to.deep.equal(split);
+      expect(ethers.Signature.from({ r: split.r, s: split.s, v: split.v }).serialized).to.equal(signature);
+    });
+
+    it("Should return a signature the token's bytes overloads accept, also for compact input", async function () {
+      const signed = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      const { serialized } = splitSignature(ethers.Signature.from(signed.serialized).compactSerialized);
+      const { from, to, value, validAfter, validBefore, nonce } = signed.message;
+
+      await token.connect(relayer)["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+        from, to, value, validAfter, validBefore, nonce, serialized
+      );
+
+      expect(await token.balanceOf(spender.address)).to.equal(AMOUNT);
+    });
+
+    it("Should reject malformed signatures", function () {
+      expect(() => splitSignature("0x1234")).to.throw(SigningError, "Invalid signature");
+    });
+  });
+
+  describe("signPermit", function () {
+    it("Should default the nonce to the token's and the deadline to one hour ahead", async function () {
+      const signed = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+
+      expect(signed.primaryType).to.equal("Permit");
+      expect(signed.message).to.deep.equal({
+        owner: holder.address,
+        spender: spender.address,
+        value: AMOUNT,
+        nonce: 0n,
+        deadline: BigInt(await time.latest()) + DEFAULT_VALIDITY
+      });
+    });
+
+    it("Should produce a signature the token accepts", async function () {
+      const { message, v, r, s } = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+
+      await expect(token.connect(relayer).permit(message.owner, message.spender, message.value, message.deadline, v, r, s))
+        .to.emit(token, "Approval").withArgs(holder.address, spender.address, AMOUNT);
+
+      const next = await signPermit(token, holder, { spender: spender.address, value: 0 });
+      expect(next.message.nonce).to.equal(1n);
+    });
+
+    it("Should accept a token address instead of a contract", async function () {
+      const signed = await signPermit(await token.getAddress(), holder, {
+        spender: spender.address,
+        value: AMOUNT,
+        deadline: 2000000000
+      });
+
+      expect(signed.domain).to.deep.equal(await tokenDomain(token));
+      expect(signed.message.deadline).to.equal(2000000000n);
+      await expect(token.permit(
+        holder.address, spender.address, AMOUNT, signed.message.deadline, signed.v, signed.r, signed.s
+      )).to.not.be.reverted;
+    });
+  });
+
+  describe("EIP-3009 authorizations", function () {
+    const args = ({ message, v, r, s }) =>
+      [message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s];
+
+    it("Should default the validity window and use a fresh random nonce", async function () {
+      const first = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      const second = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+
+      expect(first.message.from).to.equal(holder.address);
+      expect(first.message.validAfter).to.equal(0n);
+      expect(first.message.validBefore).to.equal(BigInt(await time.latest()) + DEFAULT_VALIDITY);
+      expect(ethers.dataLength(first.message.nonce)).to.equal(32);
+      expect(first.message.nonce).to.not.equal(second.message.nonce);
+    });
+
+    it("Should sign transfer and receive authorizations the token accepts", async function () {
+      const transfer = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      await expect(token.connect(relayer).transferWithAuthorization(...args(transfer)))
+        .to.emit(token, "AuthorizationUsed").withArgs(holder.address, transfer.message.nonce);
+
+      const receive = await signReceiveWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      expect(receive.primaryType).to.equal("ReceiveWithAuthorization");
+      await expect(token.connect(spender).receiveWithAuthorization(...args(receive)))
+        .to.emit(token, "AuthorizationUsed").withArgs(holder.address, receive.message.nonce);
+
+      expect(await token.balanceOf(spender.address)).to.equal(AMOUNT * 2n);
+    });
+
+    it("Should not let a transfer authorization be used as a receive authorization", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const transfer = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT, nonce });
+      const receive = await signReceiveWithAuthorization(token, holder, { to: spender.address, value: AMOUNT, nonce });
+
+      expect(transfer.serialized).to.not.equal(receive.serialized);
+      await expect(token.connect(spender).receiveWithAuthorization(...args(transfer)))
+        .to.be.revertedWith("GenericToken: Invalid signature");
+    });
+
+    it("Should sign cancellations the token accepts", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { message, v, r, s } = await signCancelAuthorization(token, holder, { nonce });
+
+      expect(message).to.deep.equal({ authorizer: holder.address, nonce });
+      await expect(token.connect(relayer).cancelAuthorization(holder.address, nonce, v, r, s))
+        .to.emit(token, "AuthorizationCanceled").withArgs(holder.address, nonce);
+    });
+  });
+
+  describe("Offline verification", function () {
+    it("Should hash the same digest the signer signed", async function () {
+      const signed = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+
+      expect(hashTypedData(signed.domain, "Permit", signed.message))
+        .to.equal(ethers.TypedDataEncoder.hash(signed.domain, TYPES.Permit, signed.message));
+    });
+
+    it("Should recover the signer from the full and the compact signature", async function () {
+      const signed = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+
+      expect(recoverSigner(signed.domain, signed.primaryType, signed.message, signed.serialized)).to.equal(holder.address);
+      const compact = ethers.Signature.from(signed.serialized).compactSerialized;
+      expect(recoverSigner(signed.domain, signed.primaryType, signed.message, compact)).to.equal(holder.address);
+    });
+
+    it("Should verify every primary type against its signing field", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signedMessages = [
+        await signPermit(token, holder, { spender: spender.address, value: AMOUNT }),
+        await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT }),
+        await signReceiveWithAuthorization(token, holder, { to: spender.address, value: AMOUNT }),
+        await signCancelAuthorization(token, holder, { nonce })
+      ];
+
+      for (const { domain, primaryType, message, serialized } of signedMessages) {
+        expect(verifySignature(domain, primaryType, message, serialized), primaryType).to.be.true;
+      }
+    });
+
+    it("Should reject tampered messages, other signers and other domains", async function () {
+      const signed = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      const { domain, primaryType, message, serialized } = signed;
+      const forged = await signTransferWithAuthorization(token, relayer, { to: spender.address, value: AMOUNT });
+
+      expect(verifySignature(domain, primaryType, { ...message, value: AMOUNT + 1n }, serialized)).to.be.false;
+      expect(verifySignature(domain, primaryType, { ...forged.message, from: holder.address }, forged.serialized)).to.be.false;
+      expect(verifySignature({ ...domain, chainId: domain.chainId + 1n }, primaryType, message, serialized)).to.be.false;
+      expect(verifySignature(domain, "ReceiveWithAuthorization", message, serialized)).to.be.false;
+    });
+
+    it("Should reject unknown primary types", async function () {
+      const signed = await signPermit(token, holder, { spender: spender.address, value: AMOUNT });
+
+      expect(() => hashTypedData(signed.domain, "Mint", signed.message)).to.throw(SigningError, "Unknown primary type");
+      expect(() => verifySignature(signed.domain, "Mint", signed.message, signed.serialized))
+        .to.throw(SigningError, "Unknown primary type");
+    });
+
+    it("Should ask contract wallets through ERC-1271 and recover for other accounts", async function () {
+      const MockMultisigWallet = await ethers.getContractFactory("MockMultisigWallet");
+      const wallet = await MockMultisigWallet.deploy([holder.address], 1);
+      const walletAddress = await wallet.getAddress();
+
+      const fromWallet = await signTransferWithAuthorization(token, holder, { from: walletAddress, to: spender.address, value: AMOUNT });
+      const fromHolder = await signTransferWithAuthorization(token, holder, { to: spender.address, value: AMOUNT });
+      const verify = ({ domain, primaryType, message }, signature) =>
+        verifyAccountSignature(ethers.provider, domain, primaryType, message, signature);
+
+      expect(await verify(fromWallet, fromWallet.serialized)).to.be.true;
+      expect(await verify(fromWallet, fromHolder.serialized)).to.be.false;
+      expect(await verify(fromWallet, "0x1234")).to.be.false;
+      expect(await verify(fromHolder, fromHolder.serialized)).to.be.true;
+      expect(await verify(fromHolder, fromWallet.serialized)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ConfigError, parseTokenConfig, tokenConfigFromEnv, constructorArgs } = require("../scripts/lib/token-config");
+
+describe("Deploy configuration (scripts/lib/token-config)", function () {
+  it("Should apply the defaults when nothing is configured", function () {
+    const config = tokenConfigFromEnv({});
+
+    expect(config.name).to.equal("GenericToken");
+    expect(config.symbol).to.equal("MYGT");
+    expect(config.decimals).to.equal(18);
+    expect(config.initialSupply).to.equal(ethers.parseUnits("1000000", 18));
+    expect(config.maxSupply).to.equal(ethers.parseUnits("18000000", 18));
+    expect(config.dailyMintLimit).to.equal(ethers.parseUnits("1000000", 18));
+  });
+
+  it("Should parse large and fractional supplies exactly", function () {
+    const config = tokenConfigFromEnv({
+      TOKEN_DECIMALS: "18",
+      INITIAL_SUPPLY: "123456789.123456789",
+      MAX_SUPPLY: "1000000000000000000000",
+      DAILY_MINT_LIMIT: "0.000000000000000001"
+    });
+
+    expect(config.initialSupply).to.equal(123456789123456789000000000n);
+    expect(config.maxSupply).to.equal(10n ** 39n);
+    expect(config.dailyMintLimit).to.equal(1n);
+    expect(config.display.maxSupply).to.equal("1000000000000000000000");
+  });
+
+  it("Should mirror the constructor requirements", function () {
+    expect(() => parseTokenConfig({ decimals: "19" })).to.throw(ConfigError, "decimals 19 cannot exceed 18");
+    expect(() => parseTokenConfig({ maxSupply: "0", initialSupply: "0" })).to.throw(ConfigError, "max supply must be greater than 0");
+    expect(() => parseTokenConfig({ dailyMintLimit: "0" })).to.throw(ConfigError, "daily mint limit must be greater than 0");
+    expect(() => parseTokenConfig({ initialSupply: "2", maxSupply: "1" })).to.throw(ConfigError, "initial supply 2 exceeds max supply 1");
+  });
+
+  it("Should report every invalid value at once", function () {
+    try {
+      parseTokenConfig({ decimals: "6", initialSupply: "1e21", maxSupply: "1.1234567", dailyMintLimit: "-5" });
+      expect.fail("expected a ConfigError");
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError);
+      expect(error.problems).to.have.lengthOf(3);
+      expect(error.message).to.contain("at most 6 fractional digits");
+    }
+  });
+
+  it("Should produce arguments accepted by the contract", async function () {
+    const config = tokenConfigFromEnv({ TOKEN_DECIMALS: "6", INITIAL_SUPPLY: "5000000", MAX_SUPPLY: "1000000000" });
+    const GenericToken = await ethers.getContractFactory("GenericToken");
+    const token = await GenericToken.deploy(...constructorArgs(config));
+
+    expect(await token.decimals()).to.equal(6);
+    expect(await token.totalSupply()).to.equal(5000000n * 10n ** 6n);
+  });
+});